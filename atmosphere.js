@@ -11,7 +11,8 @@ ig.module(
     'plugins.atmosphere'
 )
 .requires(
-    'impact.game'
+    'impact.game',
+    'plugins.atmosphere-core'
 )
 .defines(function() {
     'use strict';
@@ -24,6 +25,7 @@ ig.module(
      *  @param {Date}   [datetime=new Date()] Start from specified date and time
      *  @param {Number} [updateRate=60]      Real time in seconds the plugin should update itself
      *  @param {Number} [timescale=1]         Speed relative to real time at which the plugin should run
+     *  @param {Object} [settings]            Initial values of plugin properties (e.g. timezone)
      *
      *  @example
      *  // Start plugin from current date and time, updating every 60 seconds, running at 1x real time
@@ -37,6 +39,9 @@ ig.module(
      *  @example
      *  // Start plugin from April 14, 2014 5:23:37 PM, updating every 15 seconds, running at 6x real time
      *  new ig.Atmosphere(new Date(2014, 3, 14, 17, 23, 37), 15, 6);
+     *  @example
+     *  // Start plugin from April 14, 2014 5:23:37 PM Tokyo time, updating every 15 seconds, running at 6x real time
+     *  new ig.Atmosphere(new Date(2014, 3, 14, 17, 23, 37), 15, 6, {timezone: 'Asia/Tokyo'});
      */
     ig.Atmosphere = ig.Game.extend({
 
@@ -60,6 +65,17 @@ ig.module(
          */
         updateRate: 60,
 
+        /**
+         *  Is the plugin's clock paused?
+         *  <br>Weather effects keep running while the clock is paused.
+         *  @name ig.Atmosphere#paused
+         *  @type {Boolean}
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to pause or resume the clock, use {@link pause} and {@link resume}.
+         */
+        paused: false,
+
         /**
          *  Geographical Coordinates
          *  @typedef {Object} GeoCoordObject
@@ -78,14 +94,67 @@ ig.module(
         // http://ozoneaq.gsfc.nasa.gov/latlon.md
         geoCoords: {latitude: 40.7789, longitude: -73.9675},
 
+        /**
+         *  Time zone of the plugin date and time
+         *  <br>- A number is a fixed offset from UTC in hours (e.g. -5 for UTC-05:00)
+         *  <br>- A string is the name of a time zone in {@link ig.Atmosphere.TIMEZONES}, including its daylight saving rules
+         *  @name ig.Atmosphere#timezone
+         *  @type {(Number|String)}
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to update the time zone, use {@link updateTimezone}.
+         */
+        timezone: 'America/New_York',
+
+        /**
+         *  Physical properties of the world the plugin simulates
+         *  <br>Day length, seasons, twilight, and the paths of the sun and moon across the sky all follow from it.
+         *  Provide the name of a profile in {@link ig.Atmosphere.PLANETS} or a {@link PlanetProfileObject} in the settings;
+         *  properties missing from a custom profile default to Earth's.
+         *  @name ig.Atmosphere#planet
+         *  @type {PlanetProfileObject}
+         *  @default 'earth'
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to update the planet profile, use {@link updatePlanet}.
+         *
+         *  @example
+         *  // Start plugin on Mars
+         *  new ig.Atmosphere(new Date(2014, 3, 14, 17, 23, 37), 60, 1, {planet: 'mars'});
+         */
+        planet: 'earth',
+
+        /**
+         *  Calendar system in which dates of the game world are told
+         *  <br>The plugin clock itself always runs on Julian days; the calendar only changes how dates are presented and read.
+         *  Provide the name of a calendar in {@link ig.Atmosphere.CALENDARS} or a {@link CalendarObject} in the settings.
+         *  <br>- null uses the Gregorian calendar
+         *  @name ig.Atmosphere#calendar
+         *  @type {?CalendarObject}
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to update the calendar, use {@link updateCalendar}.
+         *
+         *  @example
+         *  // Tell dates in the bundled 13-month calendar
+         *  new ig.Atmosphere(new Date(2014, 3, 14, 17, 23, 37), 60, 1, {calendar: 'thirteenMonth'});
+         */
+        calendar: null,
+
         /**
          *  Set weather condition
          *  @name ig.Atmosphere#weatherCondition
          *  @type {Object}
-         *  @property {Boolean} fog       Is fog active?
-         *  @property {Boolean} lightning Is lightning active?
-         *  @property {Boolean} rain      Is rain active?
-         *  @property {Boolean} snow      Is snow active?
+         *  @property {Boolean} fog          Is fog active?
+         *  @property {Boolean} lightning    Is lightning active?
+         *  @property {Boolean} rain         Is rain active?
+         *  @property {Boolean} snow         Is snow active?
+         *  @property {Boolean} sleet        Is sleet (ice pellets) active?
+         *  @property {Boolean} hail         Is hail active?
+         *  @property {Boolean} freezingRain Is freezing rain active?
+         *  @property {Boolean} sandstorm    Is a sandstorm active?
+         *  @property {Boolean} dust         Is dust haze active?
+         *  @property {Boolean} ash          Is volcanic ash active?
+         *  @property {Boolean} overcast     Is the sky overcast?
          *  @default
          *
          *  @example
@@ -93,12 +162,76 @@ ig.module(
          *  ig.Atmosphere.weatherCondition.snow = true;
          */
         weatherCondition: {
-            fog      : false,
-            lightning: false,
-            rain     : false,
-            snow     : false
+            fog         : false,
+            lightning   : false,
+            rain        : false,
+            snow        : false,
+            sleet       : false,
+            hail        : false,
+            freezingRain: false,
+            sandstorm   : false,
+            dust        : false,
+            ash         : false,
+            overcast    : false
         },
 
+        /**
+         *  Intensity of each weather condition, easing towards its target over {@link ig.Atmosphere#weatherTransition weatherTransition}
+         *  <br>- Rain from drizzle (near 0) to downpour (1), snow from flurries to blizzard, fog from mist to thick fog,
+         *  hail from scattered pellets to a battering, sandstorms and dust from a haze to a blackout
+         *  <br>A condition in {@link ig.Atmosphere#weatherCondition weatherCondition} is active while its target intensity
+         *  is above 0, and fades out after being turned off.
+         *  @name ig.Atmosphere#weatherIntensity
+         *  @type {Object}
+         *  @property {Number} fog          Intensity of fog (range: 0 - 1)
+         *  @property {Number} lightning    Intensity of lightning (range: 0 - 1)
+         *  @property {Number} rain         Intensity of rain (range: 0 - 1)
+         *  @property {Number} snow         Intensity of snow (range: 0 - 1)
+         *  @property {Number} sleet        Intensity of sleet (range: 0 - 1)
+         *  @property {Number} hail         Intensity of hail (range: 0 - 1)
+         *  @property {Number} freezingRain Intensity of freezing rain (range: 0 - 1)
+         *  @property {Number} sandstorm    Intensity of sandstorm (range: 0 - 1)
+         *  @property {Number} dust         Intensity of dust haze (range: 0 - 1)
+         *  @property {Number} ash          Intensity of volcanic ash (range: 0 - 1)
+         *  @property {Number} overcast     Cloud cover of the overcast (range: 0 - 1)
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to change an intensity, use {@link setWeatherIntensity}.
+         */
+        weatherIntensity: {
+            fog         : 0,
+            lightning   : 0,
+            rain        : 0,
+            snow        : 0,
+            sleet       : 0,
+            hail        : 0,
+            freezingRain: 0,
+            sandstorm   : 0,
+            dust        : 0,
+            ash         : 0,
+            overcast    : 0
+        },
+
+        /**
+         *  Real time in seconds weather intensities take to ease towards a new target
+         *  @name ig.Atmosphere#weatherTransition
+         *  @type {Number}
+         *  @default
+         *
+         *  @example
+         *  // Let weather set in slowly for a cinematic sequence
+         *  ig.Atmosphere.weatherTransition = 30;
+         */
+        weatherTransition: 10,
+
+        /**
+         *  Transition of each weather intensity, keyed by weather condition ({from, to, elapsed, duration}, in real time seconds)
+         *  @name ig.Atmosphere#_weatherRamps
+         *  @type {?Object}
+         *  @private
+         */
+        _weatherRamps: null,
+
         /**
          *  Probability of lightning flash per update rate
          *  <br>- Higher update rates should have higher lightning rates (increase lightning trigger chance over large time intervals)
@@ -123,6 +256,270 @@ ig.module(
          */
         fogThickness: 0.3,
 
+        /**
+         *  Colors of airborne particulate weather
+         *  <br>Sand, dust, and ash tint the fog noise and their particles; the glow shifts the ambient light under volcanic
+         *  ash, as if lit by the eruption.
+         *  @name ig.Atmosphere#particulateColor
+         *  @type {Object}
+         *  @property {Object} sandstorm Color of blowing sand ({r, g, b})
+         *  @property {Object} dust      Color of dust haze ({r, g, b})
+         *  @property {Object} ash       Color of volcanic ash ({r, g, b})
+         *  @property {Object} glow      Ambient color shift under volcanic ash at full intensity ({r, g, b, a})
+         *  @default Copy of {@link ig.Atmosphere.PARTICULATE_COLORS}, with colors given in the settings on top
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to update the colors, use {@link updateParticulateColor}.
+         */
+        particulateColor: null,
+
+        /**
+         *  Weather state of a climate
+         *  @typedef {Object} ClimateStateObject
+         *  @property {Object}   weather  Intensity of each weather condition while in this state (true for 1; missing conditions are inactive).
+         *                                'precipitation' falls as the type for the temperature on entering the state (see {@link setWeatherIntensity})
+         *  @property {Number[]} duration Minimum and maximum duration of this state in hours
+         */
+
+        /**
+         *  Monthly normals of a climate
+         *  @typedef {Object} ClimateMonthObject
+         *  @property {Number[]} temperature   Mean daily low and high temperature in degrees Celsius
+         *  @property {Number}   precipitation Chance of rain or snow (range: 0 - 1)
+         *  @property {Number}   fog           Chance of fog (range: 0 - 1)
+         *  @property {Number}   storm         Chance of thunderstorms (range: 0 - 1)
+         */
+
+        /**
+         *  Climate driving automatic weather
+         *  <br>The chance of moving from one state to another is its transition weight, multiplied by the monthly chance,
+         *  seasonal, and diurnal multipliers of the state moved to, relative to all other states. Monthly chances apply by
+         *  the weather of each state: thunderstorms, then precipitation (split between rain and snow by temperature), then
+         *  fog; states with no weather take the remaining chance.
+         *  @typedef {Object} ClimateObject
+         *  @property {String}               name                    Name of the climate
+         *  @property {ClimateMonthObject[]} [months]                Normals of each month (12 elements, January first), interpolated between mid-months
+         *  @property {String}               [hemisphere='northern'] Hemisphere the months are given for; shifted by six months in the other hemisphere
+         *  @property {Object}               [states]                {@link ClimateStateObject}s keyed by state name (defaults to those of {@link ig.Atmosphere.WEATHER_MODEL})
+         *  @property {Object}               [transitions]           Relative weights of each next state, keyed by current state name, then next state name
+         *                                                           (defaults to those of {@link ig.Atmosphere.WEATHER_MODEL})
+         *  @property {Object}               [seasons]               Weight multipliers of each state in spring, summer, autumn, and winter (4-element arrays), keyed by state name
+         *  @property {Object}               [diurnal]               Weight multipliers of each state by 'day', 'twilight', and 'night' solar phase, keyed by state name
+         *                                                           (defaults to those of {@link ig.Atmosphere.WEATHER_MODEL} when states are not provided)
+         */
+
+        /**
+         *  Climate driving automatic weather
+         *  @name ig.Atmosphere#climate
+         *  @type {ClimateObject}
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to update the climate, use {@link updateClimate}.
+         *
+         *  @example
+         *  // Start plugin with automatic weather in a custom climate
+         *  new ig.Atmosphere(new Date(2014, 3, 14, 17, 23, 37), 60, 1, {autoWeather: true, climate: myClimate});
+         */
+        climate: 'auto',
+
+        /**
+         *  Is the climate picked by latitude, and picked again when the geographical coordinates change?
+         *  @name ig.Atmosphere#_climateAuto
+         *  @type {Boolean}
+         *  @private
+         */
+        _climateAuto: false,
+
+        /**
+         *  Is the weather changed automatically?
+         *  <br>- true steps through the states of the {@link ig.Atmosphere#climate climate} on the plugin clock
+         *  <br>- false only changes the weather when game code changes {@link ig.Atmosphere#weatherCondition weatherCondition}
+         *  @name ig.Atmosphere#autoWeather
+         *  @type {Boolean}
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to turn automatic weather on or off, use {@link updateAutoWeather}.
+         */
+        autoWeather: false,
+
+        /**
+         *  Current state of automatic weather
+         *  @typedef {Object} WeatherStateObject
+         *  @property {?String} name  Name of the climate state, or null if the weather condition matches no state
+         *  @property {Number}  since Date the state began in Julian days
+         *  @property {Number}  until Date the state ends in Julian days (Infinity while held by {@link ig.Atmosphere#setWeather setWeather})
+         */
+
+        /**
+         *  Current state of automatic weather
+         *  @name ig.Atmosphere#weatherState
+         *  @type {WeatherStateObject}
+         *  @default
+         *  @readonly
+         */
+        weatherState: {name: null, since: 0, until: 0},
+
+        /**
+         *  Meteorological quantities
+         *  @typedef {Object} MeteorologyObject
+         *  @property {Number} temperature Air temperature in degrees Celsius
+         *  @property {Number} humidity    Relative humidity in percent
+         *  @property {Number} dewPoint    Dew point in degrees Celsius
+         *  @property {Number} pressure    Air pressure at sea level in hectopascals
+         */
+
+        /**
+         *  Simulated meteorological quantities
+         *  <br>Temperature follows the monthly normals of the {@link ig.Atmosphere#climate climate} (or of the temperate
+         *  climate, if it has none), rising from sunrise to a peak in the afternoon and falling through the night. Clear skies
+         *  widen the daily range; rain, snow, and fog narrow it, cool the air, and raise the humidity. Pressure falls ahead
+         *  of storms and follows the twice-daily atmospheric tide. Weather effects settle over a couple of hours.
+         *  @name ig.Atmosphere#meteorology
+         *  @type {MeteorologyObject}
+         *  @default
+         *  @readonly
+         *  @see To be notified of changes, listen to the temperatureChange, humidityChange, dewPointChange, and pressureChange events.
+         */
+        meteorology: {temperature: 0, humidity: 0, dewPoint: 0, pressure: 1013.25},
+
+        /**
+         *  Effects of the weather on the meteorological quantities, easing towards those of the current weather
+         *  ({amplitude, offset, moisture, pressure})
+         *  @name ig.Atmosphere#_weatherEffect
+         *  @type {?Object}
+         *  @private
+         */
+        _weatherEffect: null,
+
+        /**
+         *  Meteorological quantities as of the last change events, used to detect changes of a whole unit
+         *  @name ig.Atmosphere#_meteorologySnapshot
+         *  @type {?MeteorologyObject}
+         *  @private
+         */
+        _meteorologySnapshot: null,
+
+        /**
+         *  Wind-related components
+         *  @typedef {Object} WindObject
+         *  @property {Number} direction  Compass direction the wind blows from in degrees (0 = north/up, 90 = east/right, 180 = south/down, 270 = west/left)
+         *  @property {Number} speed      Base speed in pixels per second
+         *  @property {Number} gusts      Additional speed at the peak of a gust in pixels per second
+         *  @property {Number} turbulence Variation of speed and direction across the screen (range: 0 - 1)
+         *  @property {Number} scale      Size in pixels of turbulent eddies
+         */
+
+        /**
+         *  Wind blowing rain, snow, and fog
+         *  <br>The default westerly wind blows rain and snow to the right.
+         *  @name ig.Atmosphere#wind
+         *  @type {WindObject}
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to update the wind, use {@link updateWind}.
+         *  @see To find the wind at a point, use {@link getWindAt}.
+         */
+        wind: {
+            direction : 270,
+            speed     : 20,
+            gusts     : 30,
+            turbulence: 0.3,
+            scale     : 200
+        },
+
+        /**
+         *  Real time in seconds the wind has been blowing, driving gusts and turbulence
+         *  @name ig.Atmosphere#_windTime
+         *  @type {Number}
+         *  @private
+         */
+        _windTime: 0,
+
+        /**
+         *  Strength of the current gust, computed once per frame (range: 0 - 1)
+         *  @name ig.Atmosphere#_windGust
+         *  @type {Number}
+         *  @private
+         */
+        _windGust: 0,
+
+        /**
+         *  Distance in pixels the fog has drifted with the wind
+         *  @name ig.Atmosphere#_fogOffset
+         *  @type {Object}
+         *  @private
+         */
+        _fogOffset: {x: 0, y: 0},
+
+        /**
+         *  Noise tiles of airborne particulate weather, keyed by weather condition, rendered when first needed
+         *  @name ig.Atmosphere#_hazeTiles
+         *  @type {Object}
+         *  @private
+         */
+        _hazeTiles: {},
+
+        /**
+         *  Cloud layer settings
+         *  @typedef {Object} CloudsObject
+         *  @property {Number}  cover          Fair-weather cloud cover, when no weather brings more (range: 0 - 1)
+         *  @property {Number}  speed          Share of the wind speed the clouds drift at
+         *  @property {Boolean} shadows        Cast cloud shadows over the playfield?
+         *  @property {Number}  shadowStrength Opacity of cloud shadows in full sunlight (range: 0 - 1)
+         */
+
+        /**
+         *  Procedural cloud layer drifting with the wind across the sky layer
+         *  <br>Cloud shadows are sharpest under scattered clouds in full sunlight, and fade out under a full overcast.
+         *  @name ig.Atmosphere#clouds
+         *  @type {CloudsObject}
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to update the cloud layer, use {@link updateClouds}.
+         */
+        clouds: {
+            cover         : 0.15,
+            speed         : 0.5,
+            shadows       : false,
+            shadowStrength: 0.3
+        },
+
+        /**
+         *  Current fraction of the sky covered by clouds, computed once per frame
+         *  <br>The larger of the fair-weather cover, the overcast, and the cover implied by precipitation and storms
+         *  (full from half intensity on). Clouds dim the ambient daylight and hide the sun, moon, and stars.
+         *  @name ig.Atmosphere#cloudCover
+         *  @type {Number}
+         *  @readonly
+         */
+        cloudCover: 0,
+
+        /**
+         *  Distance in pixels the clouds have drifted with the wind
+         *  @name ig.Atmosphere#_cloudOffset
+         *  @type {Object}
+         *  @private
+         */
+        _cloudOffset: {x: 0, y: 0},
+
+        /**
+         *  Cloud masks, keyed by quantized cover, rendered when first needed
+         *  @name ig.Atmosphere#_cloudTiles
+         *  @type {Object}
+         *  @private
+         */
+        _cloudTiles: {},
+
+        /**
+         *  Cloud mask last tinted with the color of the clouds, kept while neither changes
+         *  @name ig.Atmosphere#_cloudTint
+         *  @type {?Object}
+         *  @property {HTMLCanvasElement} canvas Tinted cloud tile
+         *  @property {HTMLCanvasElement} tile   Cloud mask tinted
+         *  @property {String}            color  Color tinted with, as 'r, g, b'
+         *  @private
+         */
+        _cloudTint: null,
+
         /**
          *  Sky color-related components
          *  @typedef {Object} SkyColorObject
@@ -148,6 +545,7 @@ ig.module(
 
         /**
          *  Ambient illumination color
+         *  <br>Used while no {@link ig.Atmosphere#skyPalette sky palette} is set.
          *  @name ig.Atmosphere#skyColor
          *  @type {SkyColorObject}
          *  @default
@@ -159,16 +557,99 @@ ig.module(
             sunset : {r: 182, g: 126, b: 81}
         },
 
+        /**
+         *  Keyframe of a sky palette
+         *  @typedef {Object} SkyKeyframeObject
+         *  @property {Number} at       Solar altitude in degrees, or local solar time in hours, depending on the palette's key
+         *  @property {Number} r        Red value of the RGBA color space (range: 0 - 255)
+         *  @property {Number} g        Green value of the RGBA color space (range: 0 - 255)
+         *  @property {Number} b        Blue value of the RGBA color space (range: 0 - 255)
+         *  @property {Number} a        Alpha channel of the RGBA color space (range: 0 - 1)
+         *  @property {String} [when]   Only while the sun is 'rising' or 'setting' (altitude-keyed palettes only; defaults to both)
+         *  @property {String} [easing] Easing towards the next keyframe, overriding the palette's easing
+         */
+
+        /**
+         *  Sky palette
+         *  @typedef {Object} SkyPaletteObject
+         *  @property {String}              name             Name of the palette
+         *  @property {String}              [key='altitude'] Value keyframes are keyed by: 'altitude' (solar altitude in degrees) or 'time'
+         *                                                   (local solar time in hours, 0 = solar midnight, 12 = solar noon, stretched over the planet's day)
+         *  @property {String}              [easing='linear'] Name of an easing in {@link ig.Atmosphere.EASINGS} applied between keyframes
+         *  @property {String}              [space='rgb']    Color space colors are interpolated in: 'rgb', 'hsl', or 'oklab'
+         *  @property {SkyKeyframeObject[]} keyframes        Keyframes of the palette
+         */
+
+        /**
+         *  Palette of ambient illumination colors, interpolated between keyframes
+         *  <br>- null derives the palette from {@link ig.Atmosphere#skyColor skyColor}
+         *  <br>Altitude-keyed palettes hold their first and last colors beyond their first and last keyframes; time-keyed
+         *  palettes wrap around midnight.
+         *  @name ig.Atmosphere#skyPalette
+         *  @type {?SkyPaletteObject}
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to update the sky palette, use {@link setSkyPalette}.
+         */
+        skyPalette: null,
+
+        /**
+         *  Seasonal override of the sky
+         *  @typedef {Object} SeasonalSkyProfileObject
+         *  @property {?(String|SkyPaletteObject)} [palette]  Sky palette, or name of a palette in {@link ig.Atmosphere.SKY_PALETTES} (defaults to {@link ig.Atmosphere#skyPalette skyPalette})
+         *  @property {?Number}                    [darkness] Alpha channel of the nighttime color (defaults to the most opaque keyframe of the palette)
+         */
+
+        /**
+         *  Seasonal overrides of the sky
+         *  @typedef {Object} SeasonalSkyObject
+         *  @property {String} [by='season'] Overrides are keyed by 'season' (spring, summer, autumn, winter) or 'month' (1 - 12, Gregorian)
+         *  @property {Number} [blend=14]    Length in days of the transition centered on each season boundary, or on the first of each month
+         *  @property {Object} profiles      {@link SeasonalSkyProfileObject}s keyed by season name or month number
+         */
+
+        /**
+         *  Sky palette and night darkness overrides by season or month
+         *  <br>- null uses the same sky all year round
+         *  @name ig.Atmosphere#seasonalSky
+         *  @type {?SeasonalSkyObject}
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to update the seasonal overrides, use {@link setSeasonalSky}.
+         */
+        seasonalSky: null,
+
+        /**
+         *  Sky palettes currently in effect, with their weights and night darkness
+         *  <br>Two entries while blending across a season boundary, one entry otherwise.
+         *  @name ig.Atmosphere#_skyBlend
+         *  @type {Object[]}
+         *  @private
+         */
+        _skyBlend: null,
+
         /**
          *  Solar-related components
          *  @typedef {Object} SolarObject
-         *  @property {Object} sunrise          Computed sunrise-related results
-         *  @property {Number} sunrise.date     Date of next sunrise in Julian days
-         *  @property {Number} sunrise.duration Duration of next sunrise in minutes
-         *  @property {Object} sunset           Computed sunset-related results
-         *  @property {Number} sunset.date      Date of next sunset in Julian days
-         *  @property {Number} sunset.duration  Duration of next sunset in minutes
-         *  @property {Number} nextUpdate      Date of next solar-related recomputations in Julian days
+         *  @property {Object}  sunrise           Computed sunrise-related results
+         *  @property {?Number} sunrise.date      Date of next sunrise in Julian days, or null during polar day or polar night
+         *  @property {Number}  sunrise.duration  Duration of morning twilight preceding next sunrise in minutes
+         *  @property {Object}  sunset            Computed sunset-related results
+         *  @property {?Number} sunset.date       Date of next sunset in Julian days, or null during polar day or polar night
+         *  @property {Number}  sunset.duration   Duration of evening twilight following next sunset in minutes
+         *  @property {Object}  dawn              Computed morning twilight-related results
+         *  @property {?Number} dawn.civil        Date civil dawn begins in Julian days, or null if the sun does not reach that altitude
+         *  @property {?Number} dawn.nautical     Date nautical dawn begins in Julian days, or null if the sun does not reach that altitude
+         *  @property {?Number} dawn.astronomical Date astronomical dawn begins in Julian days, or null if the sun does not reach that altitude
+         *  @property {Object}  dusk              Computed evening twilight-related results
+         *  @property {?Number} dusk.civil        Date civil dusk ends in Julian days, or null if the sun does not reach that altitude
+         *  @property {?Number} dusk.nautical     Date nautical dusk ends in Julian days, or null if the sun does not reach that altitude
+         *  @property {?Number} dusk.astronomical Date astronomical dusk ends in Julian days, or null if the sun does not reach that altitude
+         *  @property {Boolean} polarDay          Is the sun above the horizon all day (midnight sun)?
+         *  @property {Boolean} polarNight        Is the sun below the horizon all day (polar night)?
+         *  @property {Number}  noon              Date of solar noon (solar transit) in Julian days
+         *  @property {Number}  dayLength         Length of a mean solar day of the planet in Earth days
+         *  @property {Number}  nextUpdate        Date of next solar-related recomputations in Julian days
          */
 
         /**
@@ -179,18 +660,70 @@ ig.module(
          *  @readonly
          */
         solar: {
-            sunrise: {date: 0, duration: 60},
-            sunset : {date: 0, duration: 60},
+            sunrise: {date: 0, duration: 0},
+            sunset : {date: 0, duration: 0},
+            dawn   : {civil: null, nautical: null, astronomical: null},
+            dusk   : {civil: null, nautical: null, astronomical: null},
+            polarDay  : false,
+            polarNight: false,
+            noon      : 0,
+            dayLength : 1,
             nextUpdate: 0
         },
 
+        /**
+         *  Altitudes of the sun's center bounding each twilight phase in degrees
+         *  <br>The horizon altitude is taken from the planet profile whenever the planet is updated.
+         *  @name ig.Atmosphere#twilightAltitudes
+         *  @type {Object}
+         *  @property {Number} horizon      Sunrise and sunset (accounts for atmospheric refraction and solar radius)
+         *  @property {Number} civil        End of civil twilight, start of nautical twilight
+         *  @property {Number} nautical     End of nautical twilight, start of astronomical twilight
+         *  @property {Number} astronomical End of astronomical twilight, start of night
+         *  @default
+         */
+        twilightAltitudes: {
+            horizon     : -0.83,
+            civil       : -6,
+            nautical    : -12,
+            astronomical: -18
+        },
+
+        /**
+         *  Current position of the sun in the sky
+         *  @name ig.Atmosphere#sunPosition
+         *  @type {CelestialPositionObject}
+         *  @default
+         *  @readonly
+         */
+        sunPosition: {altitude: 0, azimuth: 0},
+
+        /**
+         *  Current phase of the day based on the sun's altitude
+         *  <br>- 'day': The sun is above the horizon
+         *  <br>- 'civilTwilight': The sun is between the horizon and {@link ig.Atmosphere#twilightAltitudes twilightAltitudes.civil}
+         *  <br>- 'nauticalTwilight': The sun is between civil and nautical twilight altitudes
+         *  <br>- 'astronomicalTwilight': The sun is between nautical and astronomical twilight altitudes
+         *  <br>- 'night': The sun is below {@link ig.Atmosphere#twilightAltitudes twilightAltitudes.astronomical}
+         *  @name ig.Atmosphere#solarPhase
+         *  @type {String}
+         *  @default
+         *  @readonly
+         */
+        solarPhase: 'day',
+
         /**
          *  Season-related components
          *  @typedef {Object} SeasonObject
-         *  @property {Number} vernalEquinox    Date of next vernal (Spring) equinox in Julian days
-         *  @property {Number} estivalSolstice  Date of next estival (Summer) solstice in Julian days
-         *  @property {Number} autumnalEquinox  Date of next autumnal (Autumn) equinox in Julian days
-         *  @property {Number} hibernalSolstice Date of next hibernal (Winter) solstice in Julian days
+         *  @property {Number}   year             Year the season-related results were computed for
+         *  @property {Number}   vernalEquinox    Date of March equinox (northern vernal equinox) in Julian days
+         *  @property {Number}   estivalSolstice  Date of June solstice (northern estival solstice) in Julian days
+         *  @property {Number}   autumnalEquinox  Date of September equinox (northern autumnal equinox) in Julian days
+         *  @property {Number}   hibernalSolstice Date of December solstice (northern hibernal solstice) in Julian days
+         *  @property {?Number}  initial          Season at the start of the year, before its first boundary, or null if the season model has no boundaries
+         *  @property {Object[]} boundaries       Start of each season in the year under the current season model and hemisphere, in chronological order
+         *  @property {Number}   boundaries.date  Start of season in Julian days
+         *  @property {Number}   boundaries.season Season starting at that date (0 = Spring, 1 = Summer, 2 = Autumn, 3 = Winter)
          */
 
         /**
@@ -201,12 +734,168 @@ ig.module(
          *  @readonly
          */
         season: {
+            year            : 0,
             vernalEquinox   : 0,
             estivalSolstice : 0,
             autumnalEquinox : 0,
-            hibernalSolstice: 0
+            hibernalSolstice: 0,
+            initial         : null,
+            boundaries      : []
+        },
+
+        /**
+         *  Season boundary
+         *  @typedef {Object} SeasonBoundaryObject
+         *  @property {Number} month  Month the season starts (1 = January, 12 = December)
+         *  @property {Number} day    Day of month the season starts
+         *  @property {Number} season Season starting at that date in the northern hemisphere (0 = Spring, 1 = Summer, 2 = Autumn, 3 = Winter)
+         */
+
+        /**
+         *  Model used to determine the start of each season
+         *  <br>- 'astronomical': Seasons start at the equinoxes and solstices
+         *  <br>- 'meteorological': Seasons start on the first day of March, June, September, and December
+         *  <br>- An array of {@link SeasonBoundaryObject}: Seasons start at the given dates
+         *  <br>Seasons are given for the northern hemisphere and are reversed in the southern hemisphere.
+         *  @name ig.Atmosphere#seasonModel
+         *  @type {(String|SeasonBoundaryObject[])}
+         *  @default
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to update the season model, use {@link updateSeasonModel}.
+         */
+        seasonModel: 'astronomical',
+
+        /**
+         *  Lunar-related components
+         *  @typedef {Object} LunarObject
+         *  @property {Number}  phase         Lunar phase (0 = new moon, 0.25 = first quarter, 0.5 = full moon, 0.75 = last quarter)
+         *  @property {Number}  illumination  Illuminated fraction of the lunar disc (range: 0.0 - 1.0)
+         *  @property {Object}  moonrise      Computed moonrise-related results
+         *  @property {?Number} moonrise.date Date of moonrise in Julian days, or null if the moon does not rise on the current day
+         *  @property {Object}  moonset       Computed moonset-related results
+         *  @property {?Number} moonset.date  Date of moonset in Julian days, or null if the moon does not set on the current day
+         *  @property {Number}  nextUpdate    Date of next lunar-related recomputations in Julian days
+         */
+
+        /**
+         *  Computed lunar-related results
+         *  @name ig.Atmosphere#lunar
+         *  @type {LunarObject}
+         *  @default
+         *  @readonly
+         */
+        lunar: {
+            phase       : 0,
+            illumination: 0,
+            moonrise    : {date: null},
+            moonset     : {date: null},
+            nextUpdate  : 0
+        },
+
+        /**
+         *  Celestial position components
+         *  @typedef {Object} CelestialPositionObject
+         *  @property {Number} altitude Angle above the horizon in degrees (negative when below the horizon)
+         *  @property {Number} azimuth  Compass direction in degrees, measured clockwise from North
+         */
+
+        /**
+         *  Current position of the moon in the sky
+         *  @name ig.Atmosphere#moonPosition
+         *  @type {CelestialPositionObject}
+         *  @default
+         *  @readonly
+         */
+        moonPosition: {altitude: 0, azimuth: 0},
+
+        /**
+         *  Fraction of the night darkness lifted by a full moon at its zenith
+         *  <br>- Higher values yields brighter moonlit nights
+         *  <br>- Lower values yields moonlit nights closer to {@link ig.Atmosphere#skyColor skyColor.night}
+         *  @name ig.Atmosphere#moonBrightness
+         *  @type {Number}
+         *  @default
+         *
+         *  @example
+         *  // Full moon overhead halves the night darkness
+         *  ig.Atmosphere.moonBrightness = 0.5;
+         */
+        moonBrightness: 0.4,
+
+        /**
+         *  Current alpha channel of the nighttime color after moonlight is applied
+         *  <br>The nighttime color is the most opaque keyframe of the {@link ig.Atmosphere#skyPalette sky palette}.
+         *  @name ig.Atmosphere#nightDarkness
+         *  @type {Number}
+         *  @readonly
+         */
+        nightDarkness: 0.65,
+
+        /**
+         *  Current fraction of the night darkness lifted by moonlight
+         *  @name ig.Atmosphere#_moonlightLift
+         *  @type {Number}
+         *  @private
+         */
+        _moonlightLift: 0,
+
+        /**
+         *  Sky layer components
+         *  <br>The sky is projected onto the screen as seen from the ground: the horizon is a horizontal line, azimuth maps
+         *  linearly to the x-axis and altitude to the y-axis, both at the same number of pixels per degree.
+         *  @typedef {Object} SkyLayerObject
+         *  @property {Number}  facing      Azimuth at the center of the screen in degrees, measured clockwise from North (180 = facing South)
+         *  @property {Number}  fieldOfView Horizontal angle of view in degrees
+         *  @property {Number}  horizon     Height of the horizon as a fraction of the screen height, measured from the top
+         *  @property {Number}  stars       Number of stars on the whole celestial sphere
+         *  @property {Number}  sunRadius   Radius of the sun disc in pixels
+         *  @property {Number}  moonRadius  Radius of the moon disc in pixels
+         *  @property {Boolean} scattering  Draw a gradient from a scattering model with a glow around the sun (true), or a flat color between day and night (false)
+         *  @property {Object}  day         Sky color at daytime (flat sky only)
+         *  @property {Number}  day.r       Red value of the RGB color space for daytime
+         *  @property {Number}  day.g       Green value of the RGB color space for daytime
+         *  @property {Number}  day.b       Blue value of the RGB color space for daytime
+         *  @property {Object}  night       Sky color at nighttime, also added to the scattering gradient as the glow of the night sky
+         *  @property {Number}  night.r     Red value of the RGB color space for nighttime
+         *  @property {Number}  night.g     Green value of the RGB color space for nighttime
+         *  @property {Number}  night.b     Blue value of the RGB color space for nighttime
+         */
+
+        /**
+         *  Sky drawn by {@link ig.Atmosphere#drawSky drawSky} behind the level's maps
+         *  @name ig.Atmosphere#skyLayer
+         *  @type {SkyLayerObject}
+         *  @default
+         *
+         *  @example
+         *  // Look east over a wide landscape
+         *  ig.Atmosphere.skyLayer.facing = 90;
+         *  ig.Atmosphere.skyLayer.fieldOfView = 150;
+         */
+        skyLayer: {
+            facing     : 180,
+            fieldOfView: 120,
+            horizon    : 0.8,
+            stars      : 300,
+            sunRadius  : 10,
+            moonRadius : 8,
+            scattering : true,
+            day        : {r: 120, g: 180, b: 235},
+            night      : {r:   4, g:   6, b:  16}
         },
 
+        /**
+         *  Star field drawn by {@link ig.Atmosphere#drawSky drawSky}, generated from the plugin's seed
+         *  @name ig.Atmosphere#_stars
+         *  @type {Object}
+         *  @property {Number}   seed        Seed the star field was generated from
+         *  @property {Object[]} catalog     Stars on the celestial sphere ({rightAscension, declination, brightness})
+         *  @property {Object[]} positions   Altitude and azimuth of each star at the date and coordinates below
+         *  @property {String}   positionKey Date and geographical coordinates the positions were computed for
+         *  @private
+         */
+        _stars: null,
+
         /**
          *  Maximum number of particles to generate during particle-based weather conditions before stopping
          *  @name ig.Atmosphere#particlesMax
@@ -231,25 +920,97 @@ ig.module(
          */
         _lightningActive: 0,
 
-
-        //---------------------------------------------------------------------
-        // Init
         /**
-         *  Plugin initialization. Called when new instance is created.
+         *  Seed of the plugin's pseudorandom number generator
+         *  <br>Identical seeds and inputs produce identical lightning and particles. If no seed is provided in the settings,
+         *  one is picked at random and stored here, so that the run can be reproduced later.
+         *  @name ig.Atmosphere#seed
+         *  @type {Number}
+         *  @readonly
+         *  @see Do not modify this value directly. Instead, to reseed the plugin, use {@link updateSeed}.
+         *
+         *  @example
+         *  // Start plugin with a fixed seed
+         *  new ig.Atmosphere(new Date(2014, 3, 14, 17, 23, 37), 60, 1, {seed: 1234});
+         */
+        seed: null,
+
+        /**
+         *  Internal state of the plugin's pseudorandom number generator
+         *  @name ig.Atmosphere#_randomState
+         *  @type {Number}
+         *  @private
+         */
+        _randomState: 0,
+
+        /**
+         *  Registered event listeners, keyed by event name
+         *  @name ig.Atmosphere#_listeners
+         *  @type {Object}
+         *  @private
+         */
+        _listeners: {},
+
+        /**
+         *  Weather condition as of the last frame, used to detect weather changes
+         *  @name ig.Atmosphere#_weatherSnapshot
+         *  @type {String}
+         *  @private
+         */
+        _weatherSnapshot: '',
+
+
+        //---------------------------------------------------------------------
+        // Init
+        /**
+         *  Plugin initialization. Called when new instance is created.
          *  @method ig.Atmosphere#init
          *  @param {Date}   [datetime=new Date()] Start from specified date and time
          *  @param {Number} [updateRate=60]      Real time in seconds the plugin should update itself
          *  @param {Number} [timescale=1]         Speed relative to real time at which the plugin should run
+         *  @param {Object} [settings]            Initial values of plugin properties
          *  @private
          */
-        init: function(datetime, updateRate, timescale) {
+        init: function(datetime, updateRate, timescale, settings) {
+            ig.merge(this, settings);
+
             // Initialize plugin variables
+            this.updateSeed(this.seed);
+            this.updatePlanet(this.planet);
+            this.updateCalendar(this.calendar);
+            this.setSkyPalette(this.skyPalette);
+            this.setSeasonalSky(this.seasonalSky);
+            this.updateTimezone(this.timezone);
+            this.updateSeasonModel(this.seasonModel);
             this.setDateTime(datetime);
             this.updateTimescale(timescale);
             this.updateUpdateRate(updateRate);
             this.updateGeoCoords(this.geoCoords.latitude, this.geoCoords.longitude);
+            this.updateClimate(this.climate);
+
+            // Particulate colors start from the defaults, each instance with its own copy
+            var colors = this.particulateColor;
+            this.particulateColor = ig.copy(ig.Atmosphere.PARTICULATE_COLORS);
+            if(colors !== null) {
+                this.updateParticulateColor(colors);
+            }
+
+            // Weather starts at full intensity, without easing in
+            this._weatherRamps = {};
+            for(var key in this.weatherCondition) {
+                if(this.weatherCondition.hasOwnProperty(key)) {
+                    this._weatherRamps[key] = {from: 0, to: 0, elapsed: 0, duration: 0};
+                }
+            }
+            this.updateAutoWeather(this.autoWeather);
+            this._updateWeatherIntensity(Infinity);
+            this.updateClouds(this.clouds);
+
+            this._updateMeteorology();
+            this.updateWind(this.wind);
 
-            this.nextParticle = new ig.Timer();
+            this._weatherSnapshot = JSON.stringify(this.weatherCondition);
+            this._meteorologySnapshot = ig.copy(this.meteorology);
 
             //console.log('========== Impact Atmospheric System Plugin initialized ==========');
             //console.log('Update rate: ' + updateRate + ' seconds');
@@ -268,77 +1029,101 @@ ig.module(
          *  @private
          */
         update: function() {
-            if(this.updateTimer.delta() >= 0) {
+            if(this.updateTimer.delta() >= 0 && !this.paused) {
                 this.updateTimer.reset();
 
                 // Update and recalculate time
                 //console.log('----- ' + this.updateRate + ' seconds elapsed, date/time updated -----');
+                var previousJulianDate = this.julianDate;
                 this._updateDateTime(this.gregorianDate, this.timescale);
                 //console.log('Current: ' + this.convertJulianToGregorian(this.convertGregorianToJulian(this.gregorianDate)).toString());
 
                 // Recompute solstices, equinoxes, and current season for new year
-                if(this.gregorianDate.year !== this.convertJulianToGregorian(this.season.vernalEquinox).getFullYear()) {
+                if(this.gregorianDate.year !== this.season.year) {
                     //console.log('----- Time to recompute seasons -----');
                     this.season = this._computeSeasons(this.gregorianDate, this.geoCoords);
+                    this.seasonState = this._computeSeasonState(this.julianDate, this.season);
                 }
 
-                // Recompute sunrise and sunset times for new day
-                if(this.convertGregorianToJulian(this.gregorianDate) >= this.solar.nextUpdate) {
+                // Recompute sunrise and sunset times for new day (or previous day when running in reverse)
+                if(this.julianDate >= this.solar.nextUpdate || this.julianDate < this.solar.nextUpdate - this.solar.dayLength) {
                     //console.log('----- Time to recompute sunriset -----');
-                    this.solar = this._computeSunriset(this.convertGregorianToJulian(this.gregorianDate), this.geoCoords);
+                    this.solar = this._computeSunriset(this.julianDate, this.geoCoords);
                 }
-            }
 
-            // Generate particles based on weather condition
-            if(this.weatherCondition.rain) {
-                // Rain
-                if(this.particlesCurr < this.particlesMax && this.nextParticle.delta() >= 0) {
-                    this.particlesCurr++;
-                    this.nextParticle.set(1 / (ig.system.height + 1));
-                    ig.game.spawnEntity(
-                        EntityRain,
-                        Math.random() * (ig.game.screen.x + ig.system.width - ig.game.screen.x) + ig.game.screen.x,
-                        ig.game.screen.y,
-                        {weight: Math.random() + 0.5} // Randomize raindrop weight (range: 0.5 - 1.5)
-                    );
-                } else if(this.particlesCurr >= this.particlesMax) {
-                    this.nextParticle.set(0);
+                // Recompute moon phase, moonrise, and moonset for new day (or previous day when running in reverse)
+                if(this.julianDate >= this.lunar.nextUpdate || this.julianDate < this.lunar.nextUpdate - 1) {
+                    //console.log('----- Time to recompute lunar -----');
+                    this.lunar = this._computeLunar(this.julianDate, this.geoCoords);
+                }
+
+                // Recompute sun position and twilight phase
+                this._updateSunlight();
+
+                // Recompute moon position and moonlit night darkness
+                this._updateMoonlight();
+
+                // Move to the next weather state once the current one has run its course
+                if(this.autoWeather && (this.julianDate >= this.weatherState.until || this.julianDate < this.weatherState.since)) {
+                    this._enterWeatherState(this._pickWeatherState(this.weatherState.name));
                 }
-            } else {
-                if(this.particlesCurr > 0 && this.nextParticle.delta() >= 0) {
-                    var r = ig.game.getEntitiesByType(EntityRain)[0];
-                    if(typeof r !== 'undefined') {
-                        r.kill();
-                        this.particlesCurr--;
 
-                        this.nextParticle.set(2 / (this.particlesCurr + 1));
+                // Recompute temperature, humidity, and pressure
+                this._updateMeteorology(Math.abs(this.julianDate - previousJulianDate));
+
+                // Notify listeners of every transition passed since last update, including skipped ones
+                this._emitTimeEvents(previousJulianDate, this.julianDate);
+
+                // Notify listeners of meteorological changes of a whole unit or more since last notified
+                var quantities = ['temperature', 'humidity', 'dewPoint', 'pressure'];
+                for(var q = 0; q < quantities.length; q++) {
+                    if(Math.abs(this.meteorology[quantities[q]] - this._meteorologySnapshot[quantities[q]]) >= 1) {
+                        this._emit(quantities[q] + 'Change', {julianDate: this.julianDate, previous: this._meteorologySnapshot[quantities[q]], current: this.meteorology[quantities[q]]});
+                        this._meteorologySnapshot[quantities[q]] = this.meteorology[quantities[q]];
                     }
                 }
             }
 
-            if(this.weatherCondition.snow) {
-                // Snow
-                if(this.particlesCurr < this.particlesMax && this.nextParticle.delta() >= 0) {
-                    this.particlesCurr++;
-                    this.nextParticle.set(1 / (this.particlesMax - this.particlesCurr + 1));
-                    ig.game.spawnEntity(
-                        EntitySnow,
-                        Math.random() * (ig.game.screen.x + ig.system.width - ig.game.screen.x) + ig.game.screen.x,
-                        ig.game.screen.y,
-                        {radius: Math.random() * 0.5 + 1} // Randomize snow particle size (range: 1.0 - 1.5)
-                    );
-                } else if(this.particlesCurr >= this.particlesMax) {
-                    this.nextParticle.set(0);
+            // Advance wind gusts, and drift the fog and haze with the wind at the center of the screen
+            this._windTime += ig.system.tick;
+            this._windGust = (4 * PerlinNoise.noise(this._windTime * 0.3, 7.1, 3.3) - 2).limit(0, 1);
+            if(this.weatherIntensity.fog > 0 || this.weatherIntensity.sandstorm > 0 || this.weatherIntensity.dust > 0 || this.weatherIntensity.ash > 0) {
+                var wind = this.getWindAt(ig.game.screen.x + ig.system.width / 2, ig.game.screen.y + ig.system.height / 2);
+                this._fogOffset = {x: this._fogOffset.x + wind.x * ig.system.tick * ig.system.scale, y: this._fogOffset.y + wind.y * ig.system.tick * ig.system.scale};
+            }
+
+            // Ease weather intensities, following conditions turned on or off since last frame
+            this._updateWeatherIntensity(ig.system.tick);
+
+            // Cover the sky with clouds for the weather, drifting at altitude
+            this.cloudCover = this._computeCloudCover();
+            if(this.cloudCover > 0) {
+                var drift = this.getWindAt(ig.game.screen.x + ig.system.width / 2, ig.game.screen.y + ig.system.height / 2);
+                this._cloudOffset = {x: this._cloudOffset.x + drift.x * this.clouds.speed * ig.system.tick * ig.system.scale, y: this._cloudOffset.y + drift.y * this.clouds.speed * ig.system.tick * ig.system.scale};
+            }
+
+            // Notify listeners of weather condition changes made since last frame
+            var weather = JSON.stringify(this.weatherCondition);
+            if(weather !== this._weatherSnapshot) {
+                this._emit('weatherChange', {julianDate: this.julianDate, previous: JSON.parse(this._weatherSnapshot), current: JSON.parse(weather)});
+                this._weatherSnapshot = weather;
+            }
+
+            // Generate particles in proportion to the intensity of each precipitation or particulate, sharing the maximum between them
+            var types = this._getParticleTypes(),
+                share = 0,
+                k;
+            for(k in types) {
+                if(types.hasOwnProperty(k)) {
+                    share += this.weatherIntensity[k];
                 }
-            } else {
-                if(this.particlesCurr > 0 && this.nextParticle.delta() >= 0) {
-                    var s = ig.game.getEntitiesByType(EntitySnow)[0];
-                    if(typeof s !== 'undefined') {
-                        s.kill();
-                        this.particlesCurr--;
+            }
+            share = Math.max(1, share);
 
-                        this.nextParticle.set(2 / (this.particlesCurr + 1));
-                    }
+            this.particlesCurr = 0;
+            for(k in types) {
+                if(types.hasOwnProperty(k)) {
+                    this.particlesCurr += this._updateParticles(k, Math.round(this.particlesMax * this.weatherIntensity[k] / share));
                 }
             }
         }, // End update
@@ -352,11 +1137,12 @@ ig.module(
          *  @private
          */
         draw: function() {
-            if(this.weatherCondition.lightning) {
+            if(this.weatherIntensity.lightning > 0) {
                 if(this._lightningActive <= 0 && this.updateTimer.delta() === -this.updateRate) {
-                    // Trigger lightning
-                    if(Math.random() < this.lightningRate) {
+                    // Trigger lightning, more often in heavier storms
+                    if(this.random() < this.lightningRate * this.weatherIntensity.lightning) {
                         this._lightningActive = ig.system.tick;
+                        this._emit('lightningStrike', {julianDate: this.julianDate, previous: false, current: true});
                     }
                 } else if(this._lightningActive > 0) {
                     // Compute ambient brightness due to lightning flash
@@ -371,81 +1157,426 @@ ig.module(
                 }
             }
 
-            this.sky = {};
-
-            // Compute rgba based on time of day
-            if(this.julianDate >= this.solar.sunrise.date && this.julianDate < this.solar.sunset.date) {
-                // Sun is up
-                if(this.julianDate >= this.solar.sunrise.date + this.solar.sunrise.duration / 1440) {
-                    // Sun has risen
-                    this.sunState = 1;
-                    this.sky.r = this.skyColor.day.r;
-                    this.sky.g = this.skyColor.day.g;
-                    this.sky.b = this.skyColor.day.b;
-                    this.sky.a = this.skyColor.day.a;
-                } else {
-                    // Sun is rising
-                    this.sunState = 0;
-                    this.sky.r = (this.skyColor.sunrise.r * (this.julianDate - this.solar.sunrise.date) / (this.solar.sunrise.duration / 1440)).floor();
-                    this.sky.g = (this.skyColor.sunrise.g * (this.julianDate - this.solar.sunrise.date) / (this.solar.sunrise.duration / 1440)).floor();
-                    this.sky.b = (this.skyColor.sunrise.b  * (this.julianDate - this.solar.sunrise.date) / (this.solar.sunrise.duration / 1440)).floor();
-                    this.sky.a = this.skyColor.night.a - this.skyColor.night.a * (this.julianDate - this.solar.sunrise.date) / (this.solar.sunrise.duration / 1440);
-                }
-            } else {
-                // Sun is down, handle new day hour wraparound
-                if(this.julianDate >= this.solar.sunset.date + this.solar.sunset.duration / 1440 || (this.julianDate % 1 >= 0.5 && this.julianDate < this.solar.nextUpdate)) {
-                    // Sun has set
-                    this.sunState = 3;
-                    this.sky.r = this.skyColor.night.r;
-                    this.sky.g = this.skyColor.night.g;
-                    this.sky.b = this.skyColor.night.b;
-                    this.sky.a = this.skyColor.night.a;
-                } else {
-                    // Sun is setting
-                    this.sunState = 2;
-                    this.sky.r = this.skyColor.sunset.r - (this.skyColor.sunset.r * (this.julianDate - this.solar.sunset.date) / (this.solar.sunset.duration / 1440)).floor();
-                    this.sky.g = this.skyColor.sunset.g - (this.skyColor.sunset.g * (this.julianDate - this.solar.sunset.date) / (this.solar.sunset.duration / 1440)).floor();
-                    this.sky.b = this.skyColor.sunset.b - (this.skyColor.sunset.b * (this.julianDate - this.solar.sunset.date) / (this.solar.sunset.duration / 1440)).floor();
-                    this.sky.a = this.skyColor.night.a * (this.julianDate - this.solar.sunset.date) / (this.solar.sunset.duration / 1440);
-                }
+            // Compute rgba from the sky palettes in effect, with the darkness lifted by moonlight in proportion to the night
+            this.sky = this._computeBlendedSkyColor(this._skyBlend[0]);
+            if(this._skyBlend.length > 1) {
+                this.sky = this._interpolateColor(this.sky, this._computeBlendedSkyColor(this._skyBlend[1]), this._skyBlend[1].weight, this._skyBlend[1].palette.space);
             }
+            this.sky.a *= 1 - this._moonlightLift * this._computeStarVisibility();
 
             ig.system.context.fillStyle = 'rgba(' + this.sky.r + ', ' + this.sky.g + ', ' + this.sky.b + ', ' + this.sky.a + ')';
             ig.system.context.fillRect(0, 0, ig.system.realWidth, ig.system.realHeight);
 
-            if(this.weatherCondition.fog) {
-                // Fog
-                if(!this.fog) {
-                    ig.system.context.clearRect(0, 0, ig.system.width, ig.system.height);
-
-                    var r, g, b, size = 5;
-                    for(var i = ig.game.screen.x; i < ig.game.screen.x + ig.system.width; i += size) {
-                        for(var j = ig.game.screen.y; j < ig.game.screen.y + ig.system.height; j += size) {
-                            r = g = b = (255 * PerlinNoise.noise(size * i / ig.system.width, size * j / ig.system.height, 0.6)).round();
-                            ig.system.context.fillStyle = 'rgba(' + r + ', ' + g + ', ' + b + ', ' + this.fogThickness + ')';
-                            ig.system.context.fillRect(i, j, size, size);
-                        }
-                    }
+            // Darken the ambient light under cloud cover (little between scattered clouds), and cast moving cloud shadows in sunlight
+            var overcast = 0.3 * this.cloudCover * this.cloudCover;
+            if(overcast > 0) {
+                ig.system.context.fillStyle = 'rgba(20, 24, 32, ' + overcast + ')';
+                ig.system.context.fillRect(0, 0, ig.system.realWidth, ig.system.realHeight);
+            }
 
-                    this.fog = new Image();
-                    this.fog.src = ig.system.context.canvas.toDataURL('image/png');
-                } else {
-                    ig.system.context.drawImage(this.fog, 0, 0);
+            var shadow = this.clouds.shadowStrength * (1 - this._computeStarVisibility()) * Math.min(1, 4 * this.cloudCover * (1 - this.cloudCover));
+            if(this.clouds.shadows && shadow > 0) {
+                this._drawTile(
+                    this._getCloudTile(this.cloudCover),
+                    this._cloudOffset.x - ig.game.screen.x * ig.system.scale,
+                    this._cloudOffset.y - ig.game.screen.y * ig.system.scale,
+                    shadow
+                );
+            }
+
+            // Tint the ambient light with airborne sand and dust, and shift it towards the glow of an eruption under ash
+            var pc = this.particulateColor,
+                wi = this.weatherIntensity;
+            if(wi.sandstorm > 0) {
+                ig.system.context.fillStyle = 'rgba(' + pc.sandstorm.r + ', ' + pc.sandstorm.g + ', ' + pc.sandstorm.b + ', ' + 0.35 * wi.sandstorm + ')';
+                ig.system.context.fillRect(0, 0, ig.system.realWidth, ig.system.realHeight);
+            }
+            if(wi.dust > 0) {
+                ig.system.context.fillStyle = 'rgba(' + pc.dust.r + ', ' + pc.dust.g + ', ' + pc.dust.b + ', ' + 0.2 * wi.dust + ')';
+                ig.system.context.fillRect(0, 0, ig.system.realWidth, ig.system.realHeight);
+            }
+            if(wi.ash > 0) {
+                ig.system.context.fillStyle = 'rgba(' + pc.glow.r + ', ' + pc.glow.g + ', ' + pc.glow.b + ', ' + pc.glow.a * wi.ash + ')';
+                ig.system.context.fillRect(0, 0, ig.system.realWidth, ig.system.realHeight);
+            }
+
+            if(wi.fog > 0) {
+                // Fog, tiled across the screen, drifting with the wind, and thickening with intensity
+                if(!this.fog) {
+                    this.fog = this._renderFog();
                 }
+                this._drawTile(this.fog, this._fogOffset.x, this._fogOffset.y, wi.fog);
             } else if(this.fog) {
                 delete this.fog;
             }
+
+            // Particulate haze from the fog noise, tinted (see ig.Atmosphere.HAZE)
+            var haze = ig.Atmosphere.HAZE;
+            for(var key in haze) {
+                if(haze.hasOwnProperty(key)) {
+                    if(wi[key] > 0) {
+                        if(!this._hazeTiles[key]) {
+                            this._hazeTiles[key] = this._renderFog(pc[key], haze[key].alpha, haze[key].stretch);
+                        }
+                        this._drawTile(this._hazeTiles[key], this._fogOffset.x * haze[key].speed, this._fogOffset.y * haze[key].speed, wi[key]);
+                    } else if(this._hazeTiles[key]) {
+                        delete this._hazeTiles[key];
+                    }
+                }
+            }
         }, // End draw
+
+        /**
+         *  Draws a seamless tile across the screen, shifted by an offset
+         *  @method ig.Atmosphere#_drawTile
+         *  @param {HTMLCanvasElement} tile  Seamless tile
+         *  @param {Number}            x     Horizontal offset in pixels
+         *  @param {Number}            y     Vertical offset in pixels
+         *  @param {Number}            alpha Opacity of the tile (range: 0 - 1)
+         *  @private
+         */
+        _drawTile: function(tile, x, y, alpha) {
+            x = (x % tile.width  + tile.width)  % tile.width  - tile.width;
+            y = (y % tile.height + tile.height) % tile.height - tile.height;
+
+            ig.system.context.globalAlpha = alpha;
+            for(var i = x; i < ig.system.realWidth; i += tile.width) {
+                for(var j = y; j < ig.system.realHeight; j += tile.height) {
+                    ig.system.context.drawImage(tile, i, j);
+                }
+            }
+            ig.system.context.globalAlpha = 1;
+        }, // End _drawTile
+
+        /**
+         *  Draws the sky, including the sun, moon, and stars at their positions in the sky
+         *  <br>Meant as a background layer behind the level's maps, in place of static sky images: call it in the draw method
+         *  of your main game <b>before</b> this.parent(), and set the game's clearColor to null so that the sky is not cleared away.
+         *  The sky is a gradient from a scattering model with a glow around the sun, or a flat color (see {@link ig.Atmosphere#skyLayer skyLayer}).
+         *  Stars rotate with sidereal time and fade in through twilight. Stars, sun, and moon fade behind the heaviest of the
+         *  cloud cover (squared, so scattered clouds hide little), fog, sandstorms, volcanic ash, and half the dust haze.
+         *  @method ig.Atmosphere#drawSky
+         *
+         *  @example
+         *  // In the main game
+         *  init: function() {
+         *      this.clearColor = null;
+         *      this.atmosphere = new ig.Atmosphere();
+         *  },
+         *
+         *  draw: function() {
+         *      this.atmosphere.drawSky();
+         *      this.parent();
+         *      this.atmosphere.draw();
+         *  }
+         */
+        drawSky: function() {
+            var context     = ig.system.context,
+                visibility  = this._computeStarVisibility(),
+                clear       = 1 - this._computeSkyObscuration(),
+                day         = this.skyLayer.day,
+                night       = this.skyLayer.night,
+                position,
+                i;
+
+            if(this.skyLayer.scattering) {
+                this._drawSkyGradient(clear);
+            } else {
+                // Sky brightens from night to day through twilight
+                context.fillStyle = 'rgba(' +
+                    (day.r + (night.r - day.r) * visibility).round() + ', ' +
+                    (day.g + (night.g - day.g) * visibility).round() + ', ' +
+                    (day.b + (night.b - day.b) * visibility).round() + ', 1)';
+                context.fillRect(0, 0, ig.system.realWidth, ig.system.realHeight);
+            }
+
+            if(clear <= 0) {
+                this._drawClouds(visibility);
+                return;
+            }
+
+            // Stars
+            if(visibility > 0) {
+                this._updateStarPositions();
+
+                for(i = 0; i < this._stars.catalog.length; i++) {
+                    position = this._projectSky(this._stars.positions[i]);
+
+                    if(position !== null) {
+                        context.fillStyle = 'rgba(255, 255, 255, ' + (this._stars.catalog[i].brightness * visibility * clear) + ')';
+                        context.fillRect(position.x, position.y, this._stars.catalog[i].brightness > 0.8 ? 2 : 1, this._stars.catalog[i].brightness > 0.8 ? 2 : 1);
+                    }
+                }
+            }
+
+            // Moon, faint by day
+            position = this._projectSky(this.moonPosition, this.skyLayer.moonRadius);
+            if(position !== null && this.lunar.illumination > 0.02) {
+                this._drawMoonDisc(position.x, position.y, this.skyLayer.moonRadius, (0.3 + 0.7 * visibility) * clear);
+            }
+
+            // Sun, reddening towards the horizon
+            position = this._projectSky(this.sunPosition, this.skyLayer.sunRadius);
+            if(position !== null) {
+                var warmth = (1 - this.sunPosition.altitude / 10).limit(0, 1);
+
+                context.fillStyle = 'rgba(255, ' + (245 - 105 * warmth).round() + ', ' + (200 - 140 * warmth).round() + ', ' + clear + ')';
+                context.beginPath();
+                context.arc(position.x, position.y, this.skyLayer.sunRadius, 0, 2 * Math.PI);
+                context.fill();
+            }
+
+            this._drawClouds(visibility);
+        }, // End drawSky
+
+        /**
+         *  Draws the cloud layer across the sky, lit by day, dark by night, and greying under precipitation and storms
+         *  @method ig.Atmosphere#_drawClouds
+         *  @param {Number} visibility Star visibility (range: 0 - 1, 1 = night)
+         *  @private
+         */
+        _drawClouds: function(visibility) {
+            if(this.cloudCover <= 0) {
+                return;
+            }
+
+            var storm = 0.6 * this._computePrecipitationIntensity(),
+                light = (1 - storm) * (1 - 0.8 * visibility),
+                color = {
+                    r: 40 + 200 * light,
+                    g: 45 + 198 * light,
+                    b: 60 + 190 * light
+                };
+
+            this._drawTile(this._tintCloudTile(this._getCloudTile(this.cloudCover), color), this._cloudOffset.x, this._cloudOffset.y, 1);
+        }, // End _drawClouds
+
+        /**
+         *  Draws the sky as a vertical gradient from a scattering model, with a glow around the sun
+         *  <br>Overcast skies are drawn desaturated, without the glow.
+         *  @method ig.Atmosphere#_drawSkyGradient
+         *  @param {Number} clear Fraction of the sky not hidden by weather (range: 0 - 1)
+         *  @private
+         */
+        _drawSkyGradient: function(clear) {
+            var context   = ig.system.context,
+                scale     = ig.system.realWidth / this.skyLayer.fieldOfView,
+                horizon   = ig.system.realHeight * this.skyLayer.horizon,
+                top       = Math.min(90, horizon / scale),
+                altitudes = [top, 60, 35, 20, 10, 6, 3, 1, 0],
+                gradient  = context.createLinearGradient(0, 0, 0, horizon),
+                night     = this.skyLayer.night,
+                sun       = this.sunPosition.altitude,
+                cloud     = 0.8 * (1 - clear),
+                color,
+                i;
+
+            // Color stops at fixed altitudes, denser towards the horizon where colors change the most
+            for(i = 0; i < altitudes.length; i++) {
+                if(altitudes[i] <= top) {
+                    color = ig.AtmosphereCore.computeSkyScattering(altitudes[i], sun);
+
+                    // Overcast skies lose most of their color
+                    var r    = color.r + night.r,
+                        g    = color.g + night.g,
+                        b    = color.b + night.b,
+                        gray = 0.3 * r + 0.59 * g + 0.11 * b;
+
+                    gradient.addColorStop(
+                        (horizon - altitudes[i] * scale) / horizon,
+                        'rgb(' + (r + (gray - r) * cloud).round().limit(0, 255) + ', ' + (g + (gray - g) * cloud).round().limit(0, 255) + ', ' + (b + (gray - b) * cloud).round().limit(0, 255) + ')'
+                    );
+                }
+            }
+
+            context.fillStyle = gradient;
+            context.fillRect(0, 0, ig.system.realWidth, ig.system.realHeight);
+
+            // Glow of haze around the sun, added on top of the gradient, centered no lower than the horizon
+            if(clear > 0 && sun > this.twilightAltitudes.nautical) {
+                var position = this._projectSky(this.sunPosition, Infinity),
+                    y        = Math.min(position.y, horizon),
+                    base     = ig.AtmosphereCore.computeSkyScattering(3, sun),
+                    glow     = context.createRadialGradient(position.x, y, 0, position.x, y, 60 * scale),
+                    angles   = [0, 5, 15, 30, 60];
+
+                for(i = 0; i < angles.length; i++) {
+                    color = ig.AtmosphereCore.computeSkyScattering(3, sun, angles[i]);
+                    glow.addColorStop(angles[i] / 60, 'rgb(' +
+                        (Math.max(0, color.r - base.r) * clear).round() + ', ' +
+                        (Math.max(0, color.g - base.g) * clear).round() + ', ' +
+                        (Math.max(0, color.b - base.b) * clear).round() + ')'
+                    );
+                }
+
+                context.save();
+                context.globalCompositeOperation = 'lighter';
+                context.fillStyle = glow;
+                context.fillRect(0, 0, ig.system.realWidth, ig.system.realHeight);
+                context.restore();
+            }
+        }, // End _drawSkyGradient
+
+        /**
+         *  Projects a position in the sky onto the screen
+         *  @method ig.Atmosphere#_projectSky
+         *  @param  {CelestialPositionObject} position Altitude and azimuth in degrees
+         *  @param  {Number}                  [margin] Distance in pixels the position may lie off screen (e.g. radius of a disc)
+         *  @return {?Object}                          Screen coordinates in pixels (x, y), or null if off screen or below the horizon
+         *  @private
+         */
+        _projectSky: function(position, margin) {
+            var scale   = ig.system.realWidth / this.skyLayer.fieldOfView,
+                azimuth = ((position.azimuth - this.skyLayer.facing) % 360 + 540) % 360 - 180, // Range: -180 - 180
+                x       = ig.system.realWidth / 2 + azimuth * scale,
+                y       = ig.system.realHeight * this.skyLayer.horizon - position.altitude * scale;
+
+            margin = margin || 0;
+
+            if(position.altitude * scale < -margin || x < -margin || x > ig.system.realWidth + margin || y < -margin) {
+                return null;
+            }
+
+            return {x: x, y: y};
+        }, // End _projectSky
+
+        /**
+         *  Computes the visibility of stars due to the altitude of the sun
+         *  <br>Eased like the night darkness, so that stars come out late in twilight.
+         *  @method ig.Atmosphere#_computeStarVisibility
+         *  @return {Number} Visibility of stars (range: 0 - 1, 0 = day, 1 = night)
+         *  @private
+         */
+        _computeStarVisibility: function() {
+            var progress = ((this.sunPosition.altitude - this.twilightAltitudes.astronomical) /
+                            (this.twilightAltitudes.horizon - this.twilightAltitudes.astronomical)).limit(0, 1);
+
+            return 1 - Math.pow(progress, 2);
+        }, // End _computeStarVisibility
+
+        /**
+         *  Computes the fraction of the sky hidden by weather
+         *  @method ig.Atmosphere#_computeSkyObscuration
+         *  @return {Number} Fraction of the sky hidden (range: 0 - 1, 0 = clear sky)
+         *  @private
+         */
+        _computeSkyObscuration: function() {
+            var wi = this.weatherIntensity;
+
+            // Scattered clouds hide little of the sky objects; the cloud layer passes over them anyway
+            return Math.max(this.cloudCover * this.cloudCover, wi.fog, wi.sandstorm, wi.ash, 0.5 * wi.dust);
+        }, // End _computeSkyObscuration
+
+        /**
+         *  Computes the intensity of the heaviest precipitation or storm
+         *  @method ig.Atmosphere#_computePrecipitationIntensity
+         *  @return {Number} Intensity (range: 0 - 1)
+         *  @private
+         */
+        _computePrecipitationIntensity: function() {
+            var intensity = this.weatherIntensity.lightning;
+
+            for(var i = 0; i < ig.Atmosphere.PRECIPITATION.length; i++) {
+                intensity = Math.max(intensity, this.weatherIntensity[ig.Atmosphere.PRECIPITATION[i]]);
+            }
+
+            return intensity;
+        }, // End _computePrecipitationIntensity
+
+        /**
+         *  Computes the fraction of the sky covered by clouds for the current weather
+         *  @method ig.Atmosphere#_computeCloudCover
+         *  @return {Number} Cloud cover (range: 0 - 1)
+         *  @private
+         */
+        _computeCloudCover: function() {
+            return Math.max(this.clouds.cover, this.weatherIntensity.overcast, Math.min(1, 2 * this._computePrecipitationIntensity()));
+        }, // End _computeCloudCover
+
+        /**
+         *  Recomputes the positions of the stars in the sky, if the date or geographical coordinates changed
+         *  <br>The star field is regenerated whenever the seed or the number of stars changes.
+         *  @method ig.Atmosphere#_updateStarPositions
+         *  @private
+         */
+        _updateStarPositions: function() {
+            var key = this.julianDate + ',' + this.geoCoords.latitude + ',' + this.geoCoords.longitude,
+                i;
+
+            if(this._stars === null || this._stars.seed !== this.seed || this._stars.catalog.length !== this.skyLayer.stars) {
+                // Draw from a copy of the seed, so that the star field does not disturb the pseudorandom sequence
+                var randomState = this._randomState;
+
+                this._randomState = this.seed;
+                this._stars = {seed: this.seed, catalog: [], positions: [], positionKey: null};
+
+                // Uniformly distributed over the sphere, mostly faint
+                for(i = 0; i < this.skyLayer.stars; i++) {
+                    this._stars.catalog.push({
+                        rightAscension: this.random() * 360,
+                        declination   : Math.asin(this.random() * 2 - 1).toDeg(),
+                        brightness    : Math.pow(this.random(), 3) * 0.8 + 0.2
+                    });
+                }
+
+                this._randomState = randomState;
+            }
+
+            if(this._stars.positionKey !== key) {
+                for(i = 0; i < this._stars.catalog.length; i++) {
+                    this._stars.positions[i] = ig.AtmosphereCore.convertEquatorialToHorizontal(this._stars.catalog[i], this.julianDate, this.geoCoords, this.planet);
+                }
+                this._stars.positionKey = key;
+            }
+        }, // End _updateStarPositions
+
+        /**
+         *  Draws the moon disc with its current phase
+         *  <br>The lit side faces right while waxing and left while waning, mirrored in the southern hemisphere.
+         *  @method ig.Atmosphere#_drawMoonDisc
+         *  @param {Number} x      Horizontal position of the center in pixels
+         *  @param {Number} y      Vertical position of the center in pixels
+         *  @param {Number} radius Radius in pixels
+         *  @param {Number} alpha  Opaqueness of the disc
+         *  @private
+         */
+        _drawMoonDisc: function(x, y, radius, alpha) {
+            var context    = ig.system.context,
+                waxing     = this.lunar.phase < 0.5,
+                side       = (waxing ? 1 : -1) * (this.geoCoords.latitude < 0 ? -1 : 1),
+                terminator = Math.cos(2 * Math.PI * this.lunar.phase), // 1 = new moon, -1 = full moon
+                steps      = 16,
+                i;
+
+            // Unlit part of the disc
+            context.fillStyle = 'rgba(60, 60, 70, ' + (alpha * 0.3) + ')';
+            context.beginPath();
+            context.arc(x, y, radius, 0, 2 * Math.PI);
+            context.fill();
+
+            // Lit limb from top to bottom, then back up along the terminator
+            context.fillStyle = 'rgba(235, 235, 220, ' + alpha + ')';
+            context.beginPath();
+            context.arc(x, y, radius, -Math.PI / 2, Math.PI / 2, side < 0);
+            for(i = 0; i <= steps; i++) {
+                var dy = radius - 2 * radius * i / steps;
+                context.lineTo(x + side * terminator * Math.sqrt(radius * radius - dy * dy), y + dy);
+            }
+            context.closePath();
+            context.fill();
+        }, // End _drawMoonDisc
         //---------------------------------------------------------------------
 
         /**
          *  Set/Store date and time
+         *  <br>The date and time fields of the Date object are read as the wall-clock time at the plugin's
+         *  {@link ig.Atmosphere#timezone timezone}, regardless of the browser's time zone.
          *  @method ig.Atmosphere#setDateTime
-         *  @param {Date} [datetime=new Date()] New plugin date and time
+         *  @param {Date} [datetime=new Date()] New plugin date and time (defaults to the current instant at the plugin's time zone)
          *
          *  @example
-         *  // Set plugin current date and time to today
-         *  ig.Atmosphere.setDateTime(new Date());
+         *  // Set plugin current date and time to now
+         *  ig.Atmosphere.setDateTime();
          *  @example
          *  // Set plugin current date and time to April 14, 2014 5:23:37 PM
          *  ig.Atmosphere.setDateTime(new Date(2014, 3, 14, 17, 23, 37));
@@ -457,46 +1588,91 @@ ig.module(
                     console.warn('datetime \'' + datetime + '\' not a valid Date object. Attempting to create Date object from datetime.');
                     datetime = new Date(datetime);
 
-                    if(typeof datetime.getFullYear() === 'number') {
+                    if(isNaN(datetime.getTime())) {
                         console.warn('Failed to create Date object. Defaulting datetime to current date and time.');
-                        datetime = new Date(datetime);
+                        datetime = undefined;
                     }
                 }
             } else {
                 //console.warn('datetime not provided. Defaulting datetime to current date and time.');
-                datetime = new Date();
             }
 
-            this.gregorianDate = {
-                year       : datetime.getFullYear(),
-                month      : datetime.getMonth() + 1,
-                day        : datetime.getDate(),
-                hour       : datetime.getHours(),
-                minute     : datetime.getMinutes(),
-                second     : datetime.getSeconds(),
-                millisecond: datetime.getMilliseconds()
-            };
+            if(typeof datetime === 'undefined') {
+                // Current instant, independent of the browser's time zone
+                this.julianDate = Date.now() / 86400000 + 2440587.5; // 2440587.5 JD = January 1, 1970 00:00:00 UTC
+            } else {
+                this.julianDate = this.convertGregorianToJulian({
+                    year       : datetime.getFullYear(),
+                    month      : datetime.getMonth() + 1,
+                    day        : datetime.getDate(),
+                    hour       : datetime.getHours(),
+                    minute     : datetime.getMinutes(),
+                    second     : datetime.getSeconds(),
+                    millisecond: datetime.getMilliseconds()
+                });
+            }
 
-            this.julianDate = this.convertGregorianToJulian(this.gregorianDate);
+            this.gregorianDate = this._convertJulianToCalendar(this.julianDate + this.getUtcOffset(this.julianDate) / 24);
         }, // End setDateTime
 
         /**
          *  Get stored date and time
          *  @method ig.Atmosphere#getDateTime
-         *  @return {Date} Current plugin date and time
+         *  @return {Date} Current plugin date and time (wall-clock time at the plugin's time zone)
+         *  @see For the date in the plugin's calendar, use {@link getCalendarDate}.
          */
         getDateTime: function() {
-            return new Date(
-                this.gregorianDate.year,
-                this.gregorianDate.month,
-                this.gregorianDate.day,
-                this.gregorianDate.hour,
-                this.gregorianDate.mintute,
-                this.gregorianDate.second,
-                this.gregorianDate.millisecond
-            );
+            return this.convertJulianToGregorian(this.julianDate);
         }, // End getDateTime
 
+        /**
+         *  Get date and time in the plugin's calendar
+         *  @method ig.Atmosphere#getCalendarDate
+         *  @param  {Number} [jDate] Specified date in Julian date (defaults to current plugin date and time)
+         *  @return {CalendarDateObject} Date and time in the plugin's calendar (wall-clock time at the plugin's time zone)
+         *
+         *  @example
+         *  // Close the shops on the last day of the week
+         *  var today = ig.Atmosphere.getCalendarDate();
+         *  if(today.weekday === ig.Atmosphere.calendar.weekdays.length - 1) { ... }
+         */
+        getCalendarDate: function(jDate) {
+            return ig.AtmosphereCore.convertJulianToCalendarDate(typeof jDate === 'number' ? jDate : this.julianDate, this.calendar, this.timezone);
+        }, // End getCalendarDate
+
+        /**
+         *  Formats date and time in the plugin's calendar
+         *  @method ig.Atmosphere#formatDate
+         *  @param  {String} [format] Format of the date (see {@link ig.AtmosphereCore.formatCalendarDate}; defaults to the calendar's format)
+         *  @param  {Number} [jDate]  Specified date in Julian date (defaults to current plugin date and time)
+         *  @return {String}          The formatted date (wall-clock time at the plugin's time zone)
+         *
+         *  @example
+         *  // 'Goldday, 3 Harvest 15, Age of Dawn'
+         *  ig.Atmosphere.formatDate();
+         *  @example
+         *  // '14:05'
+         *  ig.Atmosphere.formatDate('{hour}:{minute}');
+         */
+        formatDate: function(format, jDate) {
+            return ig.AtmosphereCore.formatCalendarDate(typeof jDate === 'number' ? jDate : this.julianDate, this.calendar, format, this.timezone);
+        }, // End formatDate
+
+        /**
+         *  Parses date and time in the plugin's calendar
+         *  @method ig.Atmosphere#parseDate
+         *  @param  {String}  text     Text of the date (wall-clock time at the plugin's time zone)
+         *  @param  {String}  [format] Format of the date (see {@link ig.AtmosphereCore.formatCalendarDate}; defaults to the calendar's format)
+         *  @return {?Number}          The equivalent Julian Date, or null if the text is not a valid date in that format
+         *
+         *  @example
+         *  // Jump to the start of the harvest festival
+         *  ig.Atmosphere.seek(ig.Atmosphere.convertJulianToGregorian(ig.Atmosphere.parseDate('1 Harvest 15', '{day} {month} {year}')));
+         */
+        parseDate: function(text, format) {
+            return ig.AtmosphereCore.parseCalendarDate(text, this.calendar, format, this.timezone);
+        }, // End parseDate
+
         /**
          *  Updates stored date and time and performs post-recomputations, if necessary
          *  @method ig.Atmosphere#_updateDateTime
@@ -506,91 +1682,683 @@ ig.module(
          *  @private
          */
         _updateDateTime: function(datetime, timescale) {
-            this.setDateTime(new Date(
-                this.gregorianDate.year,
-                this.gregorianDate.month - 1,
-                this.gregorianDate.day,
-                this.gregorianDate.hour,
-                this.gregorianDate.minute,
-                this.gregorianDate.second,
-                this.gregorianDate.millisecond + this.updateRate * timescale * 1000
-            ));
-
-            this.julianDate = this.convertGregorianToJulian(this.gregorianDate);
-
-            if(this.julianDate < this.season.vernalEquinox || this.julianDate >= this.season.hibernalSolstice) {
-                this.seasonState = 3;
-            } else if(this.julianDate < this.season.estivalSolstice) {
-                this.seasonState = 0;
-            } else if(this.julianDate < this.season.autumnalEquinox) {
-                this.seasonState = 1;
-            } else if(this.julianDate < this.season.hibernalSolstice) {
-                this.seasonState = 2;
-            }
+            this.julianDate += this.updateRate * timescale / 86400;
+            this.gregorianDate = this._convertJulianToCalendar(this.julianDate + this.getUtcOffset(this.julianDate) / 24);
+
+            this.seasonState = this._computeSeasonState(this.julianDate, this.season);
         }, // End _updateDateTime
 
         /**
-         *  Updates time scale and performs post-recomputations, if necessary
-         *  @method ig.Atmosphere#updateTimescale
-         *  @param {Number} [timescale=1] New plugin time scale
+         *  Jumps to specified date and time and recomputes all date-dependent results
+         *  <br>Unlike {@link setDateTime}, solar, lunar, and season-related results are brought up to date immediately,
+         *  including when jumping backwards in time.
+         *  @method ig.Atmosphere#seek
+         *  @param {Date} [datetime=new Date()] New plugin date and time (wall-clock time at the plugin's time zone)
          *
          *  @example
-         *  // 1 second real time = 0.5 second plugin time
-         *  ig.Atmosphere.updateTimescale(0.5);
+         *  // Jump to June 21, 2014 9:00:00 PM for a cutscene
+         *  ig.Atmosphere.seek(new Date(2014, 5, 21, 21, 0, 0));
+         */
+        seek: function(datetime) {
+            this.setDateTime(datetime);
+            this._recomputeAll();
+        }, // End seek
+
+        /**
+         *  Jumps forward to the next occurrence of specified event and recomputes all date-dependent results
+         *  <br>Like fast-forwarding, events passed along the way (including the event skipped to) are emitted in order.
+         *  <br>Skipping to a sunrise or sunset near the poles may jump ahead by months. If the event does not occur within
+         *  the next year of the planet (e.g. no sunrise or sunset at the poles), the date and time are left unchanged.
+         *  @method ig.Atmosphere#skipTo
+         *  @param  {String}  event Event to skip to ('sunrise', 'sunset', 'solarNoon' or 'seasonChange')
+         *  @return {?Number}       Date skipped to in Julian days, or null if the event was not found
+         *
          *  @example
-         *  // 1 second real time = 10 second plugin time
-         *  ig.Atmosphere.updateTimescale(10);
+         *  // Wait until dawn
+         *  ig.Atmosphere.skipTo('sunrise');
+         *  @example
+         *  // Fast-forward to the start of the next season
+         *  ig.Atmosphere.skipTo('seasonChange');
          */
-        updateTimescale: function(timescale) {
-            // Sanity check
-            if(typeof timescale !== 'undefined') {
-                if(typeof timescale === 'number') {
-                    if(timescale <= 0) {
-                        console.warn('timescale \'' + timescale + '\' not a positive integer. Assuming timescale absolute value.');
-                        timescale = Math.abs(timescale);
+        skipTo: function(event) {
+            var jDate = null,
+                solar,
+                date,
+                i;
+
+            if(event === 'sunrise' || event === 'sunset' || event === 'solarNoon') {
+                // Search the current solar day, then each following day for a year
+                for(i = 0; i <= Math.ceil(this.planet.orbitalPeriod / this.solar.dayLength) && jDate === null; i++) {
+                    solar = i === 0 ? this.solar : this._computeSunriset(this.solar.noon + i * this.solar.dayLength, this.geoCoords);
+                    date  = event === 'sunrise' ? solar.sunrise.date :
+                            event === 'sunset'  ? solar.sunset.date  :
+                            solar.noon;
+
+                    if(date !== null && date > this.julianDate) {
+                        jDate = date;
+                    }
+                }
+            } else if(event === 'seasonChange') {
+                // Search the current calendar year, then the following calendar years until a year of the planet has passed
+                for(i = 0; i <= Math.ceil(this.planet.orbitalPeriod / 365.2425) && jDate === null; i++) {
+                    var boundaries = (i === 0 ? this.season : this._computeSeasons({year: this.season.year + i, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0}, this.geoCoords)).boundaries;
+
+                    for(var j = 0; j < boundaries.length && jDate === null; j++) {
+                        if(boundaries[j].date > this.julianDate) {
+                            jDate = boundaries[j].date;
+                        }
                     }
-                } else {
-                    console.warn('timescale \'' + timescale + '\' not a number. Typecasting timescale to integer.');
-                    timescale = Number(timescale);
                 }
             } else {
-                //console.warn('timescale not provided. Defaulting timescale to 1.');
-                timescale = 1;
+                console.warn('event \'' + event + '\' not a known event. Date and time left unchanged.');
+                return null;
             }
 
-            this.timescale = timescale;
-        },
+            if(jDate === null) {
+                console.warn('No ' + event + ' found within the next year. Date and time left unchanged.');
+                return null;
+            }
+
+            var previousJulianDate = this.julianDate;
+
+            this.julianDate = jDate;
+            this.gregorianDate = this._convertJulianToCalendar(this.julianDate + this.getUtcOffset(this.julianDate) / 24);
+            this._recomputeAll();
+            this._emitTimeEvents(previousJulianDate, this.julianDate);
+
+            return jDate;
+        }, // End skipTo
 
         /**
-         *  Updates update rate and performs post-recomputations, if necessary
-         *  @method ig.Atmosphere#updateUpdateRate
-         *  @param {Number} [updateRate=60] New plugin update rate
+         *  Pauses the plugin's clock
+         *  <br>Date and time stop advancing; weather effects keep running.
+         *  @method ig.Atmosphere#pause
          *
          *  @example
-         *  // Update plugin every 30 seconds
-         *  ig.Atmosphere.updateUpdateRate(30);
+         *  // Freeze time during a cutscene
+         *  ig.Atmosphere.pause();
          */
-        updateUpdateRate: function(updateRate) {
-            // Sanity check
-            if(typeof updateRate !== 'undefined') {
-                if(typeof updateRate === 'number') {
-                    if(updateRate <= 0) {
-                        console.warn('updateRate \'' + updateRate + '\' not a positive number. Assuming updateRate absolute value.');
-                        updateRate = Math.abs(updateRate);
-                    }
-                } else {
-                    console.warn('updateRate \'' + updateRate + '\' not a number. Typecasting updateRate to number.');
-                    updateRate = parseFloat(updateRate);
-                }
-            } else {
-                //console.warn('updateRate not provided. Defaulting updateRate to 60.');
-                updateRate = 60;
-            }
+        pause: function() {
+            this.paused = true;
+        }, // End pause
+
+        /**
+         *  Resumes the plugin's clock after {@link pause}
+         *  @method ig.Atmosphere#resume
+         */
+        resume: function() {
+            this.paused = false;
+            this.updateTimer.reset();
+        }, // End resume
+
+        /**
+         *  Recomputes all date-dependent results for current date, time, and geographical coordinates
+         *  @method ig.Atmosphere#_recomputeAll
+         *  @private
+         */
+        _recomputeAll: function() {
+            this.season = this._computeSeasons(this.gregorianDate, this.geoCoords);
+            this.seasonState = this._computeSeasonState(this.julianDate, this.season);
+            this.solar = this._computeSunriset(this.julianDate, this.geoCoords);
+            this.lunar = this._computeLunar(this.julianDate, this.geoCoords);
+            this._updateSunlight();
+            this._updateMoonlight();
+            this._updateMeteorology();
+        }, // End _recomputeAll
+
+        /**
+         *  Event payload passed to event listeners
+         *  <br>When the clock runs in reverse, events fire as their instants are passed backwards, with the previous and
+         *  current states swapped accordingly.
+         *  @typedef {Object} AtmosphereEventObject
+         *  @property {Number} julianDate Instant the event occurred at in Julian days
+         *  @property {*}      previous   State before the event (sunState for solar events, Date of previous day for newDay, year for yearChange, seasonState for seasonChange, weatherCondition for weatherChange, value as of the last notification for meteorological changes)
+         *  @property {*}      current    State after the event, of the same kind as previous
+         */
+
+        /**
+         *  Registers a listener for specified event
+         *  @method ig.Atmosphere#on
+         *  @param {String}   event     Name of an event in {@link ig.Atmosphere.EVENTS}
+         *  @param {Function} callback  Function called with an {@link AtmosphereEventObject} when the event occurs
+         *  @param {Object}   [context] Value of this inside callback (defaults to the plugin)
+         *
+         *  @example
+         *  // Open the shop at sunrise
+         *  ig.Atmosphere.on('sunrise', function(e) { shop.open(); });
+         *  @example
+         *  // Change the music when the season changes
+         *  ig.Atmosphere.on('seasonChange', function(e) { this.playSeasonTheme(e.current); }, ig.game);
+         */
+        on: function(event, callback, context) {
+            // Sanity check
+            if(ig.Atmosphere.EVENTS.indexOf(event) === -1) {
+                console.warn('event \'' + event + '\' not a known event. Listener not registered.');
+                return;
+            }
+            if(typeof callback !== 'function') {
+                console.warn('callback \'' + callback + '\' not a function. Listener not registered.');
+                return;
+            }
+
+            if(typeof this._listeners[event] === 'undefined') {
+                this._listeners[event] = [];
+            }
+
+            this._listeners[event].push({callback: callback, context: context});
+        }, // End on
+
+        /**
+         *  Removes a listener registered with {@link on}
+         *  @method ig.Atmosphere#off
+         *  @param {String}   event      Name of the event
+         *  @param {Function} [callback] Listener to remove (removes every listener of the event if not provided)
+         *
+         *  @example
+         *  // Stop listening to every sunrise
+         *  ig.Atmosphere.off('sunrise');
+         */
+        off: function(event, callback) {
+            var listeners = this._listeners[event];
+
+            if(typeof listeners === 'undefined') {
+                return;
+            }
+
+            for(var i = listeners.length - 1; i >= 0; i--) {
+                if(typeof callback === 'undefined' || listeners[i].callback === callback) {
+                    listeners.splice(i, 1);
+                }
+            }
+        }, // End off
+
+        /**
+         *  Calls every listener of specified event
+         *  @method ig.Atmosphere#_emit
+         *  @param {String}                event   Name of the event
+         *  @param {AtmosphereEventObject} payload Event payload
+         *  @private
+         */
+        _emit: function(event, payload) {
+            var listeners = this._listeners[event];
+
+            if(typeof listeners === 'undefined') {
+                return;
+            }
+
+            // Listeners may remove themselves while being called
+            listeners = listeners.slice();
+
+            for(var i = 0; i < listeners.length; i++) {
+                listeners[i].callback.call(listeners[i].context || this, payload);
+            }
+        }, // End _emit
+
+        /**
+         *  Emits every date-dependent event passed between two instants, in the order they are passed
+         *  @method ig.Atmosphere#_emitTimeEvents
+         *  @param {Number} fromJDate Previous date in Julian days
+         *  @param {Number} toJDate   Current date in Julian days
+         *  @private
+         */
+        _emitTimeEvents: function(fromJDate, toJDate) {
+            var reverse = toJDate < fromJDate,
+                start   = Math.min(fromJDate, toJDate),
+                end     = Math.max(fromJDate, toJDate),
+                events  = [],
+                i;
+
+            // A state begins at its event's instant, so moving either way passes events within (start, end]
+            var add = function(event, date, previous, current) {
+                if(date !== null && date > start && date <= end) {
+                    events.push({
+                        event     : event,
+                        julianDate: date,
+                        previous  : reverse ? current  : previous,
+                        current   : reverse ? previous : current
+                    });
+                }
+            };
+
+            // Twilight, sunrise, and sunset of each solar day overlapping the interval
+            for(var solar = this._computeSunriset(start, this.geoCoords); solar.noon - solar.dayLength / 2 <= end; solar = this._computeSunriset(solar.noon + solar.dayLength, this.geoCoords)) {
+                add('dawnStart', solar.dawn.astronomical, 3, 0);
+                add('sunrise',   solar.sunrise.date,      0, 1);
+                add('sunset',    solar.sunset.date,       1, 2);
+                add('duskEnd',   solar.dusk.astronomical, 2, 3);
+            }
+
+            // Local midnights within the interval
+            var gDate    = this._convertJulianToCalendar(start + this.getUtcOffset(start) / 24),
+                midnight = this.convertGregorianToJulian({year: gDate.year, month: gDate.month, day: gDate.day, hour: 0, minute: 0, second: 0, millisecond: 0}),
+                next;
+
+            for(i = 1; midnight <= end; i++) {
+                next = this.convertGregorianToJulian({year: gDate.year, month: gDate.month, day: gDate.day + i, hour: 0, minute: 0, second: 0, millisecond: 0});
+
+                add('newDay', next, this.convertJulianToGregorian(midnight), this.convertJulianToGregorian(next));
+                if(this.convertJulianToGregorian(next).getFullYear() !== this.convertJulianToGregorian(midnight).getFullYear()) {
+                    add('yearChange', next, this.convertJulianToGregorian(midnight).getFullYear(), this.convertJulianToGregorian(next).getFullYear());
+                }
+
+                midnight = next;
+            }
+
+            // Season boundaries of each year overlapping the interval
+            var endYear = this._convertJulianToCalendar(end + this.getUtcOffset(end) / 24).year;
+
+            for(var year = gDate.year; year <= endYear; year++) {
+                var season     = year === this.season.year ? this.season : this._computeSeasons({year: year, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0}, this.geoCoords),
+                    boundaries = season.boundaries;
+
+                for(i = 0; i < boundaries.length; i++) {
+                    // Before the first boundary of the year, the season the year started in continues
+                    var previous = i === 0 ? season.initial : boundaries[i - 1].season;
+
+                    if(previous !== boundaries[i].season) {
+                        add('seasonChange', boundaries[i].date, previous, boundaries[i].season);
+                    }
+                }
+            }
+
+            // Events are passed in chronological order, or reverse chronological order when running in reverse
+            events.sort(function(a, b) { return reverse ? b.julianDate - a.julianDate : a.julianDate - b.julianDate; });
+
+            for(i = 0; i < events.length; i++) {
+                this._emit(events[i].event, {julianDate: events[i].julianDate, previous: events[i].previous, current: events[i].current});
+            }
+        }, // End _emitTimeEvents
+
+        /**
+         *  Versioned snapshot of the full plugin state
+         *  @typedef {Object} AtmosphereSnapshotObject
+         *  @property {Number}              version           Snapshot format version (see {@link ig.Atmosphere.SNAPSHOT_VERSION})
+         *  @property {Number}              seed              Seed of the pseudorandom number generator
+         *  @property {Number}              randomState       Internal state of the pseudorandom number generator
+         *  @property {Number}              julianDate        Current date in Julian days
+         *  @property {(Number|String)}     timezone          Time zone
+         *  @property {PlanetProfileObject} planet            Planet profile
+         *  @property {?CalendarObject}     calendar          Calendar
+         *  @property {(String|Object[])}   seasonModel       Season model
+         *  @property {GeoCoordObject}      geoCoords         Geographical coordinates
+         *  @property {Number}              timescale         Time scale
+         *  @property {Number}              updateRate        Update rate in seconds
+         *  @property {Number}              updateTimer       Real time in seconds until next update
+         *  @property {Boolean}             paused            Is the clock paused?
+         *  @property {Object}              weatherCondition  Weather condition
+         *  @property {Object}              weatherRamps      Transition of each weather intensity ({from, to, elapsed, duration})
+         *  @property {Number}              weatherTransition Real time in seconds weather intensities take to ease towards a new target
+         *  @property {(Object|String)}     climate           Climate, or 'auto' if picked by latitude
+         *  @property {Boolean}             autoWeather       Is the weather changed automatically?
+         *  @property {WeatherStateObject}  weatherState      Current state of automatic weather (null in place of Infinity while held)
+         *  @property {Object}              weatherEffect     Effects of the weather on the meteorological quantities
+         *  @property {WindObject}          wind              Wind
+         *  @property {Number}              windTime          Real time in seconds the wind has been blowing
+         *  @property {Number}              lightningRate     Probability of lightning flash per update rate
+         *  @property {Number}              lightningActive   Duration into current lightning flash (0 = no flash)
+         *  @property {Number}              fogThickness      Fog thickness
+         *  @property {Object}              particulateColor  Colors of airborne particulate weather
+         *  @property {CloudsObject}        clouds            Cloud layer settings
+         *  @property {Object}              cloudOffset       Distance in pixels the clouds have drifted ({x, y})
+         *  @property {Number}              moonBrightness    Moon brightness
+         *  @property {SkyColorObject}      skyColor          Sky colors
+         *  @property {?SkyPaletteObject}   skyPalette        Sky palette
+         *  @property {?SeasonalSkyObject}  seasonalSky       Seasonal sky overrides
+         *  @property {Object}              twilightAltitudes Twilight altitudes
+         *  @property {SkyLayerObject}      skyLayer          Sky layer
+         *  @property {Number}              particlesMax      Maximum number of particles
+         *  @property {Object[]}            particles         Particles in flight ({type, pos, vel, size, drift, fall, lifetime}, type being the weather condition)
+         */
+
+        /**
+         *  Captures the full plugin state as a JSON-compatible snapshot
+         *  @method ig.Atmosphere#serialize
+         *  @return {AtmosphereSnapshotObject} Snapshot of the plugin state
+         *
+         *  @example
+         *  // Store the atmosphere with the rest of the save game
+         *  localStorage.setItem('atmosphere', JSON.stringify(ig.Atmosphere.serialize()));
+         */
+        serialize: function() {
+            var particles = [],
+                types     = this._getParticleTypes(),
+                entities,
+                i,
+                j;
+
+            // Particles in flight, so that precipitation and particulates resume where they left off
+            if(ig.game) {
+                for(i in types) {
+                    if(types.hasOwnProperty(i)) {
+                        entities = this._getParticles(i);
+                        for(j = 0; j < entities.length; j++) {
+                            particles.push({type: entities[j].condition, pos: {x: entities[j].pos.x, y: entities[j].pos.y}, vel: {x: entities[j].vel.x, y: entities[j].vel.y}, size: typeof entities[j].weight === 'number' ? entities[j].weight : entities[j].radius, drift: entities[j].drift, fall: entities[j].fall, lifetime: -entities[j].lifetimeTimer.delta()});
+                        }
+                    }
+                }
+            }
+
+            return JSON.parse(JSON.stringify({
+                version          : ig.Atmosphere.SNAPSHOT_VERSION,
+                seed             : this.seed,
+                randomState      : this._randomState,
+                julianDate       : this.julianDate,
+                timezone         : this.timezone,
+                planet           : this.planet,
+                calendar         : this.calendar,
+                seasonModel      : this.seasonModel,
+                geoCoords        : this.geoCoords,
+                timescale        : this.timescale,
+                updateRate       : this.updateRate,
+                updateTimer      : -this.updateTimer.delta(),
+                paused           : this.paused,
+                weatherCondition : this.weatherCondition,
+                weatherRamps     : this._weatherRamps,
+                weatherTransition: this.weatherTransition,
+                climate          : this._climateAuto ? 'auto' : this.climate,
+                autoWeather      : this.autoWeather,
+                weatherState     : this.weatherState,
+                weatherEffect    : this._weatherEffect,
+                wind             : this.wind,
+                windTime         : this._windTime,
+                lightningRate    : this.lightningRate,
+                lightningActive  : this._lightningActive,
+                fogThickness     : this.fogThickness,
+                particulateColor : this.particulateColor,
+                clouds           : this.clouds,
+                cloudOffset      : this._cloudOffset,
+                moonBrightness   : this.moonBrightness,
+                skyColor         : this.skyColor,
+                skyPalette       : this.skyPalette,
+                seasonalSky      : this.seasonalSky,
+                twilightAltitudes: this.twilightAltitudes,
+                skyLayer         : this.skyLayer,
+                particlesMax     : this.particlesMax,
+                particles        : particles
+            }));
+        }, // End serialize
+
+        /**
+         *  Restores the full plugin state from a snapshot created by {@link serialize}
+         *  <br>Date-dependent results are recomputed, and particles in flight are respawned. No events are emitted.
+         *  Values missing from the snapshot keep their current value.
+         *  @method ig.Atmosphere#deserialize
+         *  @param  {(AtmosphereSnapshotObject|String)} snapshot Snapshot, or its JSON string
+         *  @return {Boolean}                                    Was the snapshot restored?
+         *
+         *  @example
+         *  // Resume the atmosphere from the save game
+         *  ig.Atmosphere.deserialize(localStorage.getItem('atmosphere'));
+         */
+        deserialize: function(snapshot) {
+            var i;
+
+            // Sanity check
+            if(typeof snapshot === 'string') {
+                try {
+                    snapshot = JSON.parse(snapshot);
+                } catch(e) {
+                    console.warn('snapshot not valid JSON. Snapshot not restored.');
+                    return false;
+                }
+            }
+            if(snapshot === null || typeof snapshot !== 'object' || typeof snapshot.version !== 'number' || typeof snapshot.julianDate !== 'number') {
+                console.warn('snapshot \'' + snapshot + '\' not a valid snapshot. Snapshot not restored.');
+                return false;
+            }
+            if(snapshot.version > ig.Atmosphere.SNAPSHOT_VERSION) {
+                console.warn('snapshot version \'' + snapshot.version + '\' newer than supported version \'' + ig.Atmosphere.SNAPSHOT_VERSION + '\'. Restoring known values only.');
+            }
+
+            // Planet first, as it resets the horizon of the twilight altitudes restored below
+            if(typeof snapshot.planet === 'object') {
+                this.updatePlanet(snapshot.planet);
+            }
+
+            if('calendar' in snapshot) {
+                this.updateCalendar(snapshot.calendar);
+            }
+            if('skyPalette' in snapshot) {
+                this.setSkyPalette(snapshot.skyPalette);
+            }
+            if('seasonalSky' in snapshot) {
+                this.setSeasonalSky(snapshot.seasonalSky);
+            }
+
+            // Configuration
+            var keys = ['lightningRate', 'weatherTransition', 'fogThickness', 'particulateColor', 'moonBrightness', 'particlesMax', 'skyColor', 'twilightAltitudes', 'skyLayer'];
+            for(i = 0; i < keys.length; i++) {
+                if(typeof snapshot[keys[i]] !== 'undefined') {
+                    this[keys[i]] = ig.copy(snapshot[keys[i]]);
+                }
+            }
+
+            // Clock and location
+            this.updateTimezone('timezone' in snapshot ? snapshot.timezone : this.timezone);
+            this.updateSeasonModel('seasonModel' in snapshot ? snapshot.seasonModel : this.seasonModel);
+            this.julianDate = snapshot.julianDate;
+            this.gregorianDate = this._convertJulianToCalendar(this.julianDate + this.getUtcOffset(this.julianDate) / 24);
+            this.updateTimescale('timescale' in snapshot ? snapshot.timescale : this.timescale);
+            this.updateUpdateRate('updateRate' in snapshot ? snapshot.updateRate : this.updateRate);
+            if(typeof snapshot.updateTimer === 'number') {
+                this.updateTimer.set(snapshot.updateTimer);
+            }
+            this.paused = !!snapshot.paused;
+            this.updateGeoCoords(
+                snapshot.geoCoords ? snapshot.geoCoords.latitude  : this.geoCoords.latitude,
+                snapshot.geoCoords ? snapshot.geoCoords.longitude : this.geoCoords.longitude
+            );
+
+            // Weather, without notifying listeners of a weather change
+            if(typeof snapshot.weatherCondition === 'object' && snapshot.weatherCondition !== null) {
+                ig.merge(this.weatherCondition, snapshot.weatherCondition);
+            }
+            if(typeof snapshot.weatherRamps === 'object' && snapshot.weatherRamps !== null) {
+                this._weatherRamps = ig.merge(this._weatherRamps, snapshot.weatherRamps);
+            } else {
+                for(i in this._weatherRamps) {
+                    if(this._weatherRamps.hasOwnProperty(i)) {
+                        this._weatherRamps[i] = {from: 0, to: this.weatherCondition[i] ? 1 : 0, elapsed: 0, duration: 0};
+                    }
+                }
+            }
+            this._updateWeatherIntensity(0);
+            if('climate' in snapshot) {
+                this.updateClimate(snapshot.climate);
+            }
+            if(typeof snapshot.autoWeather === 'boolean') {
+                this.autoWeather = snapshot.autoWeather;
+            }
+            if(typeof snapshot.weatherState === 'object' && snapshot.weatherState !== null) {
+                this.weatherState = {
+                    name : snapshot.weatherState.name,
+                    since: snapshot.weatherState.since === null ? -Infinity : snapshot.weatherState.since,
+                    until: snapshot.weatherState.until === null ?  Infinity : snapshot.weatherState.until
+                };
+            }
+            if(typeof snapshot.weatherEffect === 'object' && snapshot.weatherEffect !== null) {
+                this._weatherEffect = ig.copy(snapshot.weatherEffect);
+            }
+            this._updateMeteorology(0);
+            this._meteorologySnapshot = ig.copy(this.meteorology);
+            if(typeof snapshot.wind === 'object') {
+                this.updateWind(snapshot.wind);
+            }
+            this._windTime = snapshot.windTime || 0;
+            this._weatherSnapshot = JSON.stringify(this.weatherCondition);
+            this._lightningActive = snapshot.lightningActive || 0;
+            delete this.fog;
+            this._hazeTiles = {};
+            this._cloudTiles = {};
+            this._cloudTint = null;
+            this._cloudOffset = snapshot.cloudOffset || {x: 0, y: 0};
+            if(typeof snapshot.clouds === 'object') {
+                this.updateClouds(snapshot.clouds);
+            }
+            this.cloudCover = this._computeCloudCover();
+
+            // Particles in flight
+            var types = this._getParticleTypes();
+            if(ig.game) {
+                for(i in types) {
+                    if(types.hasOwnProperty(i)) {
+                        var entities = this._getParticles(i);
+                        for(var j = 0; j < entities.length; j++) {
+                            entities[j].kill();
+                        }
+                    }
+                }
+            }
+            this.particlesCurr = 0;
+
+            if(ig.game && snapshot.particles instanceof Array) {
+                for(i = 0; i < snapshot.particles.length; i++) {
+                    var p        = snapshot.particles[i],
+                        type     = types[p.type] || EntityRain,
+                        settings = {atmosphere: this};
+
+                    settings[typeof type.prototype.weight === 'number' ? 'weight' : 'radius'] = p.size;
+                    var particle = ig.game.spawnEntity(type, p.pos.x, p.pos.y, settings);
+
+                    particle.vel.x = p.vel.x;
+                    particle.vel.y = p.vel.y;
+                    if(typeof p.drift === 'number') {
+                        particle.drift = p.drift;
+                        particle.fall = p.fall;
+                    }
+                    particle.lifetimeTimer.set(p.lifetime);
+                    this.particlesCurr++;
+                }
+            }
+
+            // Pseudorandom number generator, resuming mid-sequence (after respawning particles, which draw from it)
+            if(typeof snapshot.seed === 'number') {
+                this.updateSeed(snapshot.seed);
+            }
+            if(typeof snapshot.randomState === 'number') {
+                this._randomState = snapshot.randomState >>> 0;
+            }
+
+            return true;
+        }, // End deserialize
+
+        /**
+         *  Updates time scale and performs post-recomputations, if necessary
+         *  <br>A negative time scale runs the clock in reverse.
+         *  @method ig.Atmosphere#updateTimescale
+         *  @param {Number} [timescale=1] New plugin time scale
+         *
+         *  @example
+         *  // 1 second real time = 0.5 second plugin time
+         *  ig.Atmosphere.updateTimescale(0.5);
+         *  @example
+         *  // 1 second real time = 10 second plugin time
+         *  ig.Atmosphere.updateTimescale(10);
+         *  @example
+         *  // Rewind: 1 second real time = -60 second plugin time
+         *  ig.Atmosphere.updateTimescale(-60);
+         */
+        updateTimescale: function(timescale) {
+            // Sanity check
+            if(typeof timescale !== 'undefined') {
+                if(typeof timescale !== 'number') {
+                    console.warn('timescale \'' + timescale + '\' not a number. Typecasting timescale to number.');
+                    timescale = Number(timescale);
+                }
+
+                if(isNaN(timescale) || timescale === 0) {
+                    console.warn('timescale \'' + timescale + '\' not a non-zero number. Defaulting timescale to 1. To stop the clock, use pause().');
+                    timescale = 1;
+                }
+            } else {
+                //console.warn('timescale not provided. Defaulting timescale to 1.');
+                timescale = 1;
+            }
+
+            this.timescale = timescale;
+        },
+
+        /**
+         *  Updates update rate and performs post-recomputations, if necessary
+         *  @method ig.Atmosphere#updateUpdateRate
+         *  @param {Number} [updateRate=60] New plugin update rate
+         *
+         *  @example
+         *  // Update plugin every 30 seconds
+         *  ig.Atmosphere.updateUpdateRate(30);
+         */
+        updateUpdateRate: function(updateRate) {
+            // Sanity check
+            if(typeof updateRate !== 'undefined') {
+                if(typeof updateRate === 'number') {
+                    if(updateRate <= 0) {
+                        console.warn('updateRate \'' + updateRate + '\' not a positive number. Assuming updateRate absolute value.');
+                        updateRate = Math.abs(updateRate);
+                    }
+                } else {
+                    console.warn('updateRate \'' + updateRate + '\' not a number. Typecasting updateRate to number.');
+                    updateRate = parseFloat(updateRate);
+                }
+            } else {
+                //console.warn('updateRate not provided. Defaulting updateRate to 60.');
+                updateRate = 60;
+            }
 
             this.updateRate = updateRate;
             this.updateTimer = new ig.Timer(updateRate);
         },
 
+        /**
+         *  Reseeds the plugin's pseudorandom number generator
+         *  @method ig.Atmosphere#updateSeed
+         *  @param {Number} [seed] New seed (an unsigned 32-bit integer; picked at random if not provided)
+         *
+         *  @example
+         *  // Replay a recorded session
+         *  ig.Atmosphere.updateSeed(1234);
+         */
+        updateSeed: function(seed) {
+            // Sanity check
+            if(typeof seed !== 'undefined' && seed !== null) {
+                if(typeof seed !== 'number') {
+                    console.warn('seed \'' + seed + '\' not a number. Typecasting seed to number.');
+                    seed = Number(seed);
+                }
+
+                if(isNaN(seed)) {
+                    console.warn('seed \'' + seed + '\' not a valid seed. Picking a random seed.');
+                    seed = undefined;
+                }
+            } else {
+                //console.warn('seed not provided. Picking a random seed.');
+                seed = undefined;
+            }
+
+            if(typeof seed === 'undefined') {
+                seed = Math.random() * 4294967296;
+            }
+
+            this.seed = seed >>> 0;
+            this._randomState = this.seed;
+        },
+
+        /**
+         *  Generates the next number of the plugin's seeded pseudorandom sequence
+         *  <br>Steps through the core's Mulberry32 sequence (see {@link ig.AtmosphereCore.advanceRandomState}). Use instead of
+         *  Math.random() wherever the outcome should be reproducible from the plugin's {@link ig.Atmosphere#seed seed}.
+         *  @method ig.Atmosphere#random
+         *  @return {Number} Pseudorandom number in the range [0, 1)
+         *
+         *  @example
+         *  // Pick a random raindrop weight between 0.5 and 1.5
+         *  var weight = ig.Atmosphere.random() + 0.5;
+         */
+        random: function() {
+            this._randomState = ig.AtmosphereCore.advanceRandomState(this._randomState);
+
+            return ig.AtmosphereCore.computeRandom(this._randomState);
+        },
+
         /**
          *  Updates geographical coordinates and performs post-recomputations, if necessary
          *  @method ig.Atmosphere#updateGeoCoords
@@ -611,266 +2379,1836 @@ ig.module(
             longitude.limit(-180, 180);
 
             this.geoCoords = {latitude: latitude, longitude: longitude};
-            this.season = this._computeSeasons(this.gregorianDate, this.geoCoords);
-            this.solar = this._computeSunriset(this.convertGregorianToJulian(this.gregorianDate), this.geoCoords);
+            this._recomputeAll();
+
+            if(this._climateAuto) {
+                this.updateClimate('auto');
+            }
         },
 
         /**
-         *  Converts Gregorian Date to Julian Date
-         *  @method ig.Atmosphere#convertGregorianToJulian
-         *  @param  {Date}   gDate Specified date in Gregorian date
-         *  @return {Number}       The equivalent Julian Date
+         *  Updates time zone and performs post-recomputations, if necessary
+         *  <br>The current instant is preserved; only the wall-clock date and time change.
+         *  @method ig.Atmosphere#updateTimezone
+         *  @param {(Number|String)} [timezone=0] Offset from UTC in hours, or name of a time zone in {@link ig.Atmosphere.TIMEZONES}
+         *
+         *  @example
+         *  // Fixed offset of UTC+05:30
+         *  ig.Atmosphere.updateTimezone(5.5);
+         *  @example
+         *  // Central European Time, observing European Union daylight saving rules
+         *  ig.Atmosphere.updateTimezone('Europe/Paris');
          */
-        convertGregorianToJulian: function(gDate) {
-            var gYear        = gDate.year,
-                gMonth       = gDate.month,
-                gDay         = gDate.day,
-                gHour        = gDate.hour,
-                gMinute      = gDate.minute,
-                gSecond      = gDate.second,
-                gMillisecond = gDate.millisecond,
-                a = ((gMonth - 3) / 12).floor(),
-                b = gYear + a,
-                c = (b / 100).floor(),
-                d = b % 100,
-                e = gMonth - 12 * a - 3;
-
-            return (146097 * c / 4).floor() +
-                   (36525 * d / 100).floor() +
-                   ((153 * e + 2) / 5).floor() +
-                   gDay + 1721119 +
-                   (gHour - 12) / 24 +
-                   gMinute / 1440 +
-                   gSecond / 86400 +
-                   gMillisecond / 86400000;
-        }, // End convertGregorianToJulian
+        updateTimezone: function(timezone) {
+            // Sanity check
+            if(typeof timezone !== 'undefined') {
+                if(typeof timezone === 'string') {
+                    if(typeof ig.Atmosphere.TIMEZONES[timezone] === 'undefined') {
+                        console.warn('timezone \'' + timezone + '\' not a known time zone. Defaulting timezone to UTC.');
+                        timezone = 0;
+                    }
+                } else if(typeof timezone !== 'number') {
+                    console.warn('timezone \'' + timezone + '\' not a number. Typecasting timezone to number.');
+                    timezone = parseFloat(timezone) || 0;
+                }
+            } else {
+                //console.warn('timezone not provided. Defaulting timezone to UTC.');
+                timezone = 0;
+            }
+
+            this.timezone = timezone;
+
+            if(typeof this.julianDate !== 'undefined') {
+                this.gregorianDate = this._convertJulianToCalendar(this.julianDate + this.getUtcOffset(this.julianDate) / 24);
+                this.season = this._computeSeasons(this.gregorianDate, this.geoCoords);
+                this.seasonState = this._computeSeasonState(this.julianDate, this.season);
+                this.lunar = this._computeLunar(this.julianDate, this.geoCoords);
+            }
+        },
+
+        /**
+         *  Updates season model and performs post-recomputations, if necessary
+         *  @method ig.Atmosphere#updateSeasonModel
+         *  @param {(String|SeasonBoundaryObject[])} [seasonModel='astronomical'] New plugin season model
+         *
+         *  @example
+         *  // Seasons start on the first day of March, June, September, and December
+         *  ig.Atmosphere.updateSeasonModel('meteorological');
+         *  @example
+         *  // Two seasons: Summer from May to October, Winter from November to April
+         *  ig.Atmosphere.updateSeasonModel([{month: 5, day: 1, season: 1}, {month: 11, day: 1, season: 3}]);
+         */
+        updateSeasonModel: function(seasonModel) {
+            // Sanity check
+            if(typeof seasonModel !== 'undefined') {
+                if(seasonModel instanceof Array) {
+                    for(var i = 0; i < seasonModel.length; i++) {
+                        if(typeof seasonModel[i].month !== 'number' || typeof seasonModel[i].day !== 'number' || [0, 1, 2, 3].indexOf(seasonModel[i].season) === -1) {
+                            console.warn('seasonModel boundary \'' + JSON.stringify(seasonModel[i]) + '\' not a valid season boundary. Defaulting seasonModel to astronomical.');
+                            seasonModel = 'astronomical';
+                            break;
+                        }
+                    }
+                } else if(seasonModel !== 'astronomical' && seasonModel !== 'meteorological') {
+                    console.warn('seasonModel \'' + seasonModel + '\' not a known season model. Defaulting seasonModel to astronomical.');
+                    seasonModel = 'astronomical';
+                }
+            } else {
+                //console.warn('seasonModel not provided. Defaulting seasonModel to astronomical.');
+                seasonModel = 'astronomical';
+            }
+
+            this.seasonModel = seasonModel;
+
+            if(typeof this.gregorianDate !== 'undefined') {
+                this.season = this._computeSeasons(this.gregorianDate, this.geoCoords);
+                this.seasonState = this._computeSeasonState(this.julianDate, this.season);
+            }
+        },
+
+        /**
+         *  Updates planet profile and performs post-recomputations, if necessary
+         *  <br>Properties missing from a custom planet profile default to Earth's. The horizon altitude of
+         *  {@link ig.Atmosphere#twilightAltitudes twilightAltitudes} is set to the horizon of the planet profile.
+         *  @method ig.Atmosphere#updatePlanet
+         *  @param {(String|PlanetProfileObject)} [planet='earth'] Name of a planet profile in {@link ig.Atmosphere.PLANETS}, or a planet profile
+         *
+         *  @example
+         *  // Move the game world to Mars
+         *  ig.Atmosphere.updatePlanet('mars');
+         *  @example
+         *  // Earth-like world with a 36-hour day and no axial tilt (no seasons)
+         *  ig.Atmosphere.updatePlanet({name: 'Tethys', rotationPeriod: 1.4959, axialTilt: 0});
+         */
+        updatePlanet: function(planet) {
+            var earth = ig.Atmosphere.PLANETS.earth;
+
+            // Sanity check
+            if(typeof planet !== 'undefined' && planet !== null) {
+                if(typeof planet === 'string') {
+                    if(typeof ig.Atmosphere.PLANETS[planet] === 'undefined') {
+                        console.warn('planet \'' + planet + '\' not a known planet profile. Defaulting planet to earth.');
+                        planet = 'earth';
+                    }
+                    planet = ig.Atmosphere.PLANETS[planet];
+                } else if(typeof planet === 'object') {
+                    planet = ig.merge(ig.copy(earth), planet);
+
+                    if(isNaN(planet.rotationPeriod) || isNaN(planet.orbitalPeriod) || planet.rotationPeriod <= 0 || planet.orbitalPeriod <= planet.rotationPeriod) {
+                        console.warn('planet \'' + planet.name + '\' rotation period \'' + planet.rotationPeriod + '\' and orbital period \'' + planet.orbitalPeriod + '\' not positive or orbital period not longer than rotation period. Defaulting planet to earth.');
+                        planet = earth;
+                    } else if(isNaN(planet.eccentricity) || planet.eccentricity < 0 || planet.eccentricity >= 1) {
+                        console.warn('planet \'' + planet.name + '\' eccentricity \'' + planet.eccentricity + '\' not within range 0 - 1. Defaulting eccentricity to 0.');
+                        planet.eccentricity = 0;
+                    }
+                } else {
+                    console.warn('planet \'' + planet + '\' not a planet profile. Defaulting planet to earth.');
+                    planet = earth;
+                }
+            } else {
+                //console.warn('planet not provided. Defaulting planet to earth.');
+                planet = earth;
+            }
+
+            this.planet = planet;
+            this.twilightAltitudes.horizon = planet.horizon;
+
+            if(typeof this.julianDate !== 'undefined') {
+                this._recomputeAll();
+            }
+        },
+
+        /**
+         *  Updates calendar
+         *  <br>Only changes how dates are presented and read; no results need to be recomputed.
+         *  @method ig.Atmosphere#updateCalendar
+         *  @param {?(String|CalendarObject)} [calendar=null] Name of a calendar in {@link ig.Atmosphere.CALENDARS}, a calendar, or null for the Gregorian calendar
+         *
+         *  @example
+         *  // Switch to the bundled 13-month calendar
+         *  ig.Atmosphere.updateCalendar('thirteenMonth');
+         *  @example
+         *  // 10 months of 30 days and 5-day weeks, starting with year 1 on January 1, 2000
+         *  ig.Atmosphere.updateCalendar({
+         *      name    : 'Decimal',
+         *      epoch   : 2451544.5,
+         *      months  : [{name: 'Primus', days: 30}, ..., {name: 'Decimus', days: 30}, {name: 'Festival', days: 65}],
+         *      weekdays: ['Oneday', 'Twoday', 'Threeday', 'Fourday', 'Fiveday']
+         *  });
+         */
+        updateCalendar: function(calendar) {
+            var i;
+
+            // Sanity check
+            if(typeof calendar !== 'undefined' && calendar !== null) {
+                if(typeof calendar === 'string') {
+                    if(typeof ig.Atmosphere.CALENDARS[calendar] === 'undefined') {
+                        console.warn('calendar \'' + calendar + '\' not a known calendar. Defaulting calendar to Gregorian.');
+                        calendar = null;
+                    } else {
+                        calendar = ig.Atmosphere.CALENDARS[calendar];
+                    }
+                } else if(typeof calendar === 'object') {
+                    calendar = ig.copy(calendar);
+
+                    if(typeof calendar.epoch !== 'number' || !(calendar.months instanceof Array) || calendar.months.length === 0 || !(calendar.weekdays instanceof Array) || calendar.weekdays.length === 0) {
+                        console.warn('calendar \'' + calendar.name + '\' epoch, months, or weekdays not provided. Defaulting calendar to Gregorian.');
+                        calendar = null;
+                    } else {
+                        for(i = 0; i < calendar.months.length; i++) {
+                            if(typeof calendar.months[i].name !== 'string' || isNaN(calendar.months[i].days) || calendar.months[i].days < 1) {
+                                console.warn('calendar \'' + calendar.name + '\' month \'' + calendar.months[i].name + '\' has no name or less than 1 day. Defaulting calendar to Gregorian.');
+                                calendar = null;
+                                break;
+                            }
+                        }
+                    }
+                    if(calendar !== null && typeof calendar.dayLength !== 'undefined' && (isNaN(calendar.dayLength) || calendar.dayLength <= 0)) {
+                        console.warn('calendar \'' + calendar.name + '\' day length \'' + calendar.dayLength + '\' not positive. Defaulting day length to 1.');
+                        calendar.dayLength = 1;
+                    }
+                    if(calendar !== null && typeof calendar.leap !== 'undefined' && (isNaN(calendar.leap.every) || calendar.leap.every < 1 || typeof calendar.months[calendar.leap.month - 1] === 'undefined')) {
+                        console.warn('calendar \'' + calendar.name + '\' leap rule not a positive interval and a month of the calendar. Removing leap rule.');
+                        delete calendar.leap;
+                    }
+                } else {
+                    console.warn('calendar \'' + calendar + '\' not a calendar. Defaulting calendar to Gregorian.');
+                    calendar = null;
+                }
+            } else {
+                //console.warn('calendar not provided. Defaulting calendar to Gregorian.');
+                calendar = null;
+            }
+
+            this.calendar = calendar;
+        },
+
+        /**
+         *  Updates sky palette
+         *  <br>Keyframes are copied and sorted by their key; keyframes with equal keys keep their order.
+         *  @method ig.Atmosphere#setSkyPalette
+         *  @param {?(String|SkyPaletteObject)} [palette=null] Name of a palette in {@link ig.Atmosphere.SKY_PALETTES}, a palette, or null to derive the palette from {@link ig.Atmosphere#skyColor skyColor}
+         *
+         *  @example
+         *  // Switch to the bundled palette with a purple dusk and a deep-blue pre-dawn
+         *  ig.Atmosphere.setSkyPalette('dramatic');
+         *  @example
+         *  // Green-tinted alien sky by time of day, blended in OKLab
+         *  ig.Atmosphere.setSkyPalette({
+         *      name     : 'Alien',
+         *      key      : 'time',
+         *      easing   : 'easeInOut',
+         *      space    : 'oklab',
+         *      keyframes: [
+         *          {at:  5, r: 10, g: 30, b: 20, a: 0.7},
+         *          {at:  7, r: 90, g: 160, b: 60, a: 0.2},
+         *          {at: 18, r: 90, g: 160, b: 60, a: 0.2},
+         *          {at: 20, r: 10, g: 30, b: 20, a: 0.7}
+         *      ]
+         *  });
+         */
+        setSkyPalette: function(palette) {
+            this.skyPalette = this._validateSkyPalette(palette);
+
+            if(typeof this.julianDate !== 'undefined') {
+                this._updateMoonlight();
+            }
+        },
+
+        /**
+         *  Checks a sky palette, warning about and replacing invalid values
+         *  @method ig.Atmosphere#_validateSkyPalette
+         *  @param  {?(String|SkyPaletteObject)} palette Name of a palette in {@link ig.Atmosphere.SKY_PALETTES}, or a palette
+         *  @return {?SkyPaletteObject}                  Copy of the palette with keyframes sorted, or null if not a valid palette
+         *  @private
+         */
+        _validateSkyPalette: function(palette) {
+            var channels = ['r', 'g', 'b', 'a'],
+                i,
+                j;
+
+            // Sanity check
+            if(typeof palette !== 'undefined' && palette !== null) {
+                if(typeof palette === 'string') {
+                    if(typeof ig.Atmosphere.SKY_PALETTES[palette] === 'undefined') {
+                        console.warn('palette \'' + palette + '\' not a known sky palette. Defaulting palette to skyColor.');
+                        palette = null;
+                    } else {
+                        palette = ig.Atmosphere.SKY_PALETTES[palette];
+                    }
+                }
+                if(palette !== null && (typeof palette !== 'object' || !(palette.keyframes instanceof Array) || palette.keyframes.length === 0)) {
+                    console.warn('palette \'' + (palette.name || palette) + '\' has no keyframes. Defaulting palette to skyColor.');
+                    palette = null;
+                }
+            } else {
+                //console.warn('palette not provided. Defaulting palette to skyColor.');
+                palette = null;
+            }
+
+            if(palette !== null) {
+                palette = ig.copy(palette);
+
+                if(palette.key !== 'altitude' && palette.key !== 'time') {
+                    if(typeof palette.key !== 'undefined') {
+                        console.warn('palette \'' + palette.name + '\' key \'' + palette.key + '\' not altitude or time. Defaulting key to altitude.');
+                    }
+                    palette.key = 'altitude';
+                }
+                if(typeof ig.Atmosphere.EASINGS[palette.easing] !== 'function') {
+                    if(typeof palette.easing !== 'undefined') {
+                        console.warn('palette \'' + palette.name + '\' easing \'' + palette.easing + '\' not a known easing. Defaulting easing to linear.');
+                    }
+                    palette.easing = 'linear';
+                }
+                if(palette.space !== 'rgb' && palette.space !== 'hsl' && palette.space !== 'oklab') {
+                    if(typeof palette.space !== 'undefined') {
+                        console.warn('palette \'' + palette.name + '\' color space \'' + palette.space + '\' not rgb, hsl, or oklab. Defaulting color space to rgb.');
+                    }
+                    palette.space = 'rgb';
+                }
+
+                for(i = 0; i < palette.keyframes.length; i++) {
+                    if(isNaN(palette.keyframes[i].at)) {
+                        console.warn('palette \'' + palette.name + '\' keyframe \'' + i + '\' has no key. Defaulting palette to skyColor.');
+                        palette = null;
+                        break;
+                    }
+                    for(j = 0; j < channels.length; j++) {
+                        if(isNaN(palette.keyframes[i][channels[j]])) {
+                            console.warn('palette \'' + palette.name + '\' keyframe \'' + i + '\' channel \'' + channels[j] + '\' not a number. Defaulting channel to 0.');
+                            palette.keyframes[i][channels[j]] = 0;
+                        }
+                    }
+                    palette.keyframes[i]._index = i;
+                }
+            }
+
+            if(palette !== null) {
+                // Stable sort, so that keyframes sharing a key (e.g. jumps in color) keep their order
+                palette.keyframes.sort(function(a, b) { return a.at - b.at || a._index - b._index; });
+                for(i = 0; i < palette.keyframes.length; i++) {
+                    delete palette.keyframes[i]._index;
+                }
+            }
+
+            return palette;
+        }, // End _validateSkyPalette
+
+        /**
+         *  Updates seasonal sky overrides
+         *  <br>Each season (or month) may override the sky palette and the night darkness. Overrides are blended smoothly
+         *  over the days around each season boundary under the current season model (or around the first of each month).
+         *  Seasons and months without an override use {@link ig.Atmosphere#skyPalette skyPalette}.
+         *  @method ig.Atmosphere#setSeasonalSky
+         *  @param {?SeasonalSkyObject} [seasonalSky=null] Seasonal sky overrides, or null for the same sky all year round
+         *
+         *  @example
+         *  // Colder, paler daylight and longer blue hours in winter, with darker nights
+         *  ig.Atmosphere.setSeasonalSky({profiles: {winter: {palette: 'winter', darkness: 0.75}}});
+         *  @example
+         *  // Golden light in the harvest months, blended over 10 days around the first of the month
+         *  ig.Atmosphere.setSeasonalSky({by: 'month', blend: 10, profiles: {9: {palette: 'dramatic'}, 10: {palette: 'dramatic'}}});
+         */
+        setSeasonalSky: function(seasonalSky) {
+            var names    = ['spring', 'summer', 'autumn', 'winter'],
+                profiles = {},
+                key,
+                profile;
+
+            // Sanity check
+            if(typeof seasonalSky !== 'undefined' && seasonalSky !== null) {
+                if(typeof seasonalSky !== 'object' || seasonalSky.profiles === null || typeof seasonalSky.profiles !== 'object') {
+                    console.warn('seasonalSky \'' + seasonalSky + '\' has no profiles. Defaulting seasonalSky to null.');
+                    seasonalSky = null;
+                }
+            } else {
+                //console.warn('seasonalSky not provided. Defaulting seasonalSky to null.');
+                seasonalSky = null;
+            }
+
+            if(seasonalSky !== null) {
+                seasonalSky = {by: seasonalSky.by, blend: seasonalSky.blend, profiles: seasonalSky.profiles};
+
+                if(seasonalSky.by !== 'season' && seasonalSky.by !== 'month') {
+                    if(typeof seasonalSky.by !== 'undefined') {
+                        console.warn('seasonalSky by \'' + seasonalSky.by + '\' not season or month. Defaulting by to season.');
+                    }
+                    seasonalSky.by = 'season';
+                }
+                if(typeof seasonalSky.blend === 'undefined') {
+                    seasonalSky.blend = 14;
+                } else if(isNaN(seasonalSky.blend) || seasonalSky.blend < 0) {
+                    console.warn('seasonalSky blend \'' + seasonalSky.blend + '\' not a non-negative number of days. Defaulting blend to 14.');
+                    seasonalSky.blend = 14;
+                }
+
+                for(key in seasonalSky.profiles) {
+                    if(seasonalSky.profiles.hasOwnProperty(key)) {
+                        if(seasonalSky.by === 'season' ? names.indexOf(key) === -1 : !/^([1-9]|1[0-2])$/.test(key)) {
+                            console.warn('seasonalSky profile \'' + key + '\' not a ' + (seasonalSky.by === 'season' ? 'season (spring, summer, autumn, winter)' : 'month (1 - 12)') + '. Ignoring profile.');
+                            continue;
+                        }
+
+                        profile = seasonalSky.profiles[key] || {};
+                        profiles[key] = {
+                            palette : profile.palette ? this._validateSkyPalette(profile.palette) : null,
+                            darkness: typeof profile.darkness !== 'undefined' ? profile.darkness : null
+                        };
+
+                        if(profiles[key].darkness !== null && (isNaN(profiles[key].darkness) || profiles[key].darkness < 0 || profiles[key].darkness > 1)) {
+                            console.warn('seasonalSky profile \'' + key + '\' darkness \'' + profiles[key].darkness + '\' not within range 0 - 1. Defaulting darkness to the palette\'s.');
+                            profiles[key].darkness = null;
+                        }
+                    }
+                }
+
+                seasonalSky.profiles = profiles;
+            }
+
+            this.seasonalSky = seasonalSky;
+
+            if(typeof this.julianDate !== 'undefined') {
+                this._updateMoonlight();
+            }
+        },
+
+        /**
+         *  Updates climate driving automatic weather
+         *  <br>'auto' picks the bundled climate of the current latitude (tropical below 15 degrees, arid below 35, temperate
+         *  below 50, continental below 66.5, and polar beyond), and picks again whenever the geographical coordinates change.
+         *  <br>Automatic weather keeps its current state if the new climate has a state of the same name, and moves on
+         *  at the next update otherwise.
+         *  @method ig.Atmosphere#updateClimate
+         *  @param {(String|ClimateObject)} [climate='auto'] 'auto', name of a climate in {@link ig.Atmosphere.CLIMATES}, a climate, or its JSON string
+         *
+         *  @example
+         *  // Desert weather, regardless of the geographical coordinates
+         *  ig.Atmosphere.updateClimate('arid');
+         *  @example
+         *  // Climate exported from a level editor
+         *  ig.Atmosphere.updateClimate(ig.game.levelClimateJson);
+         *  @example
+         *  // Damp island weather: mostly rain and fog, never snow
+         *  ig.Atmosphere.updateClimate({
+         *      name  : 'Island',
+         *      states: {
+         *          clear: {weather: {},                            duration: [2, 12]},
+         *          fog  : {weather: {fog: true},                   duration: [2, 6]},
+         *          rain : {weather: {rain: true},                  duration: [4, 24]},
+         *          storm: {weather: {rain: true, lightning: true}, duration: [1, 3]}
+         *      },
+         *      transitions: {
+         *          clear: {clear: 1, fog: 2, rain: 3},
+         *          fog  : {clear: 1, rain: 2},
+         *          rain : {clear: 1, fog: 1, rain: 1, storm: 1},
+         *          storm: {rain: 1}
+         *      },
+         *      diurnal: {fog: {day: 0.5, twilight: 2, night: 1}}
+         *  });
+         */
+        updateClimate: function(climate) {
+            var parsed = ig.AtmosphereCore.parseClimate(climate, this.geoCoords.latitude, ig.Atmosphere.CLIMATES, ig.Atmosphere.WEATHER_MODEL);
+
+            climate = parsed.climate;
+            this.climate = climate;
+            this._climateAuto = parsed.auto;
+
+            if(typeof this.julianDate !== 'undefined') {
+                this._updateMeteorology(0);
+            }
+
+            if(this.weatherState.name !== null && typeof climate.states[this.weatherState.name] === 'undefined') {
+                this.weatherState = {name: null, since: this.julianDate, until: this.julianDate};
+            }
+        },
+
+        /**
+         *  Turns automatic weather on or off
+         *  <br>When turned on, automatic weather starts from the climate state matching the current weather condition, or
+         *  picks a state for the current season and time of day if none matches. When turned off, the weather stays as it is.
+         *  @method ig.Atmosphere#updateAutoWeather
+         *  @param {Boolean} [enabled=false] Change the weather automatically?
+         *
+         *  @example
+         *  // Let the weather take care of itself
+         *  ig.Atmosphere.updateAutoWeather(true);
+         */
+        updateAutoWeather: function(enabled) {
+            var wc      = this.weatherCondition,
+                falling = false,
+                match,
+                name,
+                weather,
+                key;
+
+            // Sanity check
+            if(typeof enabled !== 'undefined') {
+                if(typeof enabled !== 'boolean') {
+                    console.warn('autoWeather \'' + enabled + '\' not a boolean. Defaulting autoWeather to false.');
+                    enabled = false;
+                }
+            } else {
+                //console.warn('autoWeather not provided. Defaulting autoWeather to false.');
+                enabled = false;
+            }
+
+            this.autoWeather = enabled;
+
+            if(enabled) {
+                this.weatherState = {name: null, since: this.julianDate, until: this.julianDate};
+                for(key in wc) {
+                    if(wc.hasOwnProperty(key) && wc[key] && ig.Atmosphere.PRECIPITATION.indexOf(key) !== -1) {
+                        falling = true;
+                    }
+                }
+
+                // States with precipitation of any type match whichever type is falling
+                for(name in this.climate.states) {
+                    if(this.climate.states.hasOwnProperty(name)) {
+                        weather = this.climate.states[name].weather;
+                        match   = !weather.precipitation || falling;
+                        for(key in wc) {
+                            if(wc.hasOwnProperty(key) && Boolean(weather[key]) !== wc[key] && !(weather.precipitation && ig.Atmosphere.PRECIPITATION.indexOf(key) !== -1)) {
+                                match = false;
+                            }
+                        }
+                        if(match) {
+                            this._enterWeatherState(name);
+                            return;
+                        }
+                    }
+                }
+                this._enterWeatherState(this._pickWeatherState(null));
+            }
+        },
+
+        /**
+         *  Changes the weather to a state of the climate, overriding automatic weather
+         *  <br>While automatic weather is on, the state is held for the specified number of hours before automatic weather
+         *  moves on from it. Changes made directly to {@link ig.Atmosphere#weatherCondition weatherCondition} last only
+         *  until the next automatic change.
+         *  @method ig.Atmosphere#setWeather
+         *  @param {String} name    Name of a state of the {@link ig.Atmosphere#climate climate}
+         *  @param {Number} [hours] Hours to hold the state (Infinity holds it until changed again; defaults to a random duration of the state)
+         *
+         *  @example
+         *  // Scripted thunderstorm for the next two hours, after which the weather changes on its own again
+         *  ig.Atmosphere.setWeather('storm', 2);
+         */
+        setWeather: function(name, hours) {
+            // Sanity check
+            if(typeof this.climate.states[name] === 'undefined') {
+                console.warn('weather \'' + name + '\' not a state of climate \'' + this.climate.name + '\'. Weather not changed.');
+                return;
+            }
+            if(typeof hours !== 'undefined' && (isNaN(hours) || hours <= 0)) {
+                console.warn('hours \'' + hours + '\' not a positive number. Defaulting hours to a random duration.');
+                hours = undefined;
+            }
+
+            this._enterWeatherState(name, hours);
+        },
+
+        /**
+         *  Changes the intensity of a weather condition, easing from the current intensity
+         *  <br>The condition is turned on in {@link ig.Atmosphere#weatherCondition weatherCondition} for an intensity above
+         *  0, and off for 0. Turning a condition on directly in weatherCondition eases it to full intensity.
+         *  <br>'precipitation' picks the type of precipitation for the current air temperature, easing out any other type
+         *  falling: snow at -2 degrees Celsius and below, freezing rain up to 0 degrees, sleet up to 2 degrees, and rain
+         *  above, or now and then hail in warm thunderstorms.
+         *  @method ig.Atmosphere#setWeatherIntensity
+         *  @param {String} condition  Weather condition ('fog', 'lightning', 'rain', 'snow', 'sleet', 'hail', 'freezingRain', 'sandstorm', 'dust', 'ash', 'overcast', or 'precipitation')
+         *  @param {Number} intensity  Target intensity (range: 0 - 1)
+         *  @param {Number} [duration] Real time in seconds to ease over (defaults to {@link ig.Atmosphere#weatherTransition weatherTransition})
+         *
+         *  @example
+         *  // Drizzle turning into a downpour over a minute
+         *  ig.Atmosphere.setWeatherIntensity('rain', 0.2, 0);
+         *  ig.Atmosphere.setWeatherIntensity('rain', 1, 60);
+         *  @example
+         *  // Heavy winter storm, falling as snow, sleet, or freezing rain depending on how cold it is
+         *  ig.Atmosphere.setWeatherIntensity('precipitation', 0.9);
+         */
+        setWeatherIntensity: function(condition, intensity, duration) {
+            var targets,
+                type;
+
+            // Sanity check
+            if(typeof this._weatherRamps[condition] === 'undefined' && condition !== 'precipitation') {
+                console.warn('condition \'' + condition + '\' not a weather condition (fog, lightning, rain, snow, sleet, hail, freezingRain, sandstorm, dust, ash, overcast, precipitation). Weather not changed.');
+                return;
+            }
+            if(isNaN(intensity) || intensity < 0 || intensity > 1) {
+                console.warn('intensity \'' + intensity + '\' not within range 0 - 1. Defaulting intensity to ' + (intensity > 1 ? 1 : 0) + '.');
+                intensity = intensity > 1 ? 1 : 0;
+            }
+            if(typeof duration === 'undefined') {
+                duration = this.weatherTransition;
+            } else if(isNaN(duration) || duration < 0) {
+                console.warn('duration \'' + duration + '\' not a non-negative number. Defaulting duration to ' + this.weatherTransition + '.');
+                duration = this.weatherTransition;
+            }
+
+            if(condition === 'precipitation') {
+                targets = ig.AtmosphereCore.computePrecipitationIntensity(intensity, this.meteorology.temperature, this.weatherCondition.lightning, this.random.bind(this));
+                for(type in targets) {
+                    if(targets.hasOwnProperty(type)) {
+                        this.setWeatherIntensity(type, targets[type], duration);
+                    }
+                }
+                return;
+            }
+
+            this._weatherRamps[condition] = {from: this.weatherIntensity[condition], to: intensity, elapsed: 0, duration: duration};
+            this.weatherCondition[condition] = intensity > 0;
+
+            if(duration === 0) {
+                this._updateWeatherIntensity(0);
+            }
+        },
+
+        /**
+         *  Eases weather intensities towards their targets, first following conditions turned on or off directly in
+         *  {@link ig.Atmosphere#weatherCondition weatherCondition}
+         *  @method ig.Atmosphere#_updateWeatherIntensity
+         *  @param {Number} elapsed Real time in seconds since the last update
+         *  @private
+         */
+        _updateWeatherIntensity: function(elapsed) {
+            var next = ig.AtmosphereCore.computeWeatherIntensity(this._weatherRamps, this.weatherCondition, this.weatherIntensity, elapsed, this.weatherTransition);
+
+            this._weatherRamps = next.ramps;
+            ig.merge(this.weatherIntensity, next.intensity);
+        }, // End _updateWeatherIntensity
+
+        /**
+         *  Spawns or removes particles of a weather condition, a few per frame, until there are as many as specified
+         *  @method ig.Atmosphere#_updateParticles
+         *  @param  {String} condition Weather condition falling or blowing as particles
+         *  @param  {Number} count     Number of particles wanted
+         *  @return {Number}           Number of particles of the weather condition
+         *  @private
+         */
+        _updateParticles: function(condition, count) {
+            var type      = this._getParticleTypes()[condition],
+                particles = this._getParticles(condition),
+                step      = Math.max(1, Math.ceil(this.particlesMax / 60)),
+                n         = particles.length,
+                i;
+
+            for(i = 0; i < step && n < count; i++, n++) {
+                ig.game.spawnEntity(
+                    type,
+                    this.random() * (ig.game.screen.x + ig.system.width - ig.game.screen.x) + ig.game.screen.x,
+                    ig.game.screen.y,
+                    {atmosphere: this}
+                );
+            }
+            for(i = 0; i < step && n > count; i++, n--) {
+                particles[n - 1].kill();
+            }
+
+            return n;
+        }, // End _updateParticles
+
+        /**
+         *  Get particles of a weather condition in flight
+         *  <br>Particle types extending others (such as freezing rain extending rain) are told apart by their condition.
+         *  @method ig.Atmosphere#_getParticles
+         *  @param  {String}      condition Weather condition falling or blowing as particles
+         *  @return {ig.Entity[]}           Particles of the weather condition
+         *  @private
+         */
+        _getParticles: function(condition) {
+            return ig.game.getEntitiesByType(this._getParticleTypes()[condition]).filter(function(particle) {
+                return particle.condition === condition;
+            });
+        }, // End _getParticles
+
+        /**
+         *  Get particle entity types, keyed by the weather condition falling or blowing as particles
+         *  <br>Dust haze has no particles.
+         *  @method ig.Atmosphere#_getParticleTypes
+         *  @return {Object} Particle entity types
+         *  @private
+         */
+        _getParticleTypes: function() {
+            return ig.Atmosphere.PARTICLES;
+        }, // End _getParticleTypes
+
+        /**
+         *  Picks the next state of automatic weather for current season and time of day
+         *  @method ig.Atmosphere#_pickWeatherState
+         *  @param  {?String} from Name of the current state, or null to pick among all states alike
+         *  @return {String}       Name of the next state
+         *  @private
+         */
+        _pickWeatherState: function(from) {
+            var period = this.solarPhase === 'day' ? 'day' : this.solarPhase === 'night' ? 'night' : 'twilight';
+
+            return ig.AtmosphereCore.pickWeatherState(this.climate, from, this.seasonState, period, this._computeClimateNormals(), this.random.bind(this));
+        }, // End _pickWeatherState
+
+        /**
+         *  Enters a state of automatic weather, applying its weather condition
+         *  <br>When the clock runs in reverse, the state spans the specified duration before the current date.
+         *  @method ig.Atmosphere#_enterWeatherState
+         *  @param {String} name    Name of the state
+         *  @param {Number} [hours] Duration of the state in hours (defaults to a random duration of the state)
+         *  @private
+         */
+        _enterWeatherState: function(name, hours) {
+            var state    = this.climate.states[name],
+                duration = (typeof hours === 'number' ? hours : state.duration[0] + this.random() * (state.duration[1] - state.duration[0])) / 24;
+
+            for(var key in this._weatherRamps) {
+                if(this._weatherRamps.hasOwnProperty(key)) {
+                    this.setWeatherIntensity(key, state.weather[key] === true ? 1 : state.weather[key] || 0);
+                }
+            }
+            if(state.weather.precipitation) {
+                this.setWeatherIntensity('precipitation', state.weather.precipitation === true ? 1 : state.weather.precipitation);
+            }
+
+            this.weatherState = this.timescale < 0 ?
+                {name: name, since: this.julianDate - duration, until: this.julianDate} :
+                {name: name, since: this.julianDate, until: this.julianDate + duration};
+        }, // End _enterWeatherState
+
+        /**
+         *  Computes the bundled climate class of a latitude
+         *  @method ig.Atmosphere#_computeClimateClass
+         *  @param  {Number} latitude Latitude in degrees
+         *  @return {String}          Name of a climate in {@link ig.Atmosphere.CLIMATES}
+         *  @private
+         */
+        _computeClimateClass: function(latitude) {
+            return ig.AtmosphereCore.computeClimateClass(latitude);
+        }, // End _computeClimateClass
+
+        /**
+         *  Computes the climate normals of current date, interpolated between the normals of the two nearest mid-months
+         *  @method ig.Atmosphere#_computeClimateNormals
+         *  @param  {ClimateObject}       [climate] Climate (defaults to the plugin's climate)
+         *  @return {?ClimateMonthObject}           Climate normals, or null if the climate has no monthly normals
+         *  @private
+         */
+        _computeClimateNormals: function(climate) {
+            climate = climate || this.climate;
+
+            return ig.AtmosphereCore.computeClimateNormals(climate.months, climate.hemisphere, this.geoCoords.latitude, this.gregorianDate);
+        }, // End _computeClimateNormals
+
+        /**
+         *  Get current air temperature
+         *  @method ig.Atmosphere#getTemperature
+         *  @return {Number} Air temperature in degrees Celsius
+         */
+        getTemperature: function() {
+            return this.meteorology.temperature;
+        }, // End getTemperature
+
+        /**
+         *  Get current relative humidity
+         *  @method ig.Atmosphere#getHumidity
+         *  @return {Number} Relative humidity in percent
+         */
+        getHumidity: function() {
+            return this.meteorology.humidity;
+        }, // End getHumidity
+
+        /**
+         *  Get current dew point
+         *  @method ig.Atmosphere#getDewPoint
+         *  @return {Number} Dew point in degrees Celsius
+         */
+        getDewPoint: function() {
+            return this.meteorology.dewPoint;
+        }, // End getDewPoint
+
+        /**
+         *  Get current air pressure
+         *  @method ig.Atmosphere#getPressure
+         *  @return {Number} Air pressure at sea level in hectopascals
+         */
+        getPressure: function() {
+            return this.meteorology.pressure;
+        }, // End getPressure
+
+        /**
+         *  Updates the meteorological quantities for current date, time, and weather
+         *  @method ig.Atmosphere#_updateMeteorology
+         *  @param {Number} [elapsed] Plugin time in days since the last update, over which weather effects ease in (omit to apply them at once)
+         *  @private
+         */
+        _updateMeteorology: function(elapsed) {
+            var normals = this._computeClimateNormals() || this._computeClimateNormals(ig.Atmosphere.CLIMATES.temperate),
+                target  = ig.AtmosphereCore.computeWeatherEffect(this.weatherCondition),
+                key;
+
+            // Ease weather effects in with a time constant of two hours
+            var ease = this._weatherEffect === null || typeof elapsed === 'undefined' ? 1 : 1 - Math.exp(-elapsed * 12);
+            if(this._weatherEffect === null) {
+                this._weatherEffect = {};
+            }
+            for(key in target) {
+                if(target.hasOwnProperty(key)) {
+                    this._weatherEffect[key] = ease === 1 ? target[key] : this._weatherEffect[key] + (target[key] - this._weatherEffect[key]) * ease;
+                }
+            }
+
+            this.meteorology = ig.AtmosphereCore.computeMeteorology(normals, this._weatherEffect, this.julianDate, this.solar);
+        }, // End _updateMeteorology
+
+        /**
+         *  Updates wind
+         *  <br>Settings not provided keep their current value.
+         *  @method ig.Atmosphere#updateWind
+         *  @param {Object} wind New wind settings (see {@link WindObject})
+         *
+         *  @example
+         *  // Strong, gusty northerly wind
+         *  ig.Atmosphere.updateWind({direction: 0, speed: 80, gusts: 120});
+         *  @example
+         *  // Dead calm
+         *  ig.Atmosphere.updateWind({speed: 0, gusts: 0});
+         */
+        updateWind: function(wind) {
+            wind = ig.merge(ig.copy(this.wind), wind || {});
+
+            // Sanity check
+            if(isNaN(wind.direction)) {
+                console.warn('wind direction \'' + wind.direction + '\' not a number. Defaulting direction to 270.');
+                wind.direction = 270;
+            }
+            wind.direction = (wind.direction % 360 + 360) % 360;
+
+            if(isNaN(wind.speed) || wind.speed < 0) {
+                console.warn('wind speed \'' + wind.speed + '\' not a non-negative number. Defaulting speed to 20.');
+                wind.speed = 20;
+            }
+            if(isNaN(wind.gusts) || wind.gusts < 0) {
+                console.warn('wind gusts \'' + wind.gusts + '\' not a non-negative number. Defaulting gusts to 30.');
+                wind.gusts = 30;
+            }
+            if(isNaN(wind.turbulence) || wind.turbulence < 0 || wind.turbulence > 1) {
+                console.warn('wind turbulence \'' + wind.turbulence + '\' not within range 0 - 1. Defaulting turbulence to 0.3.');
+                wind.turbulence = 0.3;
+            }
+            if(isNaN(wind.scale) || wind.scale <= 0) {
+                console.warn('wind scale \'' + wind.scale + '\' not a positive number. Defaulting scale to 200.');
+                wind.scale = 200;
+            }
+
+            this.wind = wind;
+        },
+
+        /**
+         *  Computes the wind at a point, including the current gust and turbulence
+         *  @method ig.Atmosphere#getWindAt
+         *  @param  {Number} x Horizontal position in pixels (game world coordinates)
+         *  @param  {Number} y Vertical position in pixels (game world coordinates)
+         *  @return {Object}   Wind velocity ({x, y} in pixels per second, in the direction the wind blows towards), speed in
+         *                     pixels per second, and compass direction the wind blows from in degrees
+         *
+         *  @example
+         *  // Push an arrow off course
+         *  var wind = ig.game.atmosphere.getWindAt(this.pos.x, this.pos.y);
+         *  this.vel.x += wind.x * ig.system.tick;
+         */
+        getWindAt: function(x, y) {
+            var wind       = this.wind,
+                turbulence = wind.turbulence,
+                u          = x / wind.scale + this._windTime * 0.5,
+                v          = y / wind.scale,
+                speed      = (wind.speed + wind.gusts * this._windGust) * (1 + turbulence * (2 * PerlinNoise.noise(u, v, 11.5) - 1)),
+                direction  = wind.direction + turbulence * 45 * (2 * PerlinNoise.noise(u, v, 23.7) - 1),
+                towards    = (direction + 180).toRad();
+
+            speed = Math.max(0, speed);
+
+            return {
+                x        : Math.sin(towards) * speed,
+                y        : -Math.cos(towards) * speed,
+                speed    : speed,
+                direction: (direction % 360 + 360) % 360
+            };
+        }, // End getWindAt
+
+        /**
+         *  Updates the cloud layer
+         *  <br>Settings not provided keep their current value.
+         *  @method ig.Atmosphere#updateClouds
+         *  @param {Object} clouds New cloud layer settings (see {@link CloudsObject})
+         *
+         *  @example
+         *  // Scattered clouds casting shadows over the level
+         *  ig.Atmosphere.updateClouds({cover: 0.4, shadows: true});
+         */
+        updateClouds: function(clouds) {
+            clouds = ig.merge(ig.copy(this.clouds), clouds || {});
+
+            // Sanity check
+            if(isNaN(clouds.cover) || clouds.cover < 0 || clouds.cover > 1) {
+                console.warn('clouds cover \'' + clouds.cover + '\' not within range 0 - 1. Defaulting cover to 0.15.');
+                clouds.cover = 0.15;
+            }
+            if(isNaN(clouds.speed) || clouds.speed < 0) {
+                console.warn('clouds speed \'' + clouds.speed + '\' not a non-negative number. Defaulting speed to 0.5.');
+                clouds.speed = 0.5;
+            }
+            if(typeof clouds.shadows !== 'boolean') {
+                console.warn('clouds shadows \'' + clouds.shadows + '\' not a boolean. Defaulting shadows to false.');
+                clouds.shadows = false;
+            }
+            if(isNaN(clouds.shadowStrength) || clouds.shadowStrength < 0 || clouds.shadowStrength > 1) {
+                console.warn('clouds shadowStrength \'' + clouds.shadowStrength + '\' not within range 0 - 1. Defaulting shadowStrength to 0.3.');
+                clouds.shadowStrength = 0.3;
+            }
+
+            this.clouds = clouds;
+            this.cloudCover = this._computeCloudCover();
+        },
+
+        /**
+         *  Updates colors of airborne particulate weather
+         *  <br>Colors not provided keep their current value. Particles already in flight keep their color.
+         *  @method ig.Atmosphere#updateParticulateColor
+         *  @param {Object} colors New colors (see {@link ig.Atmosphere#particulateColor particulateColor})
+         *
+         *  @example
+         *  // Red Martian dust storms
+         *  ig.Atmosphere.updateParticulateColor({sandstorm: {r: 190, g: 90, b: 50}, dust: {r: 170, g: 100, b: 70}});
+         */
+        updateParticulateColor: function(colors) {
+            var defaults = ig.Atmosphere.PARTICULATE_COLORS,
+                color,
+                key;
+
+            // Sanity check
+            if(typeof colors !== 'object' || colors === null) {
+                console.warn('colors \'' + colors + '\' not an object. Particulate colors not changed.');
+                return;
+            }
+
+            for(key in colors) {
+                if(colors.hasOwnProperty(key)) {
+                    color = colors[key];
+                    if(!defaults.hasOwnProperty(key)) {
+                        console.warn('particulate \'' + key + '\' not a particulate color (sandstorm, dust, ash, glow). Color not changed.');
+                    } else if(color === null || typeof color !== 'object' || isNaN(color.r) || isNaN(color.g) || isNaN(color.b) || (key === 'glow' && isNaN(color.a))) {
+                        console.warn('particulateColor.' + key + ' \'' + JSON.stringify(color) + '\' not a color. Defaulting particulateColor.' + key + ' to ' + JSON.stringify(defaults[key]) + '.');
+                        this.particulateColor[key] = ig.copy(defaults[key]);
+                    } else {
+                        this.particulateColor[key] = key === 'glow' ?
+                            {r: color.r.limit(0, 255), g: color.g.limit(0, 255), b: color.b.limit(0, 255), a: color.a.limit(0, 1)} :
+                            {r: color.r.limit(0, 255), g: color.g.limit(0, 255), b: color.b.limit(0, 255)};
+                    }
+                }
+            }
+
+            // Render the haze again in the new colors
+            this._hazeTiles = {};
+        },
+
+        /**
+         *  Get current visibility, the distance at which a dark object stands out against the horizon
+         *  <br>Each weather condition adds its share of extinction at its intensity (Koschmieder's law), on top of the
+         *  visibility of clear air (see {@link ig.Atmosphere.VISIBILITY}).
+         *  @method ig.Atmosphere#getVisibility
+         *  @return {Number} Visibility in kilometers
+         *
+         *  @example
+         *  // Hide distant enemies in a sandstorm
+         *  enemy.visible = enemy.distanceKm < ig.Atmosphere.getVisibility();
+         */
+        getVisibility: function() {
+            return ig.AtmosphereCore.computeVisibility(this.weatherIntensity, ig.Atmosphere.VISIBILITY);
+        }, // End getVisibility
+
+        /**
+         *  Renders the fog to an offscreen canvas, mirrored into a tile twice the size of the screen that repeats seamlessly
+         *  <br>Without a color, the noise is grey at the fog thickness.
+         *  @method ig.Atmosphere#_renderFog
+         *  @param  {Object}            [color]     Color the noise averages to ({r, g, b})
+         *  @param  {Number}            [alpha]     Opacity of the noise (range: 0 - 1; defaults to {@link ig.Atmosphere#fogThickness fogThickness})
+         *  @param  {Number}            [stretch=1] Horizontal stretch of the noise, streaking it along the wind
+         *  @return {HTMLCanvasElement}             Fog tile
+         *  @private
+         */
+        _renderFog: function(color, alpha, stretch) {
+            var tile    = ig.$new('canvas'),
+                width   = ig.system.realWidth,
+                height  = ig.system.realHeight,
+                size    = 5,
+                context,
+                noise,
+                r, g, b;
+
+            alpha = typeof alpha === 'number' ? alpha : this.fogThickness;
+            stretch = stretch || 1;
+
+            tile.width = 2 * width;
+            tile.height = 2 * height;
+            context = tile.getContext('2d');
+
+            for(var i = 0; i < width; i += size) {
+                for(var j = 0; j < height; j += size) {
+                    noise = PerlinNoise.noise(size * i / width / stretch, size * j / height, 0.6);
+                    if(color) {
+                        // Tinted noise, averaging to the color
+                        r = (2 * noise * color.r).round().limit(0, 255);
+                        g = (2 * noise * color.g).round().limit(0, 255);
+                        b = (2 * noise * color.b).round().limit(0, 255);
+                    } else {
+                        r = g = b = (255 * noise).round();
+                    }
+                    context.fillStyle = 'rgba(' + r + ', ' + g + ', ' + b + ', ' + alpha + ')';
+                    context.fillRect(i, j, size, size);
+                }
+            }
+
+            this._mirrorTile(tile);
+
+            return tile;
+        }, // End _renderFog
+
+        /**
+         *  Get the cloud mask of a cloud cover, rendering it if not already rendered
+         *  <br>Cover is quantized, so that a slowly changing sky renders a new mask only now and then. The mask is black,
+         *  casting cloud shadows as it is, and tinted to draw the clouds themselves (see {@link ig.Atmosphere#_tintCloudTile _tintCloudTile}).
+         *  @method ig.Atmosphere#_getCloudTile
+         *  @param  {Number}            cover Cloud cover (range: 0 - 1)
+         *  @return {HTMLCanvasElement}       Cloud mask
+         *  @private
+         */
+        _getCloudTile: function(cover) {
+            cover = (cover * 20).round() / 20;
+
+            if(!this._cloudTiles[cover]) {
+                // Keep the cache small as the cover changes with the weather
+                if(Object.keys(this._cloudTiles).length >= 8) {
+                    this._cloudTiles = {};
+                }
+                this._cloudTiles[cover] = this._renderClouds(cover);
+            }
+
+            return this._cloudTiles[cover];
+        }, // End _getCloudTile
+
+        /**
+         *  Tints a cloud mask with the color of the clouds, on a canvas reused from frame to frame
+         *  <br>The mask is only tinted again when the mask or the color changes.
+         *  @method ig.Atmosphere#_tintCloudTile
+         *  @param  {HTMLCanvasElement} tile  Cloud mask
+         *  @param  {Object}            color Color of the clouds ({r, g, b})
+         *  @return {HTMLCanvasElement}       Cloud tile
+         *  @private
+         */
+        _tintCloudTile: function(tile, color) {
+            var key = color.r.round().limit(0, 255) + ', ' + color.g.round().limit(0, 255) + ', ' + color.b.round().limit(0, 255),
+                canvas,
+                context;
+
+            if(this._cloudTint === null || this._cloudTint.tile !== tile || this._cloudTint.color !== key) {
+                canvas = this._cloudTint === null ? ig.$new('canvas') : this._cloudTint.canvas;
+                if(canvas.width !== tile.width || canvas.height !== tile.height) {
+                    canvas.width = tile.width;
+                    canvas.height = tile.height;
+                }
+                context = canvas.getContext('2d');
+
+                // Keep the shape of the mask, filled with the color
+                context.clearRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(tile, 0, 0);
+                context.globalCompositeOperation = 'source-in';
+                context.fillStyle = 'rgb(' + key + ')';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.globalCompositeOperation = 'source-over';
+
+                this._cloudTint = {canvas: canvas, tile: tile, color: key};
+            }
+
+            return this._cloudTint.canvas;
+        }, // End _tintCloudTile
+
+        /**
+         *  Renders a black cloud mask to an offscreen canvas, mirrored into a tile twice the size of the screen that repeats seamlessly
+         *  <br>Clouds form where the noise rises above a threshold that falls as the cover grows, with soft edges.
+         *  @method ig.Atmosphere#_renderClouds
+         *  @param  {Number}            cover Cloud cover (range: 0 - 1)
+         *  @return {HTMLCanvasElement}       Cloud mask
+         *  @private
+         */
+        _renderClouds: function(cover) {
+            var tile      = ig.$new('canvas'),
+                width     = ig.system.realWidth,
+                height    = ig.system.realHeight,
+                size      = 5,
+                threshold = 0.8 - 0.6 * cover,
+                context,
+                noise,
+                alpha;
+
+            tile.width = 2 * width;
+            tile.height = 2 * height;
+            context = tile.getContext('2d');
+
+            for(var i = 0; i < width; i += size) {
+                for(var j = 0; j < height; j += size) {
+                    // Two octaves of noise, billowing large clouds with smaller puffs
+                    noise = 0.7 * PerlinNoise.noise(3 * i / width, 2 * j / height, 2.3) + 0.3 * PerlinNoise.noise(9 * i / width, 6 * j / height, 4.7);
+                    alpha = ((noise - threshold) / 0.15).limit(0, 1) * 0.9;
+                    if(alpha > 0) {
+                        context.fillStyle = 'rgba(0, 0, 0, ' + alpha.toFixed(2) + ')';
+                        context.fillRect(i, j, size, size);
+                    }
+                }
+            }
+
+            this._mirrorTile(tile);
+
+            return tile;
+        }, // End _renderClouds
+
+        /**
+         *  Mirrors the top-left quarter of a tile into the other three, so that the tile repeats seamlessly
+         *  @method ig.Atmosphere#_mirrorTile
+         *  @param {HTMLCanvasElement} tile Tile twice the size of the screen
+         *  @private
+         */
+        _mirrorTile: function(tile) {
+            var context = tile.getContext('2d'),
+                width   = tile.width / 2,
+                height  = tile.height / 2;
+
+            context.save();
+            context.scale(-1, 1);
+            context.drawImage(tile, 0, 0, width, height, -2 * width, 0, width, height);
+            context.scale(1, -1);
+            context.drawImage(tile, 0, 0, width, height, -2 * width, -2 * height, width, height);
+            context.scale(-1, 1);
+            context.drawImage(tile, 0, 0, width, height, 0, -2 * height, width, height);
+            context.restore();
+        }, // End _mirrorTile
+
+        /**
+         *  Computes the offset from UTC of the plugin's time zone at specified instant, including daylight saving time
+         *  @method ig.Atmosphere#getUtcOffset
+         *  @param  {Number} jDate Specified instant in Julian date
+         *  @return {Number}       Offset from UTC in hours
+         *
+         *  @example
+         *  // Offset from UTC right now
+         *  ig.Atmosphere.getUtcOffset(ig.Atmosphere.julianDate);
+         */
+        getUtcOffset: function(jDate) {
+            return ig.AtmosphereCore.getUtcOffset(jDate, this.timezone);
+        }, // End getUtcOffset
+
+        /**
+         *  Converts Gregorian Date to Julian Date
+         *  @method ig.Atmosphere#convertGregorianToJulian
+         *  @param  {Object} gDate Specified date in Gregorian date (wall-clock time at the plugin's time zone)
+         *  @return {Number}       The equivalent Julian Date
+         */
+        convertGregorianToJulian: function(gDate) {
+            return ig.AtmosphereCore.convertGregorianToJulian(gDate, this.timezone);
+        }, // End convertGregorianToJulian
+
+        /**
+         *  Converts Julian Date to Gregorian Date
+         *  @method ig.Atmosphere#convertJulianToGregorian
+         *  @param  {Number} jDate Specified date in Julian date
+         *  @return {Date}         The equivalent Gregorian Date (wall-clock time at the plugin's time zone)
+         */
+        convertJulianToGregorian: function(jDate) {
+            var gDate = ig.AtmosphereCore.convertJulianToGregorian(jDate, this.timezone);
+
+            return new Date(gDate.year, gDate.month - 1, gDate.day, gDate.hour, gDate.minute, gDate.second, gDate.millisecond);
+        }, // End convertJulianToGregorian
+
+        /**
+         *  Converts calendar date and time fields to Julian Date, without time zone adjustment
+         *  @method ig.Atmosphere#_convertCalendarToJulian
+         *  @param  {Object} gDate Specified date in Gregorian date
+         *  @return {Number}       The equivalent Julian Date
+         *  @private
+         */
+        _convertCalendarToJulian: function(gDate) {
+            return ig.AtmosphereCore.convertCalendarToJulian(gDate);
+        }, // End _convertCalendarToJulian
+
+        /**
+         *  Converts Julian Date to calendar date and time fields, without time zone adjustment
+         *  @method ig.Atmosphere#_convertJulianToCalendar
+         *  @param  {Number} jDate Specified date in Julian date
+         *  @return {Object}       The equivalent Gregorian date and time fields
+         *  @private
+         */
+        _convertJulianToCalendar: function(jDate) {
+            return ig.AtmosphereCore.convertJulianToCalendar(jDate);
+        }, // End _convertJulianToCalendar
+
+        /**
+         *  Computes the approximate sunrise and sunset time for specified date and geographical coordinates
+         *  @method ig.Atmosphere#_computeSunriset
+         *  @param  {Date}           jDate     Specified date in Gregorian date
+         *  @param  {GeoCoordObject} geoCoords Geographical coordinates
+         *  @return {SolarObject}              Computed solar-based results
+         *  @private
+         */
+        _computeSunriset: function(jDate, geoCoords) {
+            return ig.AtmosphereCore.computeSunriset(jDate, geoCoords, this.twilightAltitudes, this.planet);
+
+            //console.log('----- computeSunriset() -----');
+            //console.log('Sunrise: ' + this.convertJulianToGregorian(this.solar.sunrise.date).toString());
+            //console.log('Sunset : ' + this.convertJulianToGregorian(this.solar.sunset.date).toString());
+            //console.log('Next computeSunriset() at: ' + this.convertJulianToGregorian(this.solar.nextUpdate).toString());
+        }, // End _computeSunriset
+
+        /**
+         *  Compute the solstices, equinoxes, and season boundaries for the year of specified date
+         *  @method ig.Atmosphere#_computeSeasons
+         *  @param  {Object}         gDate     Specified date in Gregorian date
+         *  @param  {GeoCoordObject} geoCoords Geographical coordinates
+         *  @return {SeasonObject}             Computed season-related results
+         *  @private
+         */
+        _computeSeasons: function(gDate, geoCoords) {
+            return ig.AtmosphereCore.computeSeasons(gDate.year, geoCoords, this.seasonModel, this.timezone, this.planet);
+        }, // End _computeSeasons
+
+        /**
+         *  Determines the season at specified date
+         *  @method ig.Atmosphere#_computeSeasonState
+         *  @param  {Number}       jDate  Specified date in Julian date
+         *  @param  {SeasonObject} season Computed season-related results for the year of specified date
+         *  @return {Number}              Season at specified date (0 = Spring, 1 = Summer, 2 = Autumn, 3 = Winter)
+         *  @private
+         */
+        _computeSeasonState: function(jDate, season) {
+            return ig.AtmosphereCore.computeSeasonState(jDate, season, this.seasonState);
+        }, // End _computeSeasonState
+
+        /**
+         *  Computes the position of the sun in the sky for specified date and geographical coordinates
+         *  @method ig.Atmosphere#computeSunPosition
+         *  @param  {Number}                  jDate     Specified date in Julian date
+         *  @param  {GeoCoordObject}          geoCoords Geographical coordinates
+         *  @return {CelestialPositionObject}           Computed altitude and azimuth of the sun
+         *
+         *  @example
+         *  // Where is the sun at noon on April 14, 2014 over Central Park?
+         *  ig.Atmosphere.computeSunPosition(2456762, {latitude: 40.7789, longitude: -73.9675});
+         */
+        computeSunPosition: function(jDate, geoCoords) {
+            return ig.AtmosphereCore.computeSunPosition(jDate, geoCoords, this.planet);
+        }, // End computeSunPosition
+
+        /**
+         *  Computes the position of the moon in the sky for specified date and geographical coordinates
+         *  @method ig.Atmosphere#computeMoonPosition
+         *  @param  {Number}                  jDate     Specified date in Julian date
+         *  @param  {GeoCoordObject}          geoCoords Geographical coordinates
+         *  @return {CelestialPositionObject}           Computed altitude and azimuth of the moon
+         *
+         *  @example
+         *  // Is the moon above the horizon right now?
+         *  ig.Atmosphere.computeMoonPosition(ig.Atmosphere.julianDate, ig.Atmosphere.geoCoords).altitude > 0;
+         */
+        computeMoonPosition: function(jDate, geoCoords) {
+            return ig.AtmosphereCore.computeMoonPosition(jDate, geoCoords, this.planet);
+        }, // End computeMoonPosition
+
+        /**
+         *  Computes the lunar phase, illuminated fraction, moonrise, and moonset for specified date and geographical coordinates
+         *  @method ig.Atmosphere#_computeLunar
+         *  @param  {Number}         jDate     Specified date in Julian date
+         *  @param  {GeoCoordObject} geoCoords Geographical coordinates
+         *  @return {LunarObject}              Computed lunar-related results
+         *  @private
+         */
+        _computeLunar: function(jDate, geoCoords) {
+            return ig.AtmosphereCore.computeLunar(jDate, geoCoords, this.timezone, this.planet);
+
+            //console.log('----- computeLunar() -----');
+            //console.log('Moonrise: ' + (this.lunar.moonrise.date === null ? 'None' : this.convertJulianToGregorian(this.lunar.moonrise.date).toString()));
+            //console.log('Moonset : ' + (this.lunar.moonset.date  === null ? 'None' : this.convertJulianToGregorian(this.lunar.moonset.date).toString()));
+        }, // End _computeLunar
+
+        /**
+         *  Updates current sun position, twilight phase, and sun state
+         *  @method ig.Atmosphere#_updateSunlight
+         *  @private
+         */
+        _updateSunlight: function() {
+            this.sunPosition = this.computeSunPosition(this.julianDate, this.geoCoords);
+
+            var altitude = this.sunPosition.altitude;
+
+            if(altitude >= this.twilightAltitudes.horizon) {
+                this.solarPhase = 'day';
+            } else if(altitude >= this.twilightAltitudes.civil) {
+                this.solarPhase = 'civilTwilight';
+            } else if(altitude >= this.twilightAltitudes.nautical) {
+                this.solarPhase = 'nauticalTwilight';
+            } else if(altitude >= this.twilightAltitudes.astronomical) {
+                this.solarPhase = 'astronomicalTwilight';
+            } else {
+                this.solarPhase = 'night';
+            }
+
+            // Sun in the eastern half of the sky is rising, western half is setting
+            this.sunState = this.solar.polarDay         ? 4 :
+                            this.solar.polarNight       ? 5 :
+                            this.solarPhase === 'day'   ? 1 :
+                            this.solarPhase === 'night' ? 3 :
+                            this.sunPosition.azimuth < 180 ? 0 : 2;
+        }, // End _updateSunlight
+
+        /**
+         *  Updates current moon position and the night darkness lifted by moonlight
+         *  @method ig.Atmosphere#_updateMoonlight
+         *  @private
+         */
+        _updateMoonlight: function() {
+            this.moonPosition = this.computeMoonPosition(this.julianDate, this.geoCoords);
+
+            // Moonlight scales with illuminated fraction and height of the moon above the horizon
+            var moonlight = this.lunar.illumination * Math.max(0, Math.sin((this.moonPosition.altitude).toRad())),
+                darkness  = 0;
+
+            this._skyBlend = this._computeSkyBlend();
+            for(var i = 0; i < this._skyBlend.length; i++) {
+                darkness += this._skyBlend[i].darkness * this._skyBlend[i].weight;
+            }
+
+            this._moonlightLift = this.moonBrightness.limit(0, 1) * moonlight;
+            this.nightDarkness = darkness * (1 - this._moonlightLift);
+        }, // End _updateMoonlight
+
+        /**
+         *  Computes the sky palettes in effect for current date and time, blending seasonal overrides across boundaries
+         *  @method ig.Atmosphere#_computeSkyBlend
+         *  @return {Object[]} Palettes in effect ({name, palette, darkness, nightAlpha, weight}), the outgoing one first
+         *  @private
+         */
+        _computeSkyBlend: function() {
+            var base   = this._getSkyPalette(),
+                config = this.seasonalSky,
+                names  = ['spring', 'summer', 'autumn', 'winter'],
+                entry  = function(key) {
+                    var profile = config !== null && key !== null && config.profiles[key] ? config.profiles[key] : {},
+                        palette = profile.palette || base,
+                        night   = 0;
+
+                    // Most opaque keyframe of the palette stands for the night
+                    for(var i = 0; i < palette.keyframes.length; i++) {
+                        night = Math.max(night, palette.keyframes[i].a);
+                    }
+
+                    return {
+                        name      : key === null || !config.profiles[key] ? palette.name : key + ': ' + palette.name,
+                        palette   : palette,
+                        darkness  : typeof profile.darkness === 'number' ? profile.darkness : night,
+                        nightAlpha: night,
+                        weight    : 1
+                    };
+                },
+                blend = function(from, to, t) {
+                    var a = entry(from),
+                        b = entry(to);
+
+                    // Eased, so that the transition starts and ends gently
+                    b.weight = ig.Atmosphere.EASINGS.smoothstep(t.limit(0, 1));
+                    a.weight = 1 - b.weight;
+
+                    return [a, b];
+                },
+                half,
+                i;
+
+            if(config === null) {
+                return [entry(null)];
+            }
+
+            half = config.blend / 2;
+
+            if(config.by === 'month') {
+                var year  = this.gregorianDate.year,
+                    month = this.gregorianDate.month,
+                    start = this.convertGregorianToJulian({year: year, month: month, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0}),
+                    next  = this.convertGregorianToJulian({year: month === 12 ? year + 1 : year, month: month % 12 + 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0});
+
+                if(this.julianDate - start < half) {
+                    return blend(String((month + 10) % 12 + 1), String(month), (this.julianDate - start + half) / config.blend);
+                } else if(next - this.julianDate < half) {
+                    return blend(String(month), String(month % 12 + 1), (this.julianDate - next + half) / config.blend);
+                }
+
+                return [entry(String(month))];
+            }
+
+            for(i = 0; i < this.season.boundaries.length; i++) {
+                var boundary = this.season.boundaries[i],
+                    previous = i === 0 ? this.season.initial : this.season.boundaries[i - 1].season;
+
+                if(Math.abs(this.julianDate - boundary.date) < half && typeof previous === 'number') {
+                    return blend(names[previous], names[boundary.season], (this.julianDate - boundary.date + half) / config.blend);
+                }
+            }
 
-        /**
-         *  Converts Julian Date to Gregorian Date
-         *  @method ig.Atmosphere#convertJulianToGregorian
-         *  @param  {Number} jDate Specified date in Julian date
-         *  @return {Date}         The equivalent Gregorian Date
-         */
-        convertJulianToGregorian: function(jDate) {
-            var f = 4 * (jDate - 1721120) + 3,
-                g = (f / 146097).floor(),
-                h = 100 * ((f % 146097) / 4).floor() + 99,
-                i = (h / 36525).floor(),
-                j = 5 * ((h % 36525) / 100).floor() + 2,
-                k = (j / 153),
-                l = ((k + 2) / 12).floor(),
-                t = jDate % 1,
-                u = 1 / 24,
-                v = 1 / 1440,
-                w = 1 / 86400;
-
-            var Y = 100 * g + i + l,
-                M = k - 12 * l + 3,
-                D = ((j % 153) / 5).floor(), // Math.floor((j % 153) / 5) + 1
-                H = (t / u).floor() + 12,
-                N = ((t % u) / v).floor(),
-                S = ((t % v) / w).floor(),
-                m = ((t % w) / (1 / 86400000)).floor();
-
-            // ** Manual time offset correction applied **
-            // Possible timezone issue?
-            D += H >= 12 && H < 18 ? 1 : 0;
-
-            return new Date(Y, M - 1, D, H, N, S, m);
-        }, // End convertJulianToGregorian
+            return [entry(typeof this.seasonState === 'number' ? names[this.seasonState] : null)];
+        }, // End _computeSkyBlend
 
         /**
-         *  Computes the approximate sunrise and sunset time for specified date and geographical coordinates
-         *  @method ig.Atmosphere#_computeSunriset
-         *  @param  {Date}           jDate     Specified date in Gregorian date
-         *  @param  {GeoCoordObject} geoCoords Geographical coordinates
-         *  @return {SolarObject}              Computed solar-based results
+         *  Computes the ambient illumination color of a sky palette in effect, with its night darkness override applied
+         *  <br>The override scales the alpha channel in proportion to the night, leaving daylight untouched.
+         *  @method ig.Atmosphere#_computeBlendedSkyColor
+         *  @param  {Object} entry Sky palette in effect, as computed by {@link ig.Atmosphere#_computeSkyBlend _computeSkyBlend}
+         *  @return {Object}       Color in the RGBA color space (r, g, b, a)
          *  @private
          */
-        _computeSunriset: function(jDate, geoCoords) {
-            var julianCycle        = ((jDate - 2451545 - 0.0009) + (geoCoords.longitude / 360)).round(),
-                solarNoon          = 2451545 + 0.0009 - (geoCoords.longitude / 360) + julianCycle,
-                solarMeanAnomaly   = (357.5291 + 0.98560028 * (solarNoon - 2451545)) % 360,
-                equationOfCenter   = (1.9148 * Math.sin((solarMeanAnomaly).toRad())) +
-                                     (0.0200 * Math.sin((2 * solarMeanAnomaly).toRad())) +
-                                     (0.0003 * Math.sin((3 * solarMeanAnomaly).toRad())),
-                eclipticLongitude  = (solarMeanAnomaly + 102.9372 + equationOfCenter + 180) % 360,
-                solarTransit       = solarNoon +
-                                     (0.0053 * Math.sin((solarMeanAnomaly).toRad())) -
-                                     (0.0069 * Math.sin((2 * eclipticLongitude).toRad())),
-                declinationOfSun  = (Math.asin(
-                                       Math.sin((eclipticLongitude).toRad()) *
-                                       Math.sin((23.45).toRad())
-                                     )).toDeg(),
-                hourAngle          = (Math.acos(
-                                       (Math.sin((-0.83).toRad()) - Math.sin((geoCoords.latitude).toRad()) * Math.sin((declinationOfSun).toRad())) /
-                                       (Math.cos((geoCoords.latitude).toRad()) * Math.cos((declinationOfSun).toRad()))
-                                     )).toDeg(),
-                julianHourAngle    = 2451545 + 0.0009 + ((hourAngle - geoCoords.longitude) / 360) + julianCycle,
-                sunset             = julianHourAngle +
-                                     (0.0053 * Math.sin((solarMeanAnomaly).toRad())) -
-                                     (0.0069 * Math.sin((2 * eclipticLongitude).toRad())),
-                sunrise            = solarTransit - (sunset - solarTransit);
-
-            // ** Manual time offset correction applied **
-            // Possible timezone issue?
-            return {
-                sunrise: { date: sunrise - this.solar.sunrise.duration / 1440 - 0.125, duration: this.solar.sunrise.duration },
-                sunset : { date: sunset - this.solar.sunset.duration / 1440 - 0.125,   duration: this.solar.sunset.duration  },
+        _computeBlendedSkyColor: function(entry) {
+            var color = this._computeSkyColor(entry.palette);
 
-                nextUpdate: jDate.floor() + 0.7063657403923571 + (jDate % 1 < 0.7063657403923571 ? 0 : 1) // 0.7063657403923571 JD = 4:57:10
-            };
+            if(entry.darkness !== entry.nightAlpha && entry.nightAlpha > 0) {
+                color.a = (color.a * (1 + (entry.darkness / entry.nightAlpha - 1) * this._computeStarVisibility())).limit(0, 1);
+            }
 
-            //console.log('----- computeSunriset() -----');
-            //console.log('Sunrise: ' + this.convertJulianToGregorian(this.solar.sunrise.date).toString());
-            //console.log('Sunset : ' + this.convertJulianToGregorian(this.solar.sunset.date).toString());
-            //console.log('Next computeSunriset() at: ' + this.convertJulianToGregorian(this.solar.nextUpdate).toString());
-        }, // End _computeSunriset
+            return color;
+        }, // End _computeBlendedSkyColor
 
         /**
-         *  Compute the solstices, equinoxes, and current season based on specified specified date
-         *  @method ig.Atmosphere#_computeSeasons
-         *  @param  {Date}           gDate     Specified date in Gregorian date
-         *  @param  {GeoCoordObject} geoCoords Geographical coordinates
-         *  @return {SeasonObject}             Computed season-related results
+         *  Gets the sky palette in use
+         *  @method ig.Atmosphere#_getSkyPalette
+         *  @return {SkyPaletteObject} The sky palette, or a palette equivalent to {@link ig.Atmosphere#skyColor skyColor}
          *  @private
          */
-        _computeSeasons: function(gDate, geoCoords) {
-            /*  NOTE: This algorithm has no creditable source (or at least that I can find); it was
-             *        something I made up. I was trying to find some form of mathematical equation to
-             *        compute solstices and equinoxes but with no luck. So, I used various tiny bits of
-             *        information gathered from various sources along with general knowledge and
-             *        constructed my own algorithm. I then compared the final results against some
-             *        precomputed tables of solstices and equinoxes, with some degree of inaccuracy.
-             *
-             *  General Algorithm Outline:
-             *      0. Information gathering and assumptions
-             *          a. Assume day length (sunrise - sunset) can be computed for arbitrary days.
-             *          b. Assume vernal equinox occurs between March 20 and March 23.
-             *             Assume estival solstice occurs between June 20 and June 23.
-             *             Assume autumnal equinox occurs between September 20 and September 23.
-             *             Assume hibernal solstice occurs between December 20 and December 23.
-             *      1. Computation of vernal equinox
-             *          a. For each potential day of vernal equinox, compute day length.
-             *          b. Of all potential days of vernal equinox, take the day where day length is
-             *             closest to 12 hours. This day is the vernal equinox.
-             *             This is because:
-             *                  vernal equinox: day length = night length
-             *                  day length - night length = 12 hours - 12 hours = 0 (or as close to 0 as possible)
-             *      2. Computation of estival solstice
-             *          a. For each potential day of estival solstice, compute day length.
-             *          b. Of all potential days of estival solstice, take the day where day length is
-             *             greatest. This day is the estival solstice.
-             *             This is because:
-             *                  estival solstice: longest day
-             *                  longest day = greatest day length
-             *      3. Computation of autumnal equinox
-             *          a. For each potential day of autumnal equinox, compute day length.
-             *          b. Of all potential days of autumnal equinox, take the day where day length is
-             *             closest to 12 hours. This day is the autumnal equinox.
-             *             This is because:
-             *                  autumnal equinox: day length = night length
-             *                  day length - night length = 12 hours - 12 hours = 0 (or as close to 0 as possible)
-             *      4. Computation of hibernal solstice
-             *          a. For each potential day of hibernal solstice, compute day length.
-             *          b. Of all potential days of hibernal solstice, take the day where day length is
-             *             least value. This day is the hibernal solstice.
-             *             This is because:
-             *                  hibernal solstice: shortest day
-             *                  shortest day = least day length
-             *      5. Computation of current season
-             *         Once solstices and equinoxes are determined, take current date (and time) and
-             *         compare it against solstices and equinoxes.
-             *          a. If current date falls between vernal equinox (inclusive) and estival
-             *             solstice (exclusive), current date is in vernal season (Spring).
-             *          b. If current date falls between estival solstice (inclusive) and autumnal
-             *             equinox (exclusive), current date is in estival season (Summer).
-             *          c. If current date falls between autumnal equinox (inclusive) and hibernal
-             *             solstice (exclusive), current date is in autumnal season (Autumn).
-             *          d. If current date falls between hibernal solstice (inclusive) and vernal
-             *             equinox (exclusive), current date is in hibernal season (Winter).
-             */
-
-            // Estimated bound for solstice and equinox dates
-            // TODO: Account for arbitrary latitudes (for polar day and polar night)
-            var jDateVernalMin   = this.convertGregorianToJulian({year: gDate.year, month:  3, day: 20, hour: 12, minute: 0, second: 0, millisecond: 0}), // March 20
-                jDateVernalMax   = jDateVernalMin + 3, // March 23
-                jDateEstivalMin  = this.convertGregorianToJulian({year: gDate.year, month:  6, day: 20, hour: 12, minute: 0, second: 0, millisecond: 0}), // June 20
-                jDateEstivalMax  = jDateEstivalMin + 3, // June 23
-                jDateAutumnalMin = this.convertGregorianToJulian({year: gDate.year, month:  9, day: 20, hour: 12, minute: 0, second: 0, millisecond: 0}), // September 20
-                jDateAutumnalMax = jDateAutumnalMin + 3, // September 23
-                jDateHibernalMin = this.convertGregorianToJulian({year: gDate.year, month: 12, day: 20, hour: 12, minute: 0, second: 0, millisecond: 0}), // December 20
-                jDateHibernalMax = jDateHibernalMin + 3; // December 23
-
-            var jDateVernalEquinox    = -1, vDayLength = 1,
-                jDateEstivalSolstice  = -1, eDayLength = 0,
-                jDateAutumnalEquinox  = -1, aDayLength = 1,
-                jDateHibernalSolstice = -1, hDayLength = 1,
-                dayLength;
-
-            // Compute vernal equinox
-            for(var v = jDateVernalMin; v <= jDateVernalMax; v++) {
-                dayLength = this._computeSunriset(v, geoCoords);
-
-                if(dayLength.sunset.date - dayLength.sunrise.date < vDayLength) {
-                    jDateVernalEquinox = v;
-                    vDayLength = dayLength.sunset.date - dayLength.sunrise.date;
-                }
-            }
-
-            // Compute estival solstice
-            for(var e = jDateEstivalMin; e <= jDateEstivalMax; e++) {
-                dayLength = this._computeSunriset(e, geoCoords);
-
-                if(dayLength.sunset.date - dayLength.sunrise.date > eDayLength) {
-                    jDateEstivalSolstice = e;
-                    eDayLength = dayLength.sunset.date - dayLength.sunrise.date;
-                }
-            }
-
-            // Compute autumnal equinox
-            for(var a = jDateAutumnalMin; a <= jDateAutumnalMax; a++) {
-                dayLength = this._computeSunriset(a, geoCoords);
-
-                if(dayLength.sunset.date - dayLength.sunrise.date < aDayLength) {
-                    jDateAutumnalEquinox = a;
-                    aDayLength = dayLength.sunset.date - dayLength.sunrise.date;
-                }
-            }
-
-            // Compute hibernal solstice
-            for(var h = jDateHibernalMin; h <= jDateHibernalMax; h++) {
-                dayLength = this._computeSunriset(h, geoCoords);
-
-                if(dayLength.sunset.date - dayLength.sunrise.date < hDayLength) {
-                    jDateHibernalSolstice = h;
-                    hDayLength = dayLength.sunset.date - dayLength.sunrise.date;
-                }
-            }
-
-            // Determine current season based on current date relative to solstices and equinoxs
-            var jDate = this.convertGregorianToJulian(gDate);
-            if(jDate < jDateVernalEquinox || jDate >= jDateHibernalSolstice) {
-                this.seasonState = 3;
-            } else if(jDate < jDateEstivalSolstice) {
-                this.seasonState = 0;
-            } else if(jDate < jDateAutumnalEquinox) {
-                this.seasonState = 1;
-            } else if(jDate < jDateHibernalSolstice) {
-                this.seasonState = 2;
+        _getSkyPalette: function() {
+            if(this.skyPalette !== null) {
+                return this.skyPalette;
             }
 
+            // Night darkness eases into the twilight color at the horizon, then switches to the day color at sunrise
+            var sc = this.skyColor;
+
             return {
-                vernalEquinox   : jDateVernalEquinox,
-                estivalSolstice : jDateEstivalSolstice,
-                autumnalEquinox : jDateAutumnalEquinox,
-                hibernalSolstice: jDateHibernalSolstice
+                name     : 'skyColor',
+                key      : 'altitude',
+                easing   : 'easeIn',
+                space    : 'rgb',
+                keyframes: [
+                    {at: this.twilightAltitudes.astronomical, r: sc.night.r,   g: sc.night.g,   b: sc.night.b,   a: sc.night.a},
+                    {at: this.twilightAltitudes.horizon,      r: sc.sunrise.r, g: sc.sunrise.g, b: sc.sunrise.b, a: sc.day.a, when: 'rising'},
+                    {at: this.twilightAltitudes.horizon,      r: sc.sunset.r,  g: sc.sunset.g,  b: sc.sunset.b,  a: sc.day.a, when: 'setting'},
+                    {at: this.twilightAltitudes.horizon,      r: sc.day.r,     g: sc.day.g,     b: sc.day.b,     a: sc.day.a}
+                ]
             };
-        }, // End _computeSeasons
+        }, // End _getSkyPalette
+
+        /**
+         *  Computes the ambient illumination color from the sky palette for the current sun position
+         *  @method ig.Atmosphere#_computeSkyColor
+         *  @param  {SkyPaletteObject} palette Sky palette
+         *  @return {Object}                   Color in the RGBA color space (r, g, b, a)
+         *  @private
+         */
+        _computeSkyColor: function(palette) {
+            var keyframes = [],
+                value,
+                from,
+                to,
+                t,
+                i;
+
+            if(palette.key === 'time') {
+                // Local solar time, wrapping around solar midnight
+                value = ((this.julianDate - this.solar.noon) / this.solar.dayLength * 24 + 12) % 24;
+                value = value < 0 ? value + 24 : value;
+                keyframes = palette.keyframes;
+
+                i = 0;
+                while(i < keyframes.length && keyframes[i].at <= value) {
+                    i++;
+                }
+
+                from = keyframes[(i + keyframes.length - 1) % keyframes.length];
+                to   = keyframes[i % keyframes.length];
+                t    = ((value - from.at + 24) % 24) / (((to.at - from.at + 24) % 24) || 24);
+            } else {
+                // Sun in the eastern half of the sky is rising, western half is setting
+                var when = this.sunPosition.azimuth < 180 ? 'rising' : 'setting';
+
+                value = this.sunPosition.altitude;
+                for(i = 0; i < palette.keyframes.length; i++) {
+                    if(!palette.keyframes[i].when || palette.keyframes[i].when === when) {
+                        keyframes.push(palette.keyframes[i]);
+                    }
+                }
+
+                // Palettes whose keyframes all apply to the other half of the day leave the scene untinted
+                if(keyframes.length === 0) {
+                    return {r: 0, g: 0, b: 0, a: 0};
+                }
+
+                i = 0;
+                while(i < keyframes.length && keyframes[i].at <= value) {
+                    i++;
+                }
+
+                from = keyframes[Math.max(i - 1, 0)];
+                to   = keyframes[Math.min(i, keyframes.length - 1)];
+                t    = to.at > from.at ? (value - from.at) / (to.at - from.at) : 1;
+            }
+
+            return this._interpolateColor(from, to, ig.Atmosphere.EASINGS[from.easing || palette.easing](t.limit(0, 1)), palette.space);
+        }, // End _computeSkyColor
+
+        /**
+         *  Interpolates between two colors in specified color space
+         *  @method ig.Atmosphere#_interpolateColor
+         *  @param  {Object} from  Color at t = 0 in the RGBA color space (r, g, b, a)
+         *  @param  {Object} to    Color at t = 1 in the RGBA color space (r, g, b, a)
+         *  @param  {Number} t     Progress from the first color to the second (range: 0 - 1)
+         *  @param  {String} space Color space to interpolate in ('rgb', 'hsl', or 'oklab')
+         *  @return {Object}       Interpolated color in the RGBA color space, with whole-numbered r, g, and b values
+         *  @private
+         */
+        _interpolateColor: function(from, to, t, space) {
+            return ig.AtmosphereCore.interpolateColor(from, to, t, space);
+        }, // End _interpolateColor
     }); // End ig.Atmosphere
     //#########################################################################
 
 
+    /**
+     *  Bundled daylight saving time rules, keyed by rule name
+     *  <br>Same object as {@link ig.AtmosphereCore.DST_RULES}; rules added here are also used by the core.
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     */
+    ig.Atmosphere.DST_RULES = ig.AtmosphereCore.DST_RULES;
+
+    /**
+     *  Bundled time zones, keyed by IANA time zone name
+     *  <br>Same object as {@link ig.AtmosphereCore.TIMEZONES}; time zones added here are also used by the core.
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     *
+     *  @example
+     *  // Add a time zone for a fictional island at UTC-03:30 observing United States daylight saving rules
+     *  ig.Atmosphere.TIMEZONES['Atlantic/Fictional'] = {offset: -3.5, dst: 'US'};
+     */
+    ig.Atmosphere.TIMEZONES = ig.AtmosphereCore.TIMEZONES;
+
+    /**
+     *  Bundled planet profiles, keyed by profile name
+     *  <br>Same object as {@link ig.AtmosphereCore.PLANETS}; profiles added here are also used by the core.
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     *
+     *  @example
+     *  // Add a fictional world with a 30-hour solar day and a 200-day year
+     *  ig.Atmosphere.PLANETS.kepler = {name: 'Kepler', axialTilt: 40, orbitalPeriod: 200, rotationPeriod: 1.2422, eccentricity: 0.05, perihelion: 90};
+     */
+    ig.Atmosphere.PLANETS = ig.AtmosphereCore.PLANETS;
+
+    /**
+     *  Bundled calendars, keyed by calendar name
+     *  <br>Same object as {@link ig.AtmosphereCore.CALENDARS}; calendars added here are also used by the core.
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     *
+     *  @example
+     *  // Add a calendar of 12 months of 30 days and 10-day weeks, counting years from the founding of the kingdom
+     *  ig.Atmosphere.CALENDARS.kingdom = {name: 'Royal Calendar', epoch: 2451544.5, epochYear: 312, months: [{name: 'Firstmonth', days: 30}, ...], weekdays: [...]};
+     */
+    ig.Atmosphere.CALENDARS = ig.AtmosphereCore.CALENDARS;
+
+    /**
+     *  Easings applied between keyframes of sky palettes, keyed by easing name
+     *  <br>Same object as {@link ig.AtmosphereCore.EASINGS}; easings added here are also used by the core.
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     *
+     *  @example
+     *  // Add an easing that holds the first color until halfway, then switches
+     *  ig.Atmosphere.EASINGS.step = function(t) { return t < 0.5 ? 0 : 1; };
+     */
+    ig.Atmosphere.EASINGS = ig.AtmosphereCore.EASINGS;
+
+    /**
+     *  Bundled sky palettes, keyed by palette name
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     *  @see To use a palette, use {@link ig.Atmosphere#setSkyPalette}.
+     */
+    ig.Atmosphere.SKY_PALETTES = {
+        // Deep-blue pre-dawn, golden sunrise, purple dusk
+        dramatic: {
+            name     : 'Dramatic',
+            key      : 'altitude',
+            easing   : 'smoothstep',
+            space    : 'oklab',
+            keyframes: [
+                {at: -18, r:  10, g:  12, b:  40, a: 0.7 },
+                {at: -12, r:  20, g:  40, b: 120, a: 0.6 , when: 'rising'},
+                {at:  -6, r:  60, g:  80, b: 170, a: 0.45, when: 'rising'},
+                {at:   0, r: 240, g: 160, b:  80, a: 0.25, when: 'rising'},
+                {at: -12, r:  50, g:  20, b:  90, a: 0.6 , when: 'setting'},
+                {at:  -6, r: 130, g:  50, b: 140, a: 0.45, when: 'setting'},
+                {at:   0, r: 230, g: 110, b: 100, a: 0.25, when: 'setting'},
+                {at:  10, r: 255, g: 220, b: 170, a: 0.05},
+                {at:  30, r:   0, g:   0, b:   0, a: 0   }
+            ]
+        },
+
+        // Cold, pale daylight and long blue hours, for winter overrides (see ig.Atmosphere#setSeasonalSky)
+        winter: {
+            name     : 'Winter',
+            key      : 'altitude',
+            easing   : 'smoothstep',
+            space    : 'oklab',
+            keyframes: [
+                {at: -18, r:   5, g:  10, b:  30, a: 0.7 },
+                {at: -10, r:  20, g:  45, b: 110, a: 0.55},
+                {at:   0, r:  70, g: 110, b: 180, a: 0.35},
+                {at:   6, r: 180, g: 200, b: 230, a: 0.2 },
+                {at:  20, r: 215, g: 230, b: 245, a: 0.12}
+            ]
+        },
+
+        // Warm morning and evening light by time of day, for worlds where the clock matters more than the sun
+        storybook: {
+            name     : 'Storybook',
+            key      : 'time',
+            easing   : 'easeInOut',
+            space    : 'oklab',
+            keyframes: [
+                {at:  0, r:  15, g:  20, b:  60, a: 0.65},
+                {at:  5, r:  15, g:  20, b:  60, a: 0.65},
+                {at:  7, r: 255, g: 190, b: 120, a: 0.2 },
+                {at:  9, r:   0, g:   0, b:   0, a: 0   },
+                {at: 17, r:   0, g:   0, b:   0, a: 0   },
+                {at: 19, r: 250, g: 120, b:  80, a: 0.25},
+                {at: 21, r:  15, g:  20, b:  60, a: 0.65}
+            ]
+        }
+    };
+
+    /**
+     *  Visibility in kilometers in clear air, and under each weather condition at full intensity
+     *  <br>Same object as {@link ig.AtmosphereCore.VISIBILITY}; visibilities changed here are also used by the core.
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     *  @see To get the current visibility, use {@link ig.Atmosphere#getVisibility}.
+     */
+    ig.Atmosphere.VISIBILITY = ig.AtmosphereCore.VISIBILITY;
+
+    /**
+     *  Default colors of airborne particulate weather
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     *  @see To change the colors of an instance, use {@link ig.Atmosphere#updateParticulateColor}.
+     */
+    ig.Atmosphere.PARTICULATE_COLORS = {
+        sandstorm: {r: 200, g: 160, b: 100},
+        dust     : {r: 180, g: 150, b: 115},
+        ash      : {r:  90, g:  85, b:  80},
+        glow     : {r: 255, g: 110, b:  30, a: 0.25}
+    };
+
+    /**
+     *  Haze drawn under particulate weather conditions from the fog noise, tinted in the color of the particulate
+     *  <br>Each entry holds the opacity of the haze at full intensity (alpha), its horizontal stretch, and its speed
+     *  relative to the fog drifting with the wind (speed). Blowing sand is streaked and races ahead of the wind.
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     */
+    ig.Atmosphere.HAZE = {
+        dust     : {alpha: 0.4, stretch: 1, speed: 1.5},
+        ash      : {alpha: 0.4, stretch: 1, speed: 0.5},
+        sandstorm: {alpha: 0.6, stretch: 4, speed: 4  }
+    };
+
+    /**
+     *  Weather conditions that are precipitation, each falling as its own particles
+     *  <br>Same array as {@link ig.AtmosphereCore.PRECIPITATION}.
+     *  @memberof ig.Atmosphere
+     *  @type {String[]}
+     */
+    ig.Atmosphere.PRECIPITATION = ig.AtmosphereCore.PRECIPITATION;
+
+    /**
+     *  Weather states and transitions shared by climates that do not define their own
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     *  @property {Object} states      {@link ClimateStateObject}s keyed by state name
+     *  @property {Object} transitions Relative weights of each next state, keyed by current state name, then next state name
+     *  @property {Object} diurnal     Weight multipliers of each state by solar phase, keyed by state name
+     */
+    ig.Atmosphere.WEATHER_MODEL = {
+        states: {
+            clear   : {weather: {},                                     duration: [3, 18]},
+            overcast: {weather: {overcast: true},                       duration: [2, 12]},
+            fog     : {weather: {fog: true},                            duration: [2, 8]},
+            rain    : {weather: {precipitation: true},                  duration: [2, 16]},
+            storm   : {weather: {precipitation: true, lightning: true}, duration: [1, 4]},
+            snow    : {weather: {snow: true},                           duration: [3, 24]}
+        },
+        transitions: {
+            clear   : {clear: 1, overcast: 1,   fog: 1,   rain: 1,   storm: 1, snow: 1  },
+            overcast: {clear: 1, overcast: 0.5, fog: 1,   rain: 1,   storm: 1, snow: 1  },
+            fog     : {clear: 1, overcast: 1,   fog: 0.5, rain: 1,             snow: 1  },
+            rain    : {clear: 1, overcast: 1,   fog: 1,   rain: 1,   storm: 1, snow: 0.5},
+            storm   : {clear: 1, overcast: 1,             rain: 2                       },
+            snow    : {clear: 1, overcast: 1,   fog: 1,   rain: 0.3,           snow: 1  }
+        },
+        diurnal: {
+            fog  : {day: 0.3, twilight: 2, night: 1.5},
+            storm: {day: 1.5, twilight: 1, night: 0.6}
+        }
+    };
+
+    /**
+     *  Bundled climates, keyed by climate name
+     *  <br>Monthly normals are given for the northern hemisphere, January first.
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     *  @see To use a climate, use {@link ig.Atmosphere#updateClimate}.
+     */
+    ig.Atmosphere.CLIMATES = {
+        // Hot and humid all year, with a rainy season of afternoon thunderstorms
+        tropical: {
+            name  : 'Tropical',
+            months: [
+                {temperature: [22, 30], precipitation: 0.2 , fog: 0.03, storm: 0.05},
+                {temperature: [22, 31], precipitation: 0.15, fog: 0.03, storm: 0.04},
+                {temperature: [23, 32], precipitation: 0.15, fog: 0.02, storm: 0.05},
+                {temperature: [24, 32], precipitation: 0.25, fog: 0.02, storm: 0.1 },
+                {temperature: [24, 31], precipitation: 0.4 , fog: 0.03, storm: 0.18},
+                {temperature: [24, 30], precipitation: 0.5 , fog: 0.04, storm: 0.2 },
+                {temperature: [23, 30], precipitation: 0.5 , fog: 0.04, storm: 0.2 },
+                {temperature: [23, 30], precipitation: 0.5 , fog: 0.04, storm: 0.2 },
+                {temperature: [23, 30], precipitation: 0.45, fog: 0.04, storm: 0.18},
+                {temperature: [23, 30], precipitation: 0.4 , fog: 0.04, storm: 0.15},
+                {temperature: [23, 30], precipitation: 0.3 , fog: 0.03, storm: 0.08},
+                {temperature: [22, 30], precipitation: 0.25, fog: 0.03, storm: 0.05}
+            ]
+        },
+
+        // Desert: dry all year, with cold nights in winter and scorching summer days
+        arid: {
+            name  : 'Arid',
+            months: [
+                {temperature: [ 7, 20], precipitation: 0.06, fog: 0.02, storm: 0.01},
+                {temperature: [ 9, 23], precipitation: 0.05, fog: 0.02, storm: 0.01},
+                {temperature: [12, 27], precipitation: 0.05, fog: 0.01, storm: 0.01},
+                {temperature: [16, 32], precipitation: 0.03, fog: 0.01, storm: 0.01},
+                {temperature: [21, 37], precipitation: 0.02, fog: 0   , storm: 0.01},
+                {temperature: [25, 41], precipitation: 0.01, fog: 0   , storm: 0.01},
+                {temperature: [27, 42], precipitation: 0.03, fog: 0   , storm: 0.03},
+                {temperature: [26, 41], precipitation: 0.04, fog: 0   , storm: 0.03},
+                {temperature: [23, 38], precipitation: 0.03, fog: 0   , storm: 0.02},
+                {temperature: [17, 32], precipitation: 0.03, fog: 0.01, storm: 0.01},
+                {temperature: [11, 25], precipitation: 0.04, fog: 0.02, storm: 0.01},
+                {temperature: [ 7, 20], precipitation: 0.06, fog: 0.02, storm: 0.01}
+            ]
+        },
+
+        // Mid-latitude: rain all year, thunderstorms in summer, some snow in winter, fog in autumn
+        temperate: {
+            name  : 'Temperate',
+            months: [
+                {temperature: [-3,  4], precipitation: 0.3 , fog: 0.08, storm: 0.005},
+                {temperature: [-2,  6], precipitation: 0.28, fog: 0.07, storm: 0.005},
+                {temperature: [ 2, 11], precipitation: 0.3 , fog: 0.07, storm: 0.02 },
+                {temperature: [ 7, 17], precipitation: 0.32, fog: 0.06, storm: 0.04 },
+                {temperature: [12, 22], precipitation: 0.3 , fog: 0.05, storm: 0.06 },
+                {temperature: [17, 27], precipitation: 0.28, fog: 0.04, storm: 0.09 },
+                {temperature: [20, 29], precipitation: 0.27, fog: 0.03, storm: 0.1  },
+                {temperature: [19, 28], precipitation: 0.26, fog: 0.05, storm: 0.08 },
+                {temperature: [15, 24], precipitation: 0.25, fog: 0.1 , storm: 0.05 },
+                {temperature: [ 9, 18], precipitation: 0.27, fog: 0.13, storm: 0.02 },
+                {temperature: [ 4, 11], precipitation: 0.3 , fog: 0.12, storm: 0.01 },
+                {temperature: [-1,  6], precipitation: 0.3 , fog: 0.09, storm: 0.005}
+            ]
+        },
+
+        // Long, snowy winters and short, warm summers with the occasional thunderstorm
+        continental: {
+            name  : 'Continental',
+            months: [
+                {temperature: [-13, -6], precipitation: 0.35, fog: 0.05, storm: 0   },
+                {temperature: [-12, -4], precipitation: 0.32, fog: 0.05, storm: 0   },
+                {temperature: [ -7,  2], precipitation: 0.3 , fog: 0.05, storm: 0.01},
+                {temperature: [  1, 10], precipitation: 0.28, fog: 0.06, storm: 0.02},
+                {temperature: [  7, 19], precipitation: 0.28, fog: 0.04, storm: 0.05},
+                {temperature: [ 11, 22], precipitation: 0.3 , fog: 0.03, storm: 0.08},
+                {temperature: [ 14, 24], precipitation: 0.32, fog: 0.03, storm: 0.09},
+                {temperature: [ 12, 22], precipitation: 0.32, fog: 0.05, storm: 0.06},
+                {temperature: [  7, 16], precipitation: 0.3 , fog: 0.08, storm: 0.02},
+                {temperature: [  2,  8], precipitation: 0.32, fog: 0.1 , storm: 0   },
+                {temperature: [ -4,  1], precipitation: 0.35, fog: 0.08, storm: 0   },
+                {temperature: [ -9, -4], precipitation: 0.36, fog: 0.06, storm: 0   }
+            ]
+        },
+
+        // Frozen most of the year: light snow in winter, fog and drizzle in the brief summer thaw
+        polar: {
+            name  : 'Polar',
+            months: [
+                {temperature: [-32, -24], precipitation: 0.15, fog: 0.04, storm: 0},
+                {temperature: [-33, -25], precipitation: 0.15, fog: 0.04, storm: 0},
+                {temperature: [-31, -23], precipitation: 0.15, fog: 0.04, storm: 0},
+                {temperature: [-24, -15], precipitation: 0.15, fog: 0.06, storm: 0},
+                {temperature: [-11,  -4], precipitation: 0.18, fog: 0.1 , storm: 0},
+                {temperature: [ -2,   3], precipitation: 0.2 , fog: 0.18, storm: 0},
+                {temperature: [  1,   7], precipitation: 0.22, fog: 0.22, storm: 0},
+                {temperature: [  0,   5], precipitation: 0.25, fog: 0.2 , storm: 0},
+                {temperature: [ -6,   0], precipitation: 0.25, fog: 0.12, storm: 0},
+                {temperature: [-16,  -9], precipitation: 0.22, fog: 0.06, storm: 0},
+                {temperature: [-25, -17], precipitation: 0.18, fog: 0.04, storm: 0},
+                {temperature: [-30, -22], precipitation: 0.15, fog: 0.04, storm: 0}
+            ]
+        }
+    };
+
+    /**
+     *  Names of the events emitted by the plugin
+     *  @memberof ig.Atmosphere
+     *  @type {String[]}
+     *  @see To listen to an event, use {@link ig.Atmosphere#on}.
+     */
+    ig.Atmosphere.EVENTS = [
+        'dawnStart',         // Astronomical dawn begins (sun rises above -18 degrees)
+        'sunrise',           // Sun rises above the horizon
+        'sunset',            // Sun sets below the horizon
+        'duskEnd',           // Astronomical dusk ends (sun sets below -18 degrees)
+        'newDay',            // Local midnight
+        'yearChange',        // Local midnight of January 1
+        'seasonChange',      // Season boundary under the current season model and hemisphere
+        'weatherChange',     // Weather condition changed
+        'lightningStrike',   // Lightning flash triggered
+        'temperatureChange', // Temperature changed by 1 degree Celsius or more since last notified
+        'humidityChange',    // Relative humidity changed by 1 percent or more since last notified
+        'dewPointChange',    // Dew point changed by 1 degree Celsius or more since last notified
+        'pressureChange'     // Air pressure changed by 1 hectopascal or more since last notified
+    ];
+
+    /**
+     *  Format version of snapshots created by {@link ig.Atmosphere#serialize}
+     *  <br>Only bumped when a snapshot changes in a way older plugins would misread. Values added since a snapshot was
+     *  created are missing from it, and keep their current value when restored.
+     *  @memberof ig.Atmosphere
+     *  @type {Number}
+     */
+    ig.Atmosphere.SNAPSHOT_VERSION = 1;
+
+
     /**
      *  Perlin Noise Generator
      *  <br>My modifications: Minor code adaptation for use in ImpactJS. Algorithm remains unmodified.
@@ -878,7 +4216,8 @@ ig.module(
      *  <br>Kas Thomas's JavaScript port: http://asserttrue.blogspot.com/2011/12/perlin-noise-in-javascript_31.html
      */
     var PerlinNoise = {
-        noise: function(x, y, z) {
+        // Permutation table, repeated once so that indices need no wrapping; built once rather than on every call
+        p: (function() {
             var p = new Array(512);
             var permutation = [
                 151,160,137,91,90,15,131,13,201,95,96,53,194,233,7,225,140,36,103,30,69,142,8,
@@ -899,6 +4238,12 @@ ig.module(
                 p[256+i] = p[i] = permutation[i];
             }
 
+            return p;
+        })(),
+
+        noise: function(x, y, z) {
+            var p = this.p;
+
                 var X = x.floor() & 255,
                     Y = y.floor() & 255,
                     Z = z.floor() & 255;
@@ -948,30 +4293,41 @@ ig.module(
         vel: {x: 20, y: 400},
         maxVel: {x: 100, y: 400},
 
-        weight: 1,    // Raindrop weight
+        condition: 'rain', // Weather condition the particle falls in
+        color: 'rgba(200, 200, 200, 0.6)',
+        streak: 0.02, // Seconds of motion each raindrop streaks over
+        weight: 0,    // Raindrop weight (randomized if not provided)
+        drift: 1,     // Share of the wind speed the raindrop drifts at
+        fall: 400,    // Speed the raindrop falls at in still air
+        atmosphere: null, // Atmospheric system providing random numbers and wind
 
         init: function(x, y, settings) {
             this.parent(x, y, settings);
 
             // Randomize raindrop lifetime
             this.lifetime = ig.system.height / this.vel.y;
-            this.lifetimeTimer = new ig.Timer(Math.abs(Math.random() * this.lifetime * 1.5 - this.lifetime) + this.lifetime / 2); // Range: 0.5 - lifetime (skewed towards lifetime)
+            this.lifetimeTimer = new ig.Timer(Math.abs(this.atmosphere.random() * this.lifetime * 1.5 - this.lifetime) + this.lifetime / 2); // Range: 0.5 - lifetime (skewed towards lifetime)
 
-            // Randomize initial velocity
-            this.vel.x *= Math.random() + 0.5; // Range: 0.5 - 1.5
-            this.vel.y *= Math.random() + 1;   // Range: 1.0 - 2.0 (rain should not "fall" upwards...)
+            // Randomize drift and fall speed
+            this.drift = this.atmosphere.random() + 0.5;             // Range: 0.5 - 1.5
+            this.fall = this.vel.y * (this.atmosphere.random() + 1); // Range: 1.0 - 2.0 (rain should not "fall" upwards...)
 
-            this.weight = Math.abs(this.weight);
+            this.weight = this.weight ? Math.abs(this.weight) : this.atmosphere.random() + 0.5; // Randomize raindrop weight (range: 0.5 - 1.5)
         },
 
         update: function() {
+            // Drift with the wind, never slowing the fall below a quarter
+            var wind = this.atmosphere.getWindAt(this.pos.x, this.pos.y);
+            this.vel.x = wind.x * this.drift;
+            this.vel.y = Math.max(this.fall / 4, this.fall * (0.5 + 0.5 * this.atmosphere.weatherIntensity[this.condition]) + wind.y);
+
             this.parent();
 
             // Handle entity moving out of screen bounds
             // Wraparound to opposite side of screen
             if(this.pos.y > ig.game.screen.y + ig.system.height || this.lifetimeTimer.delta() >= 0) {
                this.pos.y = ig.game.screen.y;
-               this.lifetimeTimer.set(Math.random() * this.lifetime + this.lifetime / 2);
+               this.lifetimeTimer.set(this.atmosphere.random() * this.lifetime + this.lifetime / 2);
             } else if(this.pos.x > ig.game.screen.x + ig.system.width) {
                 this.pos.x = ig.game.screen.x;
             } else if(this.pos.x < ig.game.screen.x) {
@@ -981,11 +4337,11 @@ ig.module(
 
         draw: function() {
             // Draw rain
-            ig.system.context.strokeStyle = 'rgba(200, 200, 200, 0.6)';
-            ig.system.context.lineWidth = this.weight;
+            ig.system.context.strokeStyle = this.color;
+            ig.system.context.lineWidth = this.weight * (0.5 + 0.5 * this.atmosphere.weatherIntensity[this.condition]); // Finer drops in a drizzle
             ig.system.context.beginPath();
                 ig.system.context.moveTo(this.pos.x, this.pos.y);
-                ig.system.context.lineTo(this.pos.x + this.vel.x * 0.05, this.pos.y + this.vel.y * 0.02);
+                ig.system.context.lineTo(this.pos.x + this.vel.x * this.streak, this.pos.y + this.vel.y * this.streak); // Streak along the direction of motion
             ig.system.context.closePath();
             ig.system.context.stroke();
         },
@@ -1005,30 +4361,40 @@ ig.module(
         vel: {x: 60, y: 80},
         maxVel: {x: 100, y: 100},
 
-        radius: 1,    // Particle radius
+        condition: 'snow', // Weather condition the particle falls in
+        color: 'rgba(255, 255, 255, 0.8)',
+        radius: 0,    // Particle radius (randomized if not provided)
+        drift: 0,     // Sideways speed of the particle on top of the wind
+        fall: 80,     // Speed the particle falls at in still air
+        atmosphere: null, // Atmospheric system providing random numbers and wind
 
         init: function(x, y, settings) {
             this.parent(x, y, settings);
 
             // Randomize snow particle lifetime
             this.lifetime = ig.system.height / this.vel.y * 1.5;
-            this.lifetimeTimer = new ig.Timer(Math.abs(Math.random() * this.lifetime * 1.5 - this.lifetime) + this.lifetime / 2); // Range: 0.5 - lifetime (skewed towards lifetime)
+            this.lifetimeTimer = new ig.Timer(Math.abs(this.atmosphere.random() * this.lifetime * 1.5 - this.lifetime) + this.lifetime / 2); // Range: 0.5 - lifetime (skewed towards lifetime)
 
-            // Randomize initial velocity
-            this.vel.x *= Math.random() * 2 - 1; // Range: -1.0 - 1.0
-            this.vel.y *= Math.abs(Math.random() * 2 - 1); // Range: 0.0 - 1.0 (skewed towards 0) (snow should not "fall" upwards...)
+            // Randomize drift and fall speed
+            this.drift = this.vel.x * (this.atmosphere.random() * 2 - 1);           // Range: -1.0 - 1.0
+            this.fall = this.vel.y * Math.abs(this.atmosphere.random() * 2 - 1); // Range: 0.0 - 1.0 (skewed towards 0) (snow should not "fall" upwards...)
 
-            this.radius = Math.abs(this.radius);
+            this.radius = this.radius ? Math.abs(this.radius) : this.atmosphere.random() * 0.5 + 1; // Randomize snow particle size (range: 1.0 - 1.5)
         },
 
         update: function() {
+            // Drift with the wind, never slowing the fall below a quarter
+            var wind = this.atmosphere.getWindAt(this.pos.x, this.pos.y);
+            this.vel.x = this.drift + wind.x;
+            this.vel.y = Math.max(this.fall / 4, this.fall * (0.5 + 0.5 * this.atmosphere.weatherIntensity[this.condition]) + wind.y);
+
             this.parent();
 
             // Handle entity moving out of screen bounds
             // Wraparound to opposite side of screen
             if(this.pos.y > ig.game.screen.y + ig.system.height || this.lifetimeTimer.delta() >= 0) {
                this.pos.y = ig.game.screen.y;
-               this.lifetimeTimer.set(Math.random() * this.lifetime + this.lifetime / 2);
+               this.lifetimeTimer.set(this.atmosphere.random() * this.lifetime + this.lifetime / 2);
             } else if(this.pos.x > ig.game.screen.x + ig.system.width) {
                 this.pos.x = ig.game.screen.x;
             } else if(this.pos.x < ig.game.screen.x) {
@@ -1038,12 +4404,12 @@ ig.module(
 
         draw: function() {
             // Draw snow
-            ig.system.context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ig.system.context.fillStyle = this.color;
             ig.system.context.beginPath();
                 ig.system.context.arc(
                     this.pos.x,
                     this.pos.y,
-                    this.radius,
+                    this.radius * (0.6 + 0.4 * this.atmosphere.weatherIntensity[this.condition]), // Smaller flakes in flurries
                     0,
                     2 * Math.PI
                 );
@@ -1057,6 +4423,263 @@ ig.module(
         }
     }); // End EntitySnow
 
+    //
+    /**
+     *  Sleet particle (ice pellet)
+     *  @extends {ig.Entity}
+     */
+    var EntitySleet = ig.Entity.extend({
+        vel: {x: 0, y: 250},
+        maxVel: {x: 100, y: 400},
+
+        condition: 'sleet', // Weather condition the particle falls in
+        radius: 0,    // Pellet radius (randomized if not provided)
+        drift: 0.6,   // Share of the wind speed the pellet drifts at
+        fall: 250,    // Speed the pellet falls at in still air
+        atmosphere: null, // Atmospheric system providing random numbers and wind
+
+        init: function(x, y, settings) {
+            this.parent(x, y, settings);
+
+            // Randomize sleet particle lifetime
+            this.lifetime = ig.system.height / this.vel.y;
+            this.lifetimeTimer = new ig.Timer(Math.abs(this.atmosphere.random() * this.lifetime * 1.5 - this.lifetime) + this.lifetime / 2); // Range: 0.5 - lifetime (skewed towards lifetime)
+
+            // Randomize drift and fall speed
+            this.drift = this.atmosphere.random() * 0.4 + 0.4;                // Range: 0.4 - 0.8
+            this.fall = this.vel.y * (this.atmosphere.random() * 0.5 + 0.75); // Range: 0.75 - 1.25
+
+            this.radius = this.radius ? Math.abs(this.radius) : this.atmosphere.random() * 0.4 + 0.6; // Randomize pellet size (range: 0.6 - 1.0)
+        },
+
+        update: function() {
+            // Drift with the wind, never slowing the fall below a quarter
+            var wind = this.atmosphere.getWindAt(this.pos.x, this.pos.y);
+            this.vel.x = wind.x * this.drift;
+            this.vel.y = Math.max(this.fall / 4, this.fall * (0.7 + 0.3 * this.atmosphere.weatherIntensity[this.condition]) + wind.y);
+
+            this.parent();
+
+            // Handle entity moving out of screen bounds
+            // Wraparound to opposite side of screen
+            if(this.pos.y > ig.game.screen.y + ig.system.height || this.lifetimeTimer.delta() >= 0) {
+               this.pos.y = ig.game.screen.y;
+               this.lifetimeTimer.set(this.atmosphere.random() * this.lifetime + this.lifetime / 2);
+            } else if(this.pos.x > ig.game.screen.x + ig.system.width) {
+                this.pos.x = ig.game.screen.x;
+            } else if(this.pos.x < ig.game.screen.x) {
+                this.pos.x = ig.game.screen.x + ig.system.width;
+            }
+        },
+
+        draw: function() {
+            // Draw sleet: a translucent pellet with a short streak
+            var radius = this.radius * (0.7 + 0.3 * this.atmosphere.weatherIntensity[this.condition]);
+            ig.system.context.strokeStyle = 'rgba(210, 220, 230, 0.4)';
+            ig.system.context.lineWidth = radius;
+            ig.system.context.beginPath();
+                ig.system.context.moveTo(this.pos.x, this.pos.y);
+                ig.system.context.lineTo(this.pos.x - this.vel.x * 0.01, this.pos.y - this.vel.y * 0.01);
+            ig.system.context.closePath();
+            ig.system.context.stroke();
+
+            ig.system.context.fillStyle = 'rgba(235, 240, 250, 0.85)';
+            ig.system.context.fillRect(this.pos.x - radius, this.pos.y - radius, 2 * radius, 2 * radius);
+        },
+
+        handleMovementTrace: function() {
+            this.pos.x += this.vel.x * ig.system.tick;
+            this.pos.y += this.vel.y * ig.system.tick;
+        }
+    }); // End EntitySleet
+
+    //
+    /**
+     *  Hail particle (hailstone), bouncing off the ground
+     *  @extends {ig.Entity}
+     */
+    var EntityHail = ig.Entity.extend({
+        vel: {x: 0, y: 300},
+        maxVel: {x: 100, y: 600},
+        gravityFactor: 0, // Hailstones handle their own gravity when bouncing
+
+        condition: 'hail', // Weather condition the particle falls in
+        radius: 0,    // Hailstone radius (randomized if not provided)
+        drift: 0.3,   // Share of the wind speed the hailstone drifts at
+        fall: 300,    // Speed the hailstone falls at in still air
+        bounces: 0,   // Number of times the hailstone has bounced since it landed
+        ground: 0,    // Height the hailstone landed at
+        atmosphere: null, // Atmospheric system providing random numbers and wind
+
+        init: function(x, y, settings) {
+            this.parent(x, y, settings);
+
+            // Randomize hailstone lifetime (time until it lands)
+            this.lifetime = ig.system.height / this.vel.y;
+            this.lifetimeTimer = new ig.Timer(Math.abs(this.atmosphere.random() * this.lifetime * 1.5 - this.lifetime) + this.lifetime / 2); // Range: 0.5 - lifetime (skewed towards lifetime)
+
+            // Randomize hailstone size: mostly small stones, now and then a large one
+            this.radius = this.radius ? Math.abs(this.radius) : 1 + 2.5 * Math.pow(this.atmosphere.random(), 3); // Range: 1.0 - 3.5 (skewed towards 1.0)
+
+            // Randomize drift, and fall faster the larger the hailstone
+            this.drift = this.atmosphere.random() * 0.2 + 0.2;                                        // Range: 0.2 - 0.4
+            this.fall = this.vel.y * Math.sqrt(this.radius) * (this.atmosphere.random() * 0.2 + 0.9); // Range: 0.9 - 2.1
+        },
+
+        update: function() {
+            var wind = this.atmosphere.getWindAt(this.pos.x, this.pos.y);
+            this.vel.x = wind.x * this.drift;
+
+            // Fall through the air, or fly up and back down after bouncing
+            if(this.bounces === 0) {
+                this.vel.y = Math.max(this.fall / 4, this.fall * (0.7 + 0.3 * this.atmosphere.weatherIntensity[this.condition]) + wind.y);
+            } else {
+                this.vel.y += 1200 * ig.system.tick;
+            }
+
+            this.parent();
+
+            // Bounce twice, losing most of the speed each time, then start over at the top of the screen
+            if(this.bounces === 0 && (this.pos.y > ig.game.screen.y + ig.system.height || this.lifetimeTimer.delta() >= 0)) {
+                this.ground = Math.min(this.pos.y, ig.game.screen.y + ig.system.height);
+                this._bounce();
+            } else if(this.bounces > 0 && this.pos.y >= this.ground) {
+                if(this.bounces < 2) {
+                    this._bounce();
+                } else {
+                    this.bounces = 0;
+                    this.pos.y = ig.game.screen.y;
+                    this.lifetimeTimer.set(this.atmosphere.random() * this.lifetime + this.lifetime / 2);
+                }
+            }
+
+            if(this.pos.x > ig.game.screen.x + ig.system.width) {
+                this.pos.x = ig.game.screen.x;
+            } else if(this.pos.x < ig.game.screen.x) {
+                this.pos.x = ig.game.screen.x + ig.system.width;
+            }
+        },
+
+        draw: function() {
+            // Draw hail
+            ig.system.context.fillStyle = 'rgba(240, 245, 250, 0.9)';
+            ig.system.context.beginPath();
+                ig.system.context.arc(
+                    this.pos.x,
+                    this.pos.y,
+                    this.radius * (0.7 + 0.3 * this.atmosphere.weatherIntensity[this.condition]), // Smaller stones in light hail
+                    0,
+                    2 * Math.PI
+                );
+            ig.system.context.closePath();
+            ig.system.context.fill();
+        },
+
+        handleMovementTrace: function() {
+            this.pos.x += this.vel.x * ig.system.tick;
+            this.pos.y += this.vel.y * ig.system.tick;
+        },
+
+        _bounce: function() {
+            this.pos.y = this.ground;
+            this.vel.y = -Math.abs(this.vel.y) * (0.25 + 0.1 * this.atmosphere.random()); // Range: 0.25 - 0.35 of the landing speed
+            this.bounces++;
+        }
+    }); // End EntityHail
+
+    //
+    /**
+     *  Freezing rain particle, glazing the ground where it lands
+     *  @extends {EntityRain}
+     */
+    var EntityFreezingRain = EntityRain.extend({
+        condition: 'freezingRain', // Weather condition the particle falls in
+        color: 'rgba(190, 215, 235, 0.6)',
+        glint: null,  // Where and when the last raindrop froze on landing ({x, y, timer})
+
+        update: function() {
+            var x = this.pos.x,
+                y = this.pos.y;
+
+            this.parent();
+
+            // Raindrop wrapped around to the top of the screen, having landed and frozen
+            if(this.pos.y < y) {
+                this.glint = {x: x, y: y, timer: new ig.Timer(0.3)};
+            }
+        },
+
+        draw: function() {
+            this.parent();
+
+            // Draw a fading glint of ice where the raindrop froze
+            if(this.glint !== null && this.glint.timer.delta() < 0) {
+                ig.system.context.strokeStyle = 'rgba(230, 245, 255, ' + (-this.glint.timer.delta() / 0.3 * 0.8) + ')';
+                ig.system.context.lineWidth = 1;
+                ig.system.context.beginPath();
+                    ig.system.context.moveTo(this.glint.x - 2, this.glint.y);
+                    ig.system.context.lineTo(this.glint.x + 2, this.glint.y);
+                ig.system.context.closePath();
+                ig.system.context.stroke();
+            }
+        }
+    }); // End EntityFreezingRain
+
+    //
+    /**
+     *  Sandstorm particle (grain of blowing sand), racing with the wind and barely falling
+     *  @extends {EntityRain}
+     */
+    var EntitySand = EntityRain.extend({
+        vel: {x: 0, y: 20},
+
+        condition: 'sandstorm', // Weather condition the particle blows in
+        streak: 0.05,
+
+        init: function(x, y, settings) {
+            this.parent(x, y, settings);
+
+            // Blow faster than the wind carrying the haze, in the color of the sand
+            var color = this.atmosphere.particulateColor.sandstorm;
+            this.drift *= 2; // Range: 1.0 - 3.0
+            this.color = 'rgba(' + color.r + ', ' + color.g + ', ' + color.b + ', 0.7)';
+        }
+    }); // End EntitySand
+
+    //
+    /**
+     *  Volcanic ash particle, drifting down slowly
+     *  @extends {EntitySnow}
+     */
+    var EntityAsh = EntitySnow.extend({
+        condition: 'ash', // Weather condition the particle falls in
+
+        init: function(x, y, settings) {
+            this.parent(x, y, settings);
+
+            // Fall at half the speed of snow, in the color of the ash
+            var color = this.atmosphere.particulateColor.ash;
+            this.fall /= 2;
+            this.color = 'rgba(' + color.r + ', ' + color.g + ', ' + color.b + ', 0.8)';
+        }
+    }); // End EntityAsh
+
+    /**
+     *  Particle entity types, keyed by the weather condition falling or blowing as particles
+     *  <br>Defined after the particles, which {@link ig.Atmosphere} only looks up once running.
+     *  @memberof ig.Atmosphere
+     *  @type {Object}
+     */
+    ig.Atmosphere.PARTICLES = {
+        rain        : EntityRain,
+        snow        : EntitySnow,
+        sleet       : EntitySleet,
+        hail        : EntityHail,
+        freezingRain: EntityFreezingRain,
+        sandstorm   : EntitySand,
+        ash         : EntityAsh
+    };
+
     // End particles
     //#########################################################################
 });
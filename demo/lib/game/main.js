@@ -17,6 +17,9 @@ ig.module(
             // (0.5 real_sec/update) * (600 plugin_secs/real_sec) = (300 plugin_secs/update) * (1/60 plugin_min/plugin_sec) = 5 plugin_mins/update
             this.atmosphere = new ig.Atmosphere(new Date(), 0.5, 600);
 
+            // Let the plugin's sky show through behind the level instead of clearing the screen
+            this.clearColor = null;
+
             // Bind a key for togging debug messages
             ig.input.bind(ig.KEY.MOUSE1, 'click');
 
@@ -38,6 +41,10 @@ ig.module(
         },
 
         draw: function() {
+            // Call plugin's drawSky method before drawing the level
+            // Used to draw the sun, moon, and stars behind the level's maps
+            this.atmosphere.drawSky();
+
             this.parent();
 
             // Call plugin's draw method
@@ -0,0 +1,2219 @@
+/**
+ *  @fileOverview Engine-independent astronomy, clock, and climate core of the Impact Atmospheric System Plugin.
+ *    Contains no drawing code and no state, so that it runs both under the Impact module system and in plain
+ *    Node (e.g. to compute in-game sunrise times on a server).
+ *  @author Kevin Chan {@link https://github.com/chessmasterhong|(chessmasterhong)}
+ *  @license {@link https://github.com/chessmasterhong/impact-atmosphere/blob/master/LICENCE|MIT License}
+ */
+
+/* global module */
+
+
+(function(factory) {
+    'use strict';
+
+    if(typeof ig !== 'undefined' && typeof ig.module === 'function') {
+        // Impact module system
+        ig.module(
+            'plugins.atmosphere-core'
+        )
+        .defines(function() {
+            ig.AtmosphereCore = factory();
+        });
+    } else if(typeof module !== 'undefined' && module.exports) {
+        // Node
+        module.exports = factory();
+    }
+})(function() {
+    'use strict';
+
+    // Degree/radian conversions, without relying on Impact's Number prototype extensions
+    var toRad = function(degrees) { return degrees * Math.PI / 180; },
+        toDeg = function(radians) { return radians * 180 / Math.PI; };
+
+    // Deep copy of plain data, without relying on Impact's ig.copy
+    var copy = function(object) {
+        if(object === null || typeof object !== 'object') {
+            return object;
+        }
+
+        var c = object instanceof Array ? [] : {};
+        for(var key in object) {
+            if(object.hasOwnProperty(key)) {
+                c[key] = copy(object[key]);
+            }
+        }
+
+        return c;
+    };
+
+    // Names used when formatting and parsing dates of the Gregorian calendar
+    var GREGORIAN = {
+        months  : ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+        weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+    };
+
+    // Sky scattering model: zenith optical depths of air molecules (Rayleigh) and ozone at red, green, and blue
+    // wavelengths (680, 550, 440 nm), zenith optical depth and asymmetry of haze (Mie), and tone mapping to sRGB
+    var SCATTERING = {
+        rayleigh  : [0.0436, 0.0961, 0.2361],
+        ozone     : [0.0315, 0.0780, 0.0030],
+        mie       : 0.01,
+        anisotropy: 0.76,
+        exposure  : 4,
+        gamma     : 2
+    };
+
+    /**
+     *  Stateless astronomy, clock, sky color, and climate computations shared by {@link ig.Atmosphere}
+     *  <br>Under Impact, available as ig.AtmosphereCore after requiring 'plugins.atmosphere-core'.
+     *  Under Node, returned by require('atmosphere-core.js').
+     *  @namespace ig.AtmosphereCore
+     *
+     *  @example
+     *  // Node: sunrise over Central Park on June 21, 2014 in New York time
+     *  var core    = require('./atmosphere-core.js'),
+     *      solar   = core.computeSunriset(2456830, {latitude: 40.7789, longitude: -73.9675}),
+     *      sunrise = core.convertJulianToGregorian(solar.sunrise.date, 'America/New_York');
+     */
+    var AtmosphereCore = {
+        /**
+         *  Daylight saving time transition
+         *  @typedef {Object} DSTTransitionObject
+         *  @property {Number} month   Month of transition (1 = January, 12 = December)
+         *  @property {Number} week    Week of month (1 = first, 2 = second, ..., -1 = last)
+         *  @property {Number} weekday Day of week (0 = Sunday, 6 = Saturday)
+         *  @property {Number} hour    Hour of transition in local standard time (or UTC if the rule says so)
+         */
+
+        /**
+         *  Bundled daylight saving time rules, keyed by rule name
+         *  <br>Each rule has a start and end {@link DSTTransitionObject}, the amount of time saved in hours, and
+         *  whether transitions are given in UTC. Only the current rules are modelled; historical rule changes are not.
+         *  @memberof ig.AtmosphereCore
+         *  @type {Object}
+         *
+         *  @example
+         *  // Add a rule springing forward on the first Sunday of October and falling back on the first Sunday of April
+         *  ig.AtmosphereCore.DST_RULES.AU = {
+         *      start: {month: 10, week: 1, weekday: 0, hour: 2},
+         *      end  : {month:  4, week: 1, weekday: 0, hour: 2},
+         *      save : 1
+         *  };
+         */
+        DST_RULES: {
+            // United States and Canada: Second Sunday of March 2:00 AM to first Sunday of November 2:00 AM
+            US: {start: {month:  3, week:  2, weekday: 0, hour: 2}, end: {month: 11, week:  1, weekday: 0, hour: 1}, save: 1},
+            // European Union: Last Sunday of March 1:00 AM UTC to last Sunday of October 1:00 AM UTC
+            EU: {start: {month:  3, week: -1, weekday: 0, hour: 1}, end: {month: 10, week: -1, weekday: 0, hour: 1}, save: 1, utc: true},
+            // South-eastern Australia: First Sunday of October 2:00 AM to first Sunday of April 3:00 AM
+            AU: {start: {month: 10, week:  1, weekday: 0, hour: 2}, end: {month:  4, week:  1, weekday: 0, hour: 2}, save: 1},
+            // New Zealand: Last Sunday of September 2:00 AM to first Sunday of April 3:00 AM
+            NZ: {start: {month:  9, week: -1, weekday: 0, hour: 2}, end: {month:  4, week:  1, weekday: 0, hour: 2}, save: 1}
+        },
+
+        /**
+         *  Bundled time zones, keyed by IANA time zone name
+         *  <br>Each time zone has a standard offset from UTC in hours and the name of its rule in {@link ig.AtmosphereCore.DST_RULES}, if any.
+         *  @memberof ig.AtmosphereCore
+         *  @type {Object}
+         *
+         *  @example
+         *  // Add a time zone for a fictional island at UTC-03:30 observing United States daylight saving rules
+         *  ig.AtmosphereCore.TIMEZONES['Atlantic/Fictional'] = {offset: -3.5, dst: 'US'};
+         */
+        TIMEZONES: {
+            'UTC'                 : {offset:    0, dst: null},
+            'Africa/Cairo'        : {offset:    2, dst: null},
+            'Africa/Johannesburg' : {offset:    2, dst: null},
+            'Africa/Lagos'        : {offset:    1, dst: null},
+            'America/Anchorage'   : {offset:   -9, dst: 'US'},
+            'America/Chicago'     : {offset:   -6, dst: 'US'},
+            'America/Denver'      : {offset:   -7, dst: 'US'},
+            'America/Halifax'     : {offset:   -4, dst: 'US'},
+            'America/Los_Angeles' : {offset:   -8, dst: 'US'},
+            'America/Mexico_City' : {offset:   -6, dst: null},
+            'America/New_York'    : {offset:   -5, dst: 'US'},
+            'America/Phoenix'     : {offset:   -7, dst: null},
+            'America/Sao_Paulo'   : {offset:   -3, dst: null},
+            'America/St_Johns'    : {offset: -3.5, dst: 'US'},
+            'America/Toronto'     : {offset:   -5, dst: 'US'},
+            'Arctic/Longyearbyen' : {offset:    1, dst: 'EU'},
+            'Asia/Dubai'          : {offset:    4, dst: null},
+            'Asia/Kathmandu'      : {offset: 5.75, dst: null},
+            'Asia/Kolkata'        : {offset:  5.5, dst: null},
+            'Asia/Shanghai'       : {offset:    8, dst: null},
+            'Asia/Singapore'      : {offset:    8, dst: null},
+            'Asia/Tokyo'          : {offset:    9, dst: null},
+            'Atlantic/Reykjavik'  : {offset:    0, dst: null},
+            'Australia/Brisbane'  : {offset:   10, dst: null},
+            'Australia/Perth'     : {offset:    8, dst: null},
+            'Australia/Sydney'    : {offset:   10, dst: 'AU'},
+            'Europe/Athens'       : {offset:    2, dst: 'EU'},
+            'Europe/Berlin'       : {offset:    1, dst: 'EU'},
+            'Europe/London'       : {offset:    0, dst: 'EU'},
+            'Europe/Moscow'       : {offset:    3, dst: null},
+            'Europe/Paris'        : {offset:    1, dst: 'EU'},
+            'Pacific/Auckland'    : {offset:   12, dst: 'NZ'},
+            'Pacific/Honolulu'    : {offset:  -10, dst: null}
+        },
+
+        /**
+         *  Default altitudes of the sun's center in degrees at which each twilight phase ends
+         *  @memberof ig.AtmosphereCore
+         *  @type {Object}
+         *  @property {Number} horizon      Sunrise and sunset (accounts for atmospheric refraction and solar radius)
+         *  @property {Number} civil        End of civil twilight, start of nautical twilight
+         *  @property {Number} nautical     End of nautical twilight, start of astronomical twilight
+         *  @property {Number} astronomical End of astronomical twilight, start of night
+         */
+        TWILIGHT_ALTITUDES: {
+            horizon     : -0.83,
+            civil       : -6,
+            nautical    : -12,
+            astronomical: -18
+        },
+
+        /**
+         *  Physical properties of a world, used by all solar, season, and sky computations
+         *  <br>Periods are measured in Earth days, since the plugin clock runs on Julian days. Angles are measured in
+         *  degrees from the world's vernal equinox.
+         *  @typedef {Object} PlanetProfileObject
+         *  @property {String}  name           Name of the world
+         *  @property {Number}  axialTilt      Tilt of the rotation axis relative to the orbit in degrees (obliquity)
+         *  @property {Number}  orbitalPeriod  Time between two vernal equinoxes in Earth days (tropical year)
+         *  @property {Number}  rotationPeriod Time of one rotation relative to the vernal equinox in Earth days (sidereal day)
+         *  @property {Number}  eccentricity   Eccentricity of the orbit (0 = circular, range: 0.0 - 0.99)
+         *  @property {Number}  perihelion     Longitude of perihelion in degrees
+         *  @property {Number}  meanAnomaly    Mean anomaly at epoch in degrees
+         *  @property {Number}  siderealTime   Sidereal time at the prime meridian at epoch in degrees
+         *  @property {Number}  epoch          Epoch of the orbital elements in Julian days
+         *  @property {Number}  horizon        Altitude of the sun's center at sunrise and sunset in degrees (accounts for atmospheric refraction and solar radius)
+         *  @property {Boolean} moon           Does the world have Earth's moon?
+         */
+
+        /**
+         *  Bundled planet profiles, keyed by profile name
+         *  <br>The length of a solar day follows from the rotation and orbital periods, the seasons from the axial tilt,
+         *  eccentricity, and perihelion, and the length of twilight from the axial tilt and the latitude.
+         *  @memberof ig.AtmosphereCore
+         *  @type {Object}
+         *
+         *  @example
+         *  // A fictional world with a 30-hour solar day, a 200-day year, and extreme seasons
+         *  ig.AtmosphereCore.PLANETS.kepler = {
+         *      name: 'Kepler', axialTilt: 40, orbitalPeriod: 200, rotationPeriod: 1.2422, eccentricity: 0.05,
+         *      perihelion: 90, meanAnomaly: 0, siderealTime: 0, epoch: 2451545, horizon: -0.83, moon: false
+         *  };
+         */
+        PLANETS: {
+            // J2000 mean elements; sidereal time per the IAU 1982 expression of Greenwich mean sidereal time
+            earth: {
+                name          : 'Earth',
+                axialTilt     : 23.4397,
+                orbitalPeriod : 365.24219,
+                rotationPeriod: 0.99726958,
+                eccentricity  : 0.0167086,
+                perihelion    : 102.9372,
+                meanAnomaly   : 357.5291,
+                siderealTime  : 280.4606,
+                epoch         : 2451545,
+                horizon       : -0.83,
+                moon          : true
+            },
+            // Allison and McEwen (2000); prime meridian through Airy-0, longitudes measured east
+            mars: {
+                name          : 'Mars',
+                axialTilt     : 25.19,
+                orbitalPeriod : 686.9726,
+                rotationPeriod: 1.02595675,
+                eccentricity  : 0.0934,
+                perihelion    : 71.0,
+                meanAnomaly   : 19.3871,
+                siderealTime  : 313.3848,
+                epoch         : 2451545,
+                horizon       : -0.18,
+                moon          : false
+            }
+        },
+
+        /**
+         *  Calendar system mapping the plugin clock to dates of a fictional world
+         *  <br>Days are counted continuously from the epoch, so that weekdays run on uninterrupted across months and years.
+         *  @typedef {Object} CalendarObject
+         *  @property {String}   name              Name of the calendar
+         *  @property {Number}   epoch             Local midnight starting the first day of the epoch year in Julian days
+         *  @property {Number}   [epochYear=1]     Year number of the epoch year
+         *  @property {Number}   [dayLength=1]     Length of a calendar day in Earth days (e.g. the length of a Martian sol)
+         *  @property {Object[]} months            Months of the year in order, each with a name and a number of days
+         *  @property {Object}   [leap]            Leap day rule: a day is added to month number leap.month in years divisible by leap.every
+         *  @property {String[]} weekdays          Names of the days of the week in order
+         *  @property {Number}   [weekdayOffset=0] Day of the week of the epoch (0 = first day of the week)
+         *  @property {Object[]} [eras]            Eras in chronological order, each with a name and the year it starts in
+         *  @property {String}   [format]          Default format of formatted dates (see {@link ig.AtmosphereCore.formatCalendarDate})
+         */
+
+        /**
+         *  Bundled calendars, keyed by calendar name
+         *  @memberof ig.AtmosphereCore
+         *  @type {Object}
+         *
+         *  @example
+         *  // 10 months of 36 days and 5 feast days, 6-day weeks, counting years of the Third Age from January 1, 2000
+         *  ig.AtmosphereCore.CALENDARS.middle = {
+         *      name    : 'Middle Reckoning',
+         *      epoch   : 2451544.5,
+         *      months  : [{name: 'Ice', days: 36}, ..., {name: 'Feast', days: 5}],
+         *      leap    : {every: 4, month: 11},
+         *      weekdays: ['Starday', 'Sunday', 'Moonday', 'Treesday', 'Heavensday', 'Seaday'],
+         *      eras    : [{name: 'Third Age', start: 1}]
+         *  };
+         */
+        CALENDARS: {
+            // 13 months of 28 days and a midwinter festival, starting with year 1 of the Age of Dawn on January 1, 2000
+            thirteenMonth: {
+                name     : 'Thirteen-Month Calendar',
+                epoch    : 2451544.5,
+                epochYear: 1,
+                months   : [
+                    {name: 'Deepfrost', days: 28}, {name: 'Thaw',      days: 28}, {name: 'Seedtime',  days: 28}, {name: 'Rains',     days: 28},
+                    {name: 'Blossom',   days: 28}, {name: 'Highsun',   days: 28}, {name: 'Goldfield', days: 28}, {name: 'Harvest',   days: 28},
+                    {name: 'Leaffall',  days: 28}, {name: 'Mists',     days: 28}, {name: 'Frostfall', days: 28}, {name: 'Longnight', days: 28},
+                    {name: 'Yearsend',  days: 28}, {name: 'Midwinter', days:  1}
+                ],
+                leap     : {every: 4, month: 14},
+                weekdays : ['Sunday', 'Moonday', 'Fireday', 'Waterday', 'Woodday', 'Goldday', 'Earthday'],
+                eras     : [{name: 'Age of Dawn', start: 1}],
+                format   : '{weekday}, {day} {month} {eraYear}, {era}'
+            }
+        },
+
+        /**
+         *  Default format of formatted dates, for calendars without a format of their own
+         *  @memberof ig.AtmosphereCore
+         *  @type {String}
+         */
+        CALENDAR_FORMAT: '{weekday}, {month} {day}, {year} {hour}:{minute}:{second}',
+
+        /**
+         *  Easings, keyed by easing name
+         *  <br>Each easing maps progress (range: 0 - 1) to eased progress. Used between keyframes of sky palettes, and
+         *  smoothstep between weather intensities.
+         *  @memberof ig.AtmosphereCore
+         *  @type {Object}
+         *
+         *  @example
+         *  // Add an easing that holds the first color until halfway, then switches
+         *  ig.AtmosphereCore.EASINGS.step = function(t) { return t < 0.5 ? 0 : 1; };
+         */
+        EASINGS: {
+            linear    : function(t) { return t; },
+            easeIn    : function(t) { return t * t; },
+            easeOut   : function(t) { return t * (2 - t); },
+            easeInOut : function(t) { return t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t); },
+            smoothstep: function(t) { return t * t * (3 - 2 * t); }
+        },
+
+        /**
+         *  Weather conditions that are precipitation
+         *  @memberof ig.AtmosphereCore
+         *  @type {String[]}
+         */
+        PRECIPITATION: ['rain', 'snow', 'sleet', 'hail', 'freezingRain'],
+
+        /**
+         *  Visibility in kilometers in clear air, and under each weather condition at full intensity
+         *  @memberof ig.AtmosphereCore
+         *  @type {Object}
+         */
+        VISIBILITY: {
+            clear       : 30,
+            fog         : 0.2,
+            rain        : 4,
+            snow        : 1,
+            sleet       : 2,
+            hail        : 2,
+            freezingRain: 3,
+            sandstorm   : 0.1,
+            dust        : 3,
+            ash         : 1
+        },
+
+
+        /**
+         *  Converts calendar date and time fields to Julian Date, without time zone adjustment
+         *  @method ig.AtmosphereCore.convertCalendarToJulian
+         *  @param  {Object} gDate Specified date in Gregorian date
+         *  @return {Number}       The equivalent Julian Date
+         */
+        convertCalendarToJulian: function(gDate) {
+            var gYear        = gDate.year,
+                gMonth       = gDate.month,
+                gDay         = gDate.day,
+                gHour        = gDate.hour,
+                gMinute      = gDate.minute,
+                gSecond      = gDate.second,
+                gMillisecond = gDate.millisecond,
+                a = Math.floor((gMonth - 3) / 12),
+                b = gYear + a,
+                c = Math.floor(b / 100),
+                d = b % 100,
+                e = gMonth - 12 * a - 3;
+
+            return Math.floor(146097 * c / 4) +
+                   Math.floor(36525 * d / 100) +
+                   Math.floor((153 * e + 2) / 5) +
+                   gDay + 1721119 +
+                   (gHour - 12) / 24 +
+                   gMinute / 1440 +
+                   gSecond / 86400 +
+                   gMillisecond / 86400000;
+        }, // End convertCalendarToJulian
+
+        /**
+         *  Converts Julian Date to calendar date and time fields, without time zone adjustment
+         *  @method ig.AtmosphereCore.convertJulianToCalendar
+         *  @param  {Number} jDate Specified date in Julian date
+         *  @return {Object}       The equivalent Gregorian date and time fields
+         */
+        convertJulianToCalendar: function(jDate) {
+            // Work in whole milliseconds since noon to avoid floating point drift in time fields
+            var ms  = Math.round((jDate + 0.5) * 86400000),
+                jdn = Math.floor(ms / 86400000),
+                t   = ms - jdn * 86400000;
+
+            // Fliegel and Van Flandern algorithm (proleptic Gregorian calendar)
+            var l = jdn + 68569,
+                n = Math.floor(4 * l / 146097);
+            l = l - Math.floor((146097 * n + 3) / 4);
+            var i = Math.floor(4000 * (l + 1) / 1461001);
+            l = l - Math.floor(1461 * i / 4) + 31;
+            var j = Math.floor(80 * l / 2447),
+                D = l - Math.floor(2447 * j / 80);
+            l = Math.floor(j / 11);
+            var M = j + 2 - 12 * l,
+                Y = 100 * (n - 49) + i + l;
+
+            return {
+                year       : Y,
+                month      : M,
+                day        : D,
+                hour       : Math.floor(t / 3600000),
+                minute     : Math.floor((t % 3600000) / 60000),
+                second     : Math.floor((t % 60000) / 1000),
+                millisecond: t % 1000
+            };
+        }, // End convertJulianToCalendar
+
+        /**
+         *  Computes the offset from UTC of specified time zone at specified instant, including daylight saving time
+         *  @method ig.AtmosphereCore.getUtcOffset
+         *  @param  {Number}          jDate    Specified instant in Julian date
+         *  @param  {(Number|String)} timezone Offset from UTC in hours, or name of a time zone in {@link ig.AtmosphereCore.TIMEZONES}
+         *  @return {Number}                   Offset from UTC in hours
+         *
+         *  @example
+         *  // Offset from UTC in New York on July 4, 2014 at noon UTC (daylight saving time)
+         *  ig.AtmosphereCore.getUtcOffset(2456843, 'America/New_York'); // -4
+         */
+        getUtcOffset: function(jDate, timezone) {
+            if(typeof timezone === 'number') {
+                return timezone;
+            }
+
+            var zone = this.TIMEZONES[timezone];
+
+            // Unknown time zones fall back to UTC
+            if(typeof zone === 'undefined') {
+                return 0;
+            }
+
+            var rule = this.DST_RULES[zone.dst];
+
+            if(typeof rule === 'undefined') {
+                return zone.offset;
+            }
+
+            // Transitions are given in local standard time, or in UTC if the rule says so
+            // Instants are compared in whole milliseconds to avoid floating point error at transitions
+            var year  = this.convertJulianToCalendar(jDate + zone.offset / 24).year,
+                shift = rule.utc ? 0 : zone.offset / 24,
+                start = Math.round((this._computeTransitionDate(year, rule.start) - shift) * 86400000),
+                end   = Math.round((this._computeTransitionDate(year, rule.end) - shift) * 86400000),
+                now   = Math.round(jDate * 86400000);
+
+            // Daylight saving time spans the new year in the southern hemisphere
+            if(start < end ? now >= start && now < end : now >= start || now < end) {
+                return zone.offset + rule.save;
+            }
+
+            return zone.offset;
+        }, // End getUtcOffset
+
+        /**
+         *  Computes the date of a daylight saving time transition in specified year
+         *  @method ig.AtmosphereCore._computeTransitionDate
+         *  @param  {Number} year       Specified year
+         *  @param  {Object} transition Transition rule from {@link ig.AtmosphereCore.DST_RULES}
+         *  @return {Number}            Date of transition in Julian days (as if UTC)
+         *  @private
+         */
+        _computeTransitionDate: function(year, transition) {
+            var first   = this.convertCalendarToJulian({year: year, month: transition.month, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0}),
+                weekday = (Math.floor(first + 0.5) + 1) % 7, // 0 = Sunday
+                day;
+
+            if(transition.week > 0) {
+                // n-th weekday of month
+                day = 1 + (transition.weekday - weekday + 7) % 7 + (transition.week - 1) * 7;
+            } else {
+                // Last weekday of month
+                var daysInMonth = this.convertCalendarToJulian({year: year, month: transition.month + 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0}) - first,
+                    lastWeekday = (weekday + daysInMonth - 1) % 7;
+
+                day = daysInMonth - (lastWeekday - transition.weekday + 7) % 7;
+            }
+
+            return first + (day - 1) + transition.hour / 24;
+        }, // End _computeTransitionDate
+
+        /**
+         *  Converts Gregorian date and time fields at specified time zone to Julian Date
+         *  @method ig.AtmosphereCore.convertGregorianToJulian
+         *  @param  {Object}          gDate    Specified date in Gregorian date (wall-clock time at specified time zone)
+         *  @param  {(Number|String)} timezone Offset from UTC in hours, or name of a time zone in {@link ig.AtmosphereCore.TIMEZONES}
+         *  @return {Number}                   The equivalent Julian Date
+         *
+         *  @example
+         *  // April 14, 2014 5:23:37 PM in Tokyo
+         *  ig.AtmosphereCore.convertGregorianToJulian({year: 2014, month: 4, day: 14, hour: 17, minute: 23, second: 37, millisecond: 0}, 'Asia/Tokyo');
+         */
+        convertGregorianToJulian: function(gDate, timezone) {
+            var jDate = this.convertCalendarToJulian(gDate);
+
+            // Offset at the instant of the wall-clock time, estimated from the standard offset
+            return jDate - this.getUtcOffset(jDate - this.getUtcOffset(jDate, timezone) / 24, timezone) / 24;
+        }, // End convertGregorianToJulian
+
+        /**
+         *  Converts Julian Date to Gregorian date and time fields at specified time zone
+         *  @method ig.AtmosphereCore.convertJulianToGregorian
+         *  @param  {Number}          jDate    Specified date in Julian date
+         *  @param  {(Number|String)} timezone Offset from UTC in hours, or name of a time zone in {@link ig.AtmosphereCore.TIMEZONES}
+         *  @return {Object}                   The equivalent Gregorian date and time fields (wall-clock time at specified time zone)
+         */
+        convertJulianToGregorian: function(jDate, timezone) {
+            return this.convertJulianToCalendar(jDate + this.getUtcOffset(jDate, timezone) / 24);
+        }, // End convertJulianToGregorian
+
+        /**
+         *  Date in a calendar system
+         *  @typedef {Object} CalendarDateObject
+         *  @property {Number}  year        Year, counted continuously regardless of eras
+         *  @property {?String} era         Name of the era, or null if the calendar has no era at that year
+         *  @property {Number}  eraYear     Year within the era (first year = 1), or the year if there is no era
+         *  @property {Number}  month       Month (1 = first month of the year)
+         *  @property {String}  monthName   Name of the month
+         *  @property {Number}  day         Day of month (1 = first day of the month)
+         *  @property {Number}  dayOfYear   Day of year (1 = first day of the year)
+         *  @property {Number}  weekday     Day of week (0 = first day of the week, Sunday in the Gregorian calendar)
+         *  @property {String}  weekdayName Name of the day of the week
+         *  @property {Number}  hour        Hour of the day (range: 0 - 23, stretched over the length of the calendar day)
+         *  @property {Number}  minute      Minute of the hour
+         *  @property {Number}  second      Second of the minute
+         *  @property {Number}  millisecond Millisecond of the second
+         */
+
+        /**
+         *  Converts Julian Date to a date in specified calendar at specified time zone
+         *  @method ig.AtmosphereCore.convertJulianToCalendarDate
+         *  @param  {Number}          jDate      Specified date in Julian date
+         *  @param  {?CalendarObject} [calendar] Calendar (defaults to the Gregorian calendar)
+         *  @param  {(Number|String)} [timezone] Offset from UTC in hours, or name of a time zone in {@link ig.AtmosphereCore.TIMEZONES}
+         *  @return {CalendarDateObject}         The equivalent date in specified calendar
+         *
+         *  @example
+         *  // What day of the week is April 14, 2014?
+         *  ig.AtmosphereCore.convertJulianToCalendarDate(2456762, null, 'America/New_York').weekdayName; // 'Monday'
+         */
+        convertJulianToCalendarDate: function(jDate, calendar, timezone) {
+            var local = jDate + this.getUtcOffset(jDate, timezone || 0) / 24,
+                dayLength, ms, dayNumber, t;
+
+            if(!calendar) {
+                var gDate = this.convertJulianToCalendar(local);
+
+                dayNumber = Math.floor(this.convertCalendarToJulian({year: gDate.year, month: gDate.month, day: gDate.day, hour: 12, minute: 0, second: 0, millisecond: 0}));
+
+                return {
+                    year       : gDate.year,
+                    era        : null,
+                    eraYear    : gDate.year,
+                    month      : gDate.month,
+                    monthName  : GREGORIAN.months[gDate.month - 1],
+                    day        : gDate.day,
+                    dayOfYear  : dayNumber - this.convertCalendarToJulian({year: gDate.year, month: 1, day: 1, hour: 12, minute: 0, second: 0, millisecond: 0}) + 1,
+                    weekday    : (dayNumber + 1) % 7,
+                    weekdayName: GREGORIAN.weekdays[(dayNumber + 1) % 7],
+                    hour       : gDate.hour,
+                    minute     : gDate.minute,
+                    second     : gDate.second,
+                    millisecond: gDate.millisecond
+                };
+            }
+
+            // Work in whole milliseconds of calendar time to avoid floating point drift in time fields
+            dayLength = calendar.dayLength || 1;
+            ms        = Math.round((local - calendar.epoch) / dayLength * 86400000);
+            dayNumber = Math.floor(ms / 86400000);
+            t         = ms - dayNumber * 86400000;
+
+            // Estimate the year from the mean length of a year, then correct it
+            var year = (calendar.epochYear || 1) + Math.floor(dayNumber / this._computeCalendarYearLength(calendar)),
+                month,
+                day,
+                days,
+                era = null,
+                i;
+
+            while(this._computeCalendarYearStart(year, calendar) > dayNumber) {
+                year--;
+            }
+            while(this._computeCalendarYearStart(year + 1, calendar) <= dayNumber) {
+                year++;
+            }
+
+            day = dayNumber - this._computeCalendarYearStart(year, calendar);
+            for(month = 1; month < calendar.months.length; month++) {
+                days = this._computeCalendarMonthLength(year, month, calendar);
+                if(day < days) {
+                    break;
+                }
+                day -= days;
+            }
+
+            for(i = 0; calendar.eras && i < calendar.eras.length; i++) {
+                if(calendar.eras[i].start <= year) {
+                    era = calendar.eras[i];
+                }
+            }
+
+            var weekday = ((dayNumber + (calendar.weekdayOffset || 0)) % calendar.weekdays.length + calendar.weekdays.length) % calendar.weekdays.length;
+
+            return {
+                year       : year,
+                era        : era ? era.name : null,
+                eraYear    : era ? year - era.start + 1 : year,
+                month      : month,
+                monthName  : calendar.months[month - 1].name,
+                day        : day + 1,
+                dayOfYear  : dayNumber - this._computeCalendarYearStart(year, calendar) + 1,
+                weekday    : weekday,
+                weekdayName: calendar.weekdays[weekday],
+                hour       : Math.floor(t / 3600000),
+                minute     : Math.floor((t % 3600000) / 60000),
+                second     : Math.floor((t % 60000) / 1000),
+                millisecond: t % 1000
+            };
+        }, // End convertJulianToCalendarDate
+
+        /**
+         *  Converts a date in specified calendar at specified time zone to Julian Date
+         *  <br>The year is given either as year, or as era and eraYear. Missing month and day default to the first,
+         *  missing time fields to 0. Days beyond the end of a month carry over into the following months.
+         *  @method ig.AtmosphereCore.convertCalendarDateToJulian
+         *  @param  {Object}          cDate      Specified date in specified calendar (fields of {@link CalendarDateObject})
+         *  @param  {?CalendarObject} [calendar] Calendar (defaults to the Gregorian calendar)
+         *  @param  {(Number|String)} [timezone] Offset from UTC in hours, or name of a time zone in {@link ig.AtmosphereCore.TIMEZONES}
+         *  @return {Number}                     The equivalent Julian Date
+         *
+         *  @example
+         *  // First day of Harvest in year 15 of the Age of Dawn
+         *  ig.AtmosphereCore.convertCalendarDateToJulian({era: 'Age of Dawn', eraYear: 15, month: 8, day: 1}, ig.AtmosphereCore.CALENDARS.thirteenMonth);
+         */
+        convertCalendarDateToJulian: function(cDate, calendar, timezone) {
+            var year   = typeof cDate.year === 'number' ? cDate.year : cDate.eraYear,
+                month  = cDate.month || 1,
+                day    = cDate.day || 1,
+                time   = (cDate.hour || 0) / 24 + (cDate.minute || 0) / 1440 + (cDate.second || 0) / 86400 + (cDate.millisecond || 0) / 86400000,
+                local,
+                i;
+
+            if(!calendar) {
+                return this.convertGregorianToJulian({year: year, month: month, day: day, hour: 0, minute: 0, second: 0, millisecond: 0}, timezone || 0) + time;
+            }
+
+            for(i = 0; typeof cDate.era === 'string' && calendar.eras && i < calendar.eras.length; i++) {
+                if(calendar.eras[i].name.toLowerCase() === cDate.era.toLowerCase()) {
+                    year = calendar.eras[i].start + (cDate.eraYear || 1) - 1;
+                }
+            }
+
+            var dayNumber = this._computeCalendarYearStart(year, calendar) + day - 1;
+            for(i = 1; i < month; i++) {
+                dayNumber += this._computeCalendarMonthLength(year, i, calendar);
+            }
+
+            local = calendar.epoch + (dayNumber + time) * (calendar.dayLength || 1);
+
+            // Offset at the instant of the wall-clock time, estimated from the standard offset
+            return local - this.getUtcOffset(local - this.getUtcOffset(local, timezone || 0) / 24, timezone || 0) / 24;
+        }, // End convertCalendarDateToJulian
+
+        /**
+         *  Formats a date in specified calendar at specified time zone
+         *  <br>Tokens in braces are replaced by the fields of the date: {year}, {era}, {eraYear}, {month} (name),
+         *  {monthNumber}, {day}, {dayOfYear}, {weekday} (name), {hour}, {minute}, and {second} (two digits each).
+         *  Unknown tokens are left as is.
+         *  @method ig.AtmosphereCore.formatCalendarDate
+         *  @param  {Number}          jDate      Specified date in Julian date
+         *  @param  {?CalendarObject} [calendar] Calendar (defaults to the Gregorian calendar)
+         *  @param  {String}          [format]   Format of the date (defaults to the calendar's format)
+         *  @param  {(Number|String)} [timezone] Offset from UTC in hours, or name of a time zone in {@link ig.AtmosphereCore.TIMEZONES}
+         *  @return {String}                     The formatted date
+         *
+         *  @example
+         *  // 'Monday, April 14, 2014'
+         *  ig.AtmosphereCore.formatCalendarDate(2456762, null, '{weekday}, {month} {day}, {year}');
+         */
+        formatCalendarDate: function(jDate, calendar, format, timezone) {
+            var cDate  = this.convertJulianToCalendarDate(jDate, calendar, timezone),
+                pad    = function(n) { return ('0' + n).slice(-2); },
+                values = {
+                    year       : cDate.year,
+                    era        : cDate.era || '',
+                    eraYear    : cDate.eraYear,
+                    month      : cDate.monthName,
+                    monthNumber: cDate.month,
+                    day        : cDate.day,
+                    dayOfYear  : cDate.dayOfYear,
+                    weekday    : cDate.weekdayName,
+                    hour       : pad(cDate.hour),
+                    minute     : pad(cDate.minute),
+                    second     : pad(cDate.second)
+                };
+
+            format = format || (calendar && calendar.format) || this.CALENDAR_FORMAT;
+
+            return format.replace(/\{(\w+)\}/g, function(token, name) {
+                return values.hasOwnProperty(name) ? values[name] : token;
+            });
+        }, // End formatCalendarDate
+
+        /**
+         *  Parses a date in specified calendar at specified time zone
+         *  <br>Uses the same tokens as {@link ig.AtmosphereCore.formatCalendarDate}. Names are matched regardless of case.
+         *  @method ig.AtmosphereCore.parseCalendarDate
+         *  @param  {String}          text       Text of the date
+         *  @param  {?CalendarObject} [calendar] Calendar (defaults to the Gregorian calendar)
+         *  @param  {String}          [format]   Format of the date (defaults to the calendar's format)
+         *  @param  {(Number|String)} [timezone] Offset from UTC in hours, or name of a time zone in {@link ig.AtmosphereCore.TIMEZONES}
+         *  @return {?Number}                    The equivalent Julian Date, or null if the text does not match the format or names a date that does not exist
+         *
+         *  @example
+         *  // Date a quest log entry
+         *  ig.AtmosphereCore.parseCalendarDate('3 Harvest 15, Age of Dawn', ig.AtmosphereCore.CALENDARS.thirteenMonth, '{day} {month} {eraYear}, {era}');
+         */
+        parseCalendarDate: function(text, calendar, format, timezone) {
+            var months   = calendar ? calendar.months.map(function(month) { return month.name; }) : GREGORIAN.months,
+                weekdays = calendar ? calendar.weekdays : GREGORIAN.weekdays,
+                eras     = calendar && calendar.eras ? calendar.eras.map(function(era) { return era.name; }) : [],
+                escape   = function(string) { return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); },
+                oneOf    = function(names) {
+                    // Longest names first, so that no name is cut short by a shorter name it starts with
+                    return '(' + names.slice().sort(function(a, b) { return b.length - a.length; }).map(escape).join('|') + ')';
+                },
+                indexOf  = function(names, name) {
+                    for(var i = 0; i < names.length; i++) {
+                        if(names[i].toLowerCase() === name.toLowerCase()) {
+                            return i;
+                        }
+                    }
+                    return -1;
+                },
+                tokens   = [],
+                pattern  = '',
+                parts,
+                i;
+
+            format = format || (calendar && calendar.format) || this.CALENDAR_FORMAT;
+            parts  = format.split(/(\{\w+\})/);
+
+            // Literal text matches itself, and each token captures its field
+            for(i = 0; i < parts.length; i++) {
+                var name = /^\{(\w+)\}$/.test(parts[i]) ? parts[i].slice(1, -1) : null;
+
+                if(name === 'month' || name === 'weekday' || name === 'era') {
+                    pattern += oneOf(name === 'month' ? months : name === 'weekday' ? weekdays : eras);
+                    tokens.push(name);
+                } else if(['year', 'eraYear', 'monthNumber', 'day', 'dayOfYear', 'hour', 'minute', 'second'].indexOf(name) !== -1) {
+                    pattern += '(-?\\d+)';
+                    tokens.push(name);
+                } else {
+                    pattern += escape(parts[i]);
+                }
+            }
+
+            var match = new RegExp('^\\s*' + pattern + '\\s*$', 'i').exec(text),
+                cDate = {};
+
+            if(match === null) {
+                return null;
+            }
+
+            for(i = 0; i < tokens.length; i++) {
+                if(tokens[i] === 'month') {
+                    cDate.month = indexOf(months, match[i + 1]) + 1;
+                } else if(tokens[i] === 'monthNumber') {
+                    cDate.month = parseInt(match[i + 1], 10);
+                } else if(tokens[i] === 'era') {
+                    cDate.era = eras[indexOf(eras, match[i + 1])];
+                } else if(tokens[i] !== 'weekday') {
+                    cDate[tokens[i]] = parseInt(match[i + 1], 10);
+                }
+            }
+
+            // Day of year counts from the first day of the first month
+            if(typeof cDate.dayOfYear === 'number' && typeof cDate.month === 'undefined' && typeof cDate.day === 'undefined') {
+                cDate.day = cDate.dayOfYear;
+            }
+
+            var jDate = this.convertCalendarDateToJulian(cDate, calendar, timezone),
+                check = this.convertJulianToCalendarDate(jDate, calendar, timezone);
+
+            // Dates that do not exist (e.g. day 30 of a 28-day month) do not survive the round trip
+            for(var field in cDate) {
+                if(cDate.hasOwnProperty(field) && cDate[field] !== check[field]) {
+                    return null;
+                }
+            }
+
+            return jDate;
+        }, // End parseCalendarDate
+
+        /**
+         *  Computes the mean length of a year of specified calendar
+         *  @method ig.AtmosphereCore._computeCalendarYearLength
+         *  @param  {CalendarObject} calendar Calendar
+         *  @return {Number}                  Mean length of a year in calendar days
+         *  @private
+         */
+        _computeCalendarYearLength: function(calendar) {
+            var days = 0;
+
+            for(var i = 0; i < calendar.months.length; i++) {
+                days += calendar.months[i].days;
+            }
+
+            return days + (calendar.leap ? 1 / calendar.leap.every : 0);
+        }, // End _computeCalendarYearLength
+
+        /**
+         *  Computes the number of days of a month of specified calendar in specified year, including leap days
+         *  @method ig.AtmosphereCore._computeCalendarMonthLength
+         *  @param  {Number}         year     Specified year
+         *  @param  {Number}         month    Specified month (1 = first month)
+         *  @param  {CalendarObject} calendar Calendar
+         *  @return {Number}                  Number of days of the month
+         *  @private
+         */
+        _computeCalendarMonthLength: function(year, month, calendar) {
+            var leap = calendar.leap && calendar.leap.month === month && (year % calendar.leap.every + calendar.leap.every) % calendar.leap.every === 0;
+
+            return calendar.months[month - 1].days + (leap ? 1 : 0);
+        }, // End _computeCalendarMonthLength
+
+        /**
+         *  Computes the first day of specified year of specified calendar
+         *  @method ig.AtmosphereCore._computeCalendarYearStart
+         *  @param  {Number}         year     Specified year
+         *  @param  {CalendarObject} calendar Calendar
+         *  @return {Number}                  First day of the year in days since the epoch
+         *  @private
+         */
+        _computeCalendarYearStart: function(year, calendar) {
+            var years = year - (calendar.epochYear || 1),
+                days  = 0;
+
+            for(var i = 0; i < calendar.months.length; i++) {
+                days += calendar.months[i].days;
+            }
+
+            // Leap years are the years divisible by leap.every, counted between the epoch year and specified year
+            if(calendar.leap) {
+                days = days * years + Math.floor((year - 1) / calendar.leap.every) - Math.floor(((calendar.epochYear || 1) - 1) / calendar.leap.every);
+            } else {
+                days = days * years;
+            }
+
+            return days;
+        }, // End _computeCalendarYearStart
+
+        /**
+         *  Computes the length of a mean solar day of specified world
+         *  @method ig.AtmosphereCore.computeDayLength
+         *  @param  {PlanetProfileObject} [planet] Planet profile (defaults to {@link ig.AtmosphereCore.PLANETS}.earth)
+         *  @return {Number}                       Length of a mean solar day in Earth days
+         *
+         *  @example
+         *  // How long is a Martian sol in hours?
+         *  ig.AtmosphereCore.computeDayLength(ig.AtmosphereCore.PLANETS.mars) * 24;
+         */
+        computeDayLength: function(planet) {
+            planet = planet || this.PLANETS.earth;
+
+            // The sun moves along the ecliptic in the same direction the world rotates, lengthening the day
+            return 1 / (1 / planet.rotationPeriod - 1 / planet.orbitalPeriod);
+        }, // End computeDayLength
+
+        /**
+         *  Computes the approximate sunrise and sunset time for specified date and geographical coordinates
+         *  @method ig.AtmosphereCore.computeSunriset
+         *  @param  {Number}              jDate               Specified date in Julian date
+         *  @param  {GeoCoordObject}      geoCoords           Geographical coordinates
+         *  @param  {Object}              [twilightAltitudes] Altitudes of the sun's center in degrees marking each twilight phase (defaults to {@link ig.AtmosphereCore.TWILIGHT_ALTITUDES} with the horizon of the planet profile)
+         *  @param  {PlanetProfileObject} [planet]            Planet profile (defaults to {@link ig.AtmosphereCore.PLANETS}.earth)
+         *  @return {SolarObject}                             Computed solar-based results
+         *
+         *  @example
+         *  // When does the sun rise over Central Park on June 21, 2014?
+         *  ig.AtmosphereCore.computeSunriset(2456830, {latitude: 40.7789, longitude: -73.9675}).sunrise.date;
+         */
+        computeSunriset: function(jDate, geoCoords, twilightAltitudes, planet) {
+            planet = planet || this.PLANETS.earth;
+
+            var horizon = twilightAltitudes ? twilightAltitudes.horizon : planet.horizon;
+            twilightAltitudes = twilightAltitudes || this.TWILIGHT_ALTITUDES;
+
+            // Mean solar noon at the prime meridian falls where sidereal time equals the mean longitude of the sun
+            var dayLength          = this.computeDayLength(planet),
+                noonOffset         = (((planet.meanAnomaly + planet.perihelion + 180 - planet.siderealTime) % 360 + 360) % 360) / 360 * dayLength,
+                julianCycle        = Math.round((jDate - planet.epoch - noonOffset) / dayLength + (geoCoords.longitude / 360)),
+                solarNoon          = planet.epoch + noonOffset + (julianCycle - (geoCoords.longitude / 360)) * dayLength,
+                solarMeanAnomaly   = (planet.meanAnomaly + 360 / planet.orbitalPeriod * (solarNoon - planet.epoch)) % 360,
+                equationOfCenter   = this._computeEquationOfCenter(solarMeanAnomaly, planet.eccentricity),
+                eclipticLongitude  = (solarMeanAnomaly + planet.perihelion + equationOfCenter + 180) % 360,
+                solarTransit       = solarNoon + dayLength * (
+                                         (equationOfCenter / 360) -
+                                         (Math.pow(Math.tan(toRad(planet.axialTilt / 2)), 2) * Math.sin(toRad(2 * eclipticLongitude)) / (2 * Math.PI))
+                                     ),
+                declinationOfSun  = toDeg(Math.asin(
+                                       Math.sin(toRad(eclipticLongitude)) *
+                                       Math.sin(toRad(planet.axialTilt))
+                                     )),
+                sunrise            = this._computeSolarCrossing(horizon,                        geoCoords, declinationOfSun, solarTransit, dayLength),
+                civil              = this._computeSolarCrossing(twilightAltitudes.civil,        geoCoords, declinationOfSun, solarTransit, dayLength),
+                nautical           = this._computeSolarCrossing(twilightAltitudes.nautical,     geoCoords, declinationOfSun, solarTransit, dayLength),
+                astronomical       = this._computeSolarCrossing(twilightAltitudes.astronomical, geoCoords, declinationOfSun, solarTransit, dayLength);
+
+            // Twilight lasts from the deepest twilight the sun reaches until it crosses the horizon
+            var dawn = astronomical.rising || nautical.rising || civil.rising || sunrise.rising,
+                dusk = astronomical.setting || nautical.setting || civil.setting || sunrise.setting;
+
+            // Sun never crosses the horizon above the polar circles near the solstices
+            // Sun is above the horizon all day (midnight sun) if it is above the horizon at solar noon
+            var polar      = sunrise.rising === null,
+                polarDay   = polar && 90 - Math.abs(geoCoords.latitude - declinationOfSun) > horizon,
+                polarNight = polar && !polarDay;
+
+            return {
+                sunrise: { date: sunrise.rising,  duration: polar ? 0 : (sunrise.rising - dawn) * 1440  },
+                sunset : { date: sunrise.setting, duration: polar ? 0 : (dusk - sunrise.setting) * 1440 },
+
+                dawn: { civil: civil.rising,  nautical: nautical.rising,  astronomical: astronomical.rising  },
+                dusk: { civil: civil.setting, nautical: nautical.setting, astronomical: astronomical.setting },
+
+                polarDay  : polarDay,
+                polarNight: polarNight,
+
+                noon      : solarTransit,
+                dayLength : dayLength,
+                nextUpdate: solarNoon + dayLength / 2 // Solar midnight following current solar day
+            };
+        }, // End computeSunriset
+
+        /**
+         *  Computes the approximate times at which the sun's center crosses specified altitude
+         *  @method ig.AtmosphereCore._computeSolarCrossing
+         *  @param  {Number}         altitude     Altitude of the sun's center in degrees
+         *  @param  {GeoCoordObject} geoCoords    Geographical coordinates
+         *  @param  {Number}         declination  Declination of the sun in degrees
+         *  @param  {Number}         solarTransit Date of solar noon in Julian days
+         *  @param  {Number}         dayLength    Length of a mean solar day in Earth days
+         *  @return {Object}                      Dates of rising and setting crossings in Julian days, or null if the sun never crosses specified altitude
+         *  @private
+         */
+        _computeSolarCrossing: function(altitude, geoCoords, declination, solarTransit, dayLength) {
+            var hourAngle = toDeg(Math.acos(
+                                (Math.sin(toRad(altitude)) - Math.sin(toRad(geoCoords.latitude)) * Math.sin(toRad(declination))) /
+                                (Math.cos(toRad(geoCoords.latitude)) * Math.cos(toRad(declination)))
+                            ));
+
+            if(isNaN(hourAngle)) {
+                return {rising: null, setting: null};
+            }
+
+            return {
+                rising : solarTransit - hourAngle / 360 * dayLength,
+                setting: solarTransit + hourAngle / 360 * dayLength
+            };
+        }, // End _computeSolarCrossing
+
+        /**
+         *  Computes the difference between the true and mean anomaly of an orbit (equation of the center)
+         *  <br>Solves Kepler's equation, so that it holds for eccentric orbits as well as for Earth's.
+         *  @method ig.AtmosphereCore._computeEquationOfCenter
+         *  @param  {Number} meanAnomaly  Mean anomaly in degrees
+         *  @param  {Number} eccentricity Eccentricity of the orbit
+         *  @return {Number}              Equation of the center in degrees
+         *  @private
+         */
+        _computeEquationOfCenter: function(meanAnomaly, eccentricity) {
+            var m = toRad(meanAnomaly),
+                e = m + eccentricity * Math.sin(m); // Eccentric anomaly
+
+            for(var i = 0; i < 10; i++) {
+                e -= (e - eccentricity * Math.sin(e) - m) / (1 - eccentricity * Math.cos(e));
+            }
+
+            var trueAnomaly = 2 * Math.atan2(
+                    Math.sqrt(1 + eccentricity) * Math.sin(e / 2),
+                    Math.sqrt(1 - eccentricity) * Math.cos(e / 2)
+                );
+
+            return toDeg(((trueAnomaly - m) % (2 * Math.PI) + 3 * Math.PI) % (2 * Math.PI) - Math.PI);
+        }, // End _computeEquationOfCenter
+
+        /**
+         *  Compute the solstices, equinoxes, and season boundaries for specified year
+         *  @method ig.AtmosphereCore.computeSeasons
+         *  @param  {Number}                            year                        Specified year
+         *  @param  {GeoCoordObject}                    geoCoords                   Geographical coordinates
+         *  @param  {(String|SeasonBoundaryObject[])}   [seasonModel='astronomical'] Season model
+         *  @param  {(Number|String)}                   [timezone=0]                Time zone the boundaries of calendar-based season models are given in
+         *  @param  {PlanetProfileObject}               [planet]                    Planet profile (defaults to {@link ig.AtmosphereCore.PLANETS}.earth)
+         *  @return {SeasonObject}                                                  Computed season-related results
+         */
+        computeSeasons: function(year, geoCoords, seasonModel, timezone, planet) {
+            seasonModel = seasonModel || 'astronomical';
+            timezone    = timezone || 0;
+            planet      = planet || this.PLANETS.earth;
+
+            // Solstices and equinoxes are instants in time, independent of the observer's location
+            var jDateVernalEquinox    = this.computeSeasonInstant(year, 0, planet),
+                jDateEstivalSolstice  = this.computeSeasonInstant(year, 1, planet),
+                jDateAutumnalEquinox  = this.computeSeasonInstant(year, 2, planet),
+                jDateHibernalSolstice = this.computeSeasonInstant(year, 3, planet),
+                yearStart             = this.convertCalendarToJulian({year: year,     month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0}),
+                yearEnd               = this.convertCalendarToJulian({year: year + 1, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0}),
+                boundaries            = [],
+                initial               = null,
+                i;
+
+            // Start of each season under the current season model (northern hemisphere)
+            if(seasonModel === 'astronomical') {
+                if(this._isEarthOrbit(planet)) {
+                    boundaries = [
+                        {date: jDateVernalEquinox,    season: 0},
+                        {date: jDateEstivalSolstice,  season: 1},
+                        {date: jDateAutumnalEquinox,  season: 2},
+                        {date: jDateHibernalSolstice, season: 3}
+                    ];
+                } else {
+                    // A year of another world may span any number of equinoxes and solstices of the calendar year
+                    var quadrant = Math.floor(this._computeSunLongitude(yearStart, planet) / 90),
+                        date     = yearStart;
+
+                    while((date = this._computeSunLongitudeInstant((quadrant + 1) % 4 * 90, date, planet)) < yearEnd) {
+                        quadrant = (quadrant + 1) % 4;
+                        boundaries.push({date: date, season: quadrant});
+                    }
+                }
+
+                // Season the year starts in follows from the position of the sun along the ecliptic
+                initial = Math.floor(this._computeSunLongitude(yearStart, planet) / 90) % 4;
+            } else {
+                var table = seasonModel === 'meteorological' ? [
+                        {month:  3, day: 1, season: 0},
+                        {month:  6, day: 1, season: 1},
+                        {month:  9, day: 1, season: 2},
+                        {month: 12, day: 1, season: 3}
+                    ] : seasonModel;
+
+                for(i = 0; i < table.length; i++) {
+                    boundaries.push({
+                        date  : this.convertGregorianToJulian({year: year, month: table[i].month, day: table[i].day, hour: 0, minute: 0, second: 0, millisecond: 0}, timezone),
+                        season: table[i].season
+                    });
+                }
+            }
+
+            boundaries.sort(function(a, b) { return a.date - b.date; });
+
+            // Before the first boundary of the year, the last season of the previous year continues
+            if(initial === null && boundaries.length > 0) {
+                initial = boundaries[boundaries.length - 1].season;
+            }
+
+            // Seasons are reversed in the southern hemisphere
+            if(geoCoords.latitude < 0) {
+                for(i = 0; i < boundaries.length; i++) {
+                    boundaries[i].season = (boundaries[i].season + 2) % 4;
+                }
+                if(initial !== null) {
+                    initial = (initial + 2) % 4;
+                }
+            }
+
+            return {
+                year            : year,
+                vernalEquinox   : jDateVernalEquinox,
+                estivalSolstice : jDateEstivalSolstice,
+                autumnalEquinox : jDateAutumnalEquinox,
+                hibernalSolstice: jDateHibernalSolstice,
+                initial         : initial,
+                boundaries      : boundaries
+            };
+        }, // End computeSeasons
+
+        /**
+         *  Determines the season at specified date
+         *  @method ig.AtmosphereCore.computeSeasonState
+         *  @param  {Number}       jDate      Specified date in Julian date
+         *  @param  {SeasonObject} season     Computed season-related results for the year of specified date
+         *  @param  {Number}       [fallback] Season to return if the season model has no boundaries
+         *  @return {Number}                  Season at specified date (0 = Spring, 1 = Summer, 2 = Autumn, 3 = Winter)
+         */
+        computeSeasonState: function(jDate, season, fallback) {
+            var boundaries  = season.boundaries,
+                seasonState = typeof season.initial === 'number' ? season.initial : fallback;
+
+            for(var i = 0; i < boundaries.length; i++) {
+                if(jDate >= boundaries[i].date) {
+                    seasonState = boundaries[i].season;
+                }
+            }
+
+            return seasonState;
+        }, // End computeSeasonState
+
+        /**
+         *  Computes the instant of an equinox or solstice in specified year
+         *  <br>For Earth, based on Jean Meeus, Astronomical Algorithms (2nd ed.), chapter 27. Accurate to about a minute
+         *  for years 1951 - 2050, with accuracy degrading slowly for years further away.
+         *  <br>For other worlds, solved from the orbital elements of the planet profile, as the first instant after the
+         *  start of specified calendar year, which may fall in a later year if the world's year is longer than Earth's.
+         *  @method ig.AtmosphereCore.computeSeasonInstant
+         *  @param  {Number}              year     Specified year
+         *  @param  {Number}              event    0 = vernal equinox, 1 = estival solstice, 2 = autumnal equinox, 3 = hibernal solstice
+         *  @param  {PlanetProfileObject} [planet] Planet profile (defaults to {@link ig.AtmosphereCore.PLANETS}.earth)
+         *  @return {Number}                       Instant of the equinox or solstice in Julian days (Universal Time)
+         */
+        computeSeasonInstant: function(year, event, planet) {
+            if(planet && !this._isEarthOrbit(planet)) {
+                return this._computeSunLongitudeInstant(event * 90, this.convertCalendarToJulian({year: year, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0}), planet);
+            }
+
+            // Mean equinox or solstice (Table 27.A for years -1000 - 1000, Table 27.B for years 1000 - 3000)
+            var coefficients = year < 1000 ? [
+                    [1721139.29189, 365242.13740,  0.06134,  0.00111, -0.00071],
+                    [1721233.25401, 365241.72562, -0.05323,  0.00907,  0.00025],
+                    [1721325.70455, 365242.49558, -0.11677, -0.00297,  0.00074],
+                    [1721414.39987, 365242.88257, -0.00769, -0.00933, -0.00006]
+                ][event] : [
+                    [2451623.80984, 365242.37404,  0.05169, -0.00411, -0.00057],
+                    [2451716.56767, 365241.62603,  0.00325,  0.00888, -0.00030],
+                    [2451810.21715, 365242.01767, -0.11575,  0.00337,  0.00078],
+                    [2451900.05952, 365242.74049, -0.06223, -0.00823,  0.00032]
+                ][event],
+                y = year < 1000 ? year / 1000 : (year - 2000) / 1000,
+                jde0 = coefficients[0] + coefficients[1] * y + coefficients[2] * y * y + coefficients[3] * y * y * y + coefficients[4] * y * y * y * y;
+
+            // Periodic terms (Table 27.C)
+            var terms = [
+                    [485, 324.96,   1934.136], [203, 337.23,  32964.467], [199, 342.08,     20.186], [182,  27.85, 445267.112],
+                    [156,  73.14,  45036.886], [136, 171.52,  22518.443], [ 77, 222.54,  65928.934], [ 74, 296.72,   3034.906],
+                    [ 70, 243.58,   9037.513], [ 58, 119.81,  33718.147], [ 52, 297.17,    150.678], [ 50,  21.02,   2281.226],
+                    [ 45, 247.54,  29929.562], [ 44, 325.15,  31555.956], [ 29,  60.93,   4443.417], [ 18, 155.12,  67555.328],
+                    [ 17, 288.79,   4562.452], [ 16, 198.04,  62894.029], [ 14, 199.76,  31436.921], [ 12,  95.39,  14577.848],
+                    [ 12, 287.11,  31931.756], [ 12, 320.81,  34777.259], [  9, 227.73,   1222.114], [  8,  15.45,  16859.074]
+                ],
+                t      = (jde0 - 2451545) / 36525,
+                w      = 35999.373 * t - 2.47,
+                lambda = 1 + 0.0334 * Math.cos(toRad(w)) + 0.0007 * Math.cos(toRad(2 * w)),
+                sum    = 0;
+
+            for(var i = 0; i < terms.length; i++) {
+                sum += terms[i][0] * Math.cos(toRad(terms[i][1] + terms[i][2] * t));
+            }
+
+            // Convert from Terrestrial Time to Universal Time
+            return jde0 + 0.00001 * sum / lambda - this.computeDeltaT(year + (event * 3 + 2.7) / 12) / 86400;
+        }, // End computeSeasonInstant
+
+        /**
+         *  Computes the difference between Terrestrial Time and Universal Time for specified year
+         *  <br>Based on the polynomial expressions of Espenak and Meeus, Five Millennium Canon of Solar Eclipses.
+         *  @method ig.AtmosphereCore.computeDeltaT
+         *  @param  {Number} year Specified decimal year
+         *  @return {Number}      Delta T in seconds
+         */
+        computeDeltaT: function(year) {
+            var u = (year - 1820) / 100,
+                t;
+
+            if(year < -500 || year >= 2150) {
+                return -20 + 32 * u * u;
+            } else if(year < 500) {
+                u = year / 100;
+                return 10583.6 - 1014.41 * u + 33.78311 * Math.pow(u, 2) - 5.952053 * Math.pow(u, 3) -
+                       0.1798452 * Math.pow(u, 4) + 0.022174192 * Math.pow(u, 5) + 0.0090316521 * Math.pow(u, 6);
+            } else if(year < 1600) {
+                u = (year - 1000) / 100;
+                return 1574.2 - 556.01 * u + 71.23472 * Math.pow(u, 2) + 0.319781 * Math.pow(u, 3) -
+                       0.8503463 * Math.pow(u, 4) - 0.005050998 * Math.pow(u, 5) + 0.0083572073 * Math.pow(u, 6);
+            } else if(year < 1700) {
+                t = year - 1600;
+                return 120 - 0.9808 * t - 0.01532 * Math.pow(t, 2) + Math.pow(t, 3) / 7129;
+            } else if(year < 1800) {
+                t = year - 1700;
+                return 8.83 + 0.1603 * t - 0.0059285 * Math.pow(t, 2) + 0.00013336 * Math.pow(t, 3) - Math.pow(t, 4) / 1174000;
+            } else if(year < 1860) {
+                t = year - 1800;
+                return 13.72 - 0.332447 * t + 0.0068612 * Math.pow(t, 2) + 0.0041116 * Math.pow(t, 3) - 0.00037436 * Math.pow(t, 4) +
+                       0.0000121272 * Math.pow(t, 5) - 0.0000001699 * Math.pow(t, 6) + 0.000000000875 * Math.pow(t, 7);
+            } else if(year < 1900) {
+                t = year - 1860;
+                return 7.62 + 0.5737 * t - 0.251754 * Math.pow(t, 2) + 0.01680668 * Math.pow(t, 3) -
+                       0.0004473624 * Math.pow(t, 4) + Math.pow(t, 5) / 233174;
+            } else if(year < 1920) {
+                t = year - 1900;
+                return -2.79 + 1.494119 * t - 0.0598939 * Math.pow(t, 2) + 0.0061966 * Math.pow(t, 3) - 0.000197 * Math.pow(t, 4);
+            } else if(year < 1941) {
+                t = year - 1920;
+                return 21.20 + 0.84493 * t - 0.076100 * Math.pow(t, 2) + 0.0020936 * Math.pow(t, 3);
+            } else if(year < 1961) {
+                t = year - 1950;
+                return 29.07 + 0.407 * t - Math.pow(t, 2) / 233 + Math.pow(t, 3) / 2547;
+            } else if(year < 1986) {
+                t = year - 1975;
+                return 45.45 + 1.067 * t - Math.pow(t, 2) / 260 - Math.pow(t, 3) / 718;
+            } else if(year < 2005) {
+                t = year - 2000;
+                return 63.86 + 0.3345 * t - 0.060374 * Math.pow(t, 2) + 0.0017275 * Math.pow(t, 3) +
+                       0.000651814 * Math.pow(t, 4) + 0.00002373599 * Math.pow(t, 5);
+            } else if(year < 2050) {
+                t = year - 2000;
+                return 62.92 + 0.32217 * t + 0.005589 * Math.pow(t, 2);
+            }
+
+            return -20 + 32 * u * u - 0.5628 * (2150 - year);
+        }, // End computeDeltaT
+
+        /**
+         *  Determines whether specified planet profile follows Earth's orbit, for which more precise methods are available
+         *  @method ig.AtmosphereCore._isEarthOrbit
+         *  @param  {PlanetProfileObject} planet Planet profile
+         *  @return {Boolean}                    Does the planet profile share the orbital elements of Earth?
+         *  @private
+         */
+        _isEarthOrbit: function(planet) {
+            var earth = this.PLANETS.earth;
+
+            return planet === earth || (
+                planet.orbitalPeriod === earth.orbitalPeriod &&
+                planet.eccentricity  === earth.eccentricity  &&
+                planet.perihelion    === earth.perihelion    &&
+                planet.meanAnomaly   === earth.meanAnomaly   &&
+                planet.epoch         === earth.epoch
+            );
+        }, // End _isEarthOrbit
+
+        /**
+         *  Computes the longitude of the sun along the ecliptic as seen from specified world
+         *  @method ig.AtmosphereCore._computeSunLongitude
+         *  @param  {Number}              jDate  Specified date in Julian date
+         *  @param  {PlanetProfileObject} planet Planet profile
+         *  @return {Number}                     Ecliptic longitude of the sun in degrees (range: 0 - 360)
+         *  @private
+         */
+        _computeSunLongitude: function(jDate, planet) {
+            var meanAnomaly = (planet.meanAnomaly + 360 / planet.orbitalPeriod * (jDate - planet.epoch)) % 360;
+
+            return ((meanAnomaly + planet.perihelion + this._computeEquationOfCenter(meanAnomaly, planet.eccentricity) + 180) % 360 + 360) % 360;
+        }, // End _computeSunLongitude
+
+        /**
+         *  Computes the first instant after specified date at which the sun reaches specified ecliptic longitude
+         *  @method ig.AtmosphereCore._computeSunLongitudeInstant
+         *  @param  {Number}              longitude Ecliptic longitude of the sun in degrees
+         *  @param  {Number}              jDate     Date to search from in Julian days
+         *  @param  {PlanetProfileObject} planet    Planet profile
+         *  @return {Number}                        Instant the sun reaches specified longitude in Julian days
+         *  @private
+         */
+        _computeSunLongitudeInstant: function(longitude, jDate, planet) {
+            var meanMotion = 360 / planet.orbitalPeriod,
+                instant    = jDate + ((((longitude - this._computeSunLongitude(jDate, planet)) % 360 + 360) % 360) || 360) / meanMotion,
+                trueAnomaly,
+                delta;
+
+            // Refine with Newton's method, as the sun moves faster along the ecliptic near perihelion
+            for(var i = 0; i < 20; i++) {
+                delta       = ((this._computeSunLongitude(instant, planet) - longitude) % 360 + 540) % 360 - 180;
+                trueAnomaly = toRad(longitude + delta - planet.perihelion - 180);
+                instant    -= delta / (meanMotion * Math.pow(1 + planet.eccentricity * Math.cos(trueAnomaly), 2) / Math.pow(1 - planet.eccentricity * planet.eccentricity, 1.5));
+
+                if(Math.abs(delta) < 1e-7) {
+                    break;
+                }
+            }
+
+            // The sun returns to the same longitude after exactly one orbital period
+            while(instant <= jDate) {
+                instant += planet.orbitalPeriod;
+            }
+            while(instant - planet.orbitalPeriod > jDate) {
+                instant -= planet.orbitalPeriod;
+            }
+
+            return instant;
+        }, // End _computeSunLongitudeInstant
+
+        /**
+         *  Computes the position of the sun in the sky for specified date and geographical coordinates
+         *  @method ig.AtmosphereCore.computeSunPosition
+         *  @param  {Number}                  jDate     Specified date in Julian date
+         *  @param  {GeoCoordObject}          geoCoords Geographical coordinates
+         *  @param  {PlanetProfileObject}     [planet]  Planet profile (defaults to {@link ig.AtmosphereCore.PLANETS}.earth)
+         *  @return {CelestialPositionObject}           Computed altitude and azimuth of the sun
+         *
+         *  @example
+         *  // Where is the sun at noon on April 14, 2014 over Central Park?
+         *  ig.AtmosphereCore.computeSunPosition(2456762, {latitude: 40.7789, longitude: -73.9675});
+         */
+        computeSunPosition: function(jDate, geoCoords, planet) {
+            return this.convertEquatorialToHorizontal(this.computeSunEquatorial(jDate, planet), jDate, geoCoords, planet);
+        }, // End computeSunPosition
+
+        /**
+         *  Computes the position of the moon in the sky for specified date and geographical coordinates
+         *  <br>On worlds without a moon, the moon is always far below the horizon.
+         *  @method ig.AtmosphereCore.computeMoonPosition
+         *  @param  {Number}                  jDate     Specified date in Julian date
+         *  @param  {GeoCoordObject}          geoCoords Geographical coordinates
+         *  @param  {PlanetProfileObject}     [planet]  Planet profile (defaults to {@link ig.AtmosphereCore.PLANETS}.earth)
+         *  @return {CelestialPositionObject}           Computed altitude and azimuth of the moon
+         *
+         *  @example
+         *  // Is the moon above Central Park at noon on April 14, 2014?
+         *  ig.AtmosphereCore.computeMoonPosition(2456762, {latitude: 40.7789, longitude: -73.9675}).altitude > 0;
+         */
+        computeMoonPosition: function(jDate, geoCoords, planet) {
+            if(planet && !planet.moon) {
+                return {altitude: -90, azimuth: 0};
+            }
+
+            return this.convertEquatorialToHorizontal(this.computeMoonEquatorial(jDate, planet), jDate, geoCoords, planet);
+        }, // End computeMoonPosition
+
+        /**
+         *  Computes the lunar phase, illuminated fraction, moonrise, and moonset for specified date and geographical coordinates
+         *  @method ig.AtmosphereCore.computeLunar
+         *  @param  {Number}              jDate        Specified date in Julian date
+         *  @param  {GeoCoordObject}      geoCoords    Geographical coordinates
+         *  @param  {(Number|String)}     [timezone=0] Time zone whose calendar day moonrise and moonset are searched in
+         *  @param  {PlanetProfileObject} [planet]     Planet profile (defaults to {@link ig.AtmosphereCore.PLANETS}.earth)
+         *  @return {LunarObject}                      Computed lunar-related results
+         */
+        computeLunar: function(jDate, geoCoords, timezone, planet) {
+            timezone = timezone || 0;
+            planet   = planet || this.PLANETS.earth;
+
+            var gDate    = this.convertJulianToGregorian(jDate, timezone),
+                dayStart = this.convertGregorianToJulian({year: gDate.year, month: gDate.month, day: gDate.day,     hour: 0, minute: 0, second: 0, millisecond: 0}, timezone), // Midnight of current day
+                dayEnd   = this.convertGregorianToJulian({year: gDate.year, month: gDate.month, day: gDate.day + 1, hour: 0, minute: 0, second: 0, millisecond: 0}, timezone); // Midnight of next day
+
+            // Moonless worlds have dark nights every night
+            if(!planet.moon) {
+                return {
+                    phase       : 0,
+                    illumination: 0,
+                    moonrise    : {date: null},
+                    moonset     : {date: null},
+                    nextUpdate  : dayEnd
+                };
+            }
+
+            var sun  = this.computeSunEquatorial(jDate, planet),
+                moon = this.computeMoonEquatorial(jDate, planet);
+
+            // Phase angle (Sun-Moon-Earth) from the geocentric elongation of the moon
+            var elongation = Math.acos(
+                    Math.sin(toRad(sun.declination)) * Math.sin(toRad(moon.declination)) +
+                    Math.cos(toRad(sun.declination)) * Math.cos(toRad(moon.declination)) * Math.cos(toRad(sun.rightAscension - moon.rightAscension))
+                ),
+                phaseAngle = Math.atan2(
+                    sun.distance * Math.sin(elongation),
+                    moon.distance - sun.distance * Math.cos(elongation)
+                ),
+                waxing     = Math.atan2(
+                    Math.cos(toRad(sun.declination)) * Math.sin(toRad(sun.rightAscension - moon.rightAscension)),
+                    Math.sin(toRad(sun.declination)) * Math.cos(toRad(moon.declination)) -
+                    Math.cos(toRad(sun.declination)) * Math.sin(toRad(moon.declination)) * Math.cos(toRad(sun.rightAscension - moon.rightAscension))
+                ) < 0;
+
+            // Scan the current day hour by hour for moon altitude crossings of the horizon
+            // Horizon altitude accounts for parallax, refraction, and semi-diameter of the moon
+            var horizon  = 0.133,
+                moonrise = null,
+                moonset  = null,
+                h0 = this.computeMoonPosition(dayStart, geoCoords, planet).altitude - horizon,
+                h1, h2, a, b, xe, ye, discriminant, dx, x1, x2, roots;
+
+            for(var i = 1; i <= 24; i += 2) {
+                h1 = this.computeMoonPosition(dayStart + i / 24, geoCoords, planet).altitude - horizon;
+                h2 = this.computeMoonPosition(dayStart + (i + 1) / 24, geoCoords, planet).altitude - horizon;
+
+                // Fit a parabola through the three altitudes and find its roots
+                a  = (h0 + h2) / 2 - h1;
+                b  = (h2 - h0) / 2;
+                xe = -b / (2 * a);
+                ye = (a * xe + b) * xe + h1;
+                discriminant = b * b - 4 * a * h1;
+                roots = 0;
+
+                if(discriminant >= 0) {
+                    dx = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+                    x1 = xe - dx;
+                    x2 = xe + dx;
+
+                    if(Math.abs(x1) <= 1) { roots++; }
+                    if(Math.abs(x2) <= 1) { roots++; }
+                    if(x1 < -1) { x1 = x2; }
+                }
+
+                if(roots === 1) {
+                    if(h0 < 0) {
+                        moonrise = dayStart + (i + x1) / 24;
+                    } else {
+                        moonset  = dayStart + (i + x1) / 24;
+                    }
+                } else if(roots === 2) {
+                    moonrise = dayStart + (i + (ye < 0 ? x2 : x1)) / 24;
+                    moonset  = dayStart + (i + (ye < 0 ? x1 : x2)) / 24;
+                }
+
+                if(moonrise !== null && moonset !== null) {
+                    break;
+                }
+
+                h0 = h2;
+            }
+
+            return {
+                phase       : 0.5 + (waxing ? -1 : 1) * phaseAngle / (2 * Math.PI),
+                illumination: (1 + Math.cos(phaseAngle)) / 2,
+                moonrise    : {date: moonrise},
+                moonset     : {date: moonset},
+                nextUpdate  : dayEnd
+            };
+        }, // End computeLunar
+
+        /**
+         *  Computes the equatorial coordinates of the sun as seen from specified world for specified date
+         *  @method ig.AtmosphereCore.computeSunEquatorial
+         *  @param  {Number}              jDate    Specified date in Julian date
+         *  @param  {PlanetProfileObject} [planet] Planet profile (defaults to {@link ig.AtmosphereCore.PLANETS}.earth)
+         *  @return {Object}                       Right ascension and declination in degrees, distance in kilometers
+         */
+        computeSunEquatorial: function(jDate, planet) {
+            planet = planet || this.PLANETS.earth;
+
+            return this._convertEclipticToEquatorial(this._computeSunLongitude(jDate, planet), 0, 149598000, planet.axialTilt);
+        }, // End computeSunEquatorial
+
+        /**
+         *  Computes the geocentric equatorial coordinates of the moon for specified date
+         *  <br>The moon keeps the orbit of Earth's moon on every world; only its projection onto the sky follows the planet profile.
+         *  @method ig.AtmosphereCore.computeMoonEquatorial
+         *  @param  {Number}              jDate    Specified date in Julian date
+         *  @param  {PlanetProfileObject} [planet] Planet profile (defaults to {@link ig.AtmosphereCore.PLANETS}.earth)
+         *  @return {Object}                       Right ascension and declination in degrees, distance in kilometers
+         */
+        computeMoonEquatorial: function(jDate, planet) {
+            planet = planet || this.PLANETS.earth;
+
+            var d             = jDate - 2451545,
+                meanLongitude = (218.316 + 13.176396 * d) % 360,
+                meanAnomaly   = (134.963 + 13.064993 * d) % 360,
+                meanDistance  = ( 93.272 + 13.229350 * d) % 360;
+
+            return this._convertEclipticToEquatorial(
+                meanLongitude + 6.289 * Math.sin(toRad(meanAnomaly)),
+                5.128 * Math.sin(toRad(meanDistance)),
+                385001 - 20905 * Math.cos(toRad(meanAnomaly)),
+                planet.axialTilt
+            );
+        }, // End computeMoonEquatorial
+
+        /**
+         *  Converts ecliptic coordinates to equatorial coordinates
+         *  @method ig.AtmosphereCore._convertEclipticToEquatorial
+         *  @param  {Number} longitude Ecliptic longitude in degrees
+         *  @param  {Number} latitude  Ecliptic latitude in degrees
+         *  @param  {Number} distance  Distance from the observer's world in kilometers
+         *  @param  {Number} axialTilt Obliquity of the ecliptic in degrees
+         *  @return {Object}           Right ascension and declination in degrees, distance in kilometers
+         *  @private
+         */
+        _convertEclipticToEquatorial: function(longitude, latitude, distance, axialTilt) {
+            var obliquity = toRad(axialTilt),
+                l = toRad(longitude),
+                b = toRad(latitude);
+
+            return {
+                rightAscension: toDeg(Math.atan2(
+                                    Math.sin(l) * Math.cos(obliquity) - Math.tan(b) * Math.sin(obliquity),
+                                    Math.cos(l)
+                                )),
+                declination   : toDeg(Math.asin(
+                                    Math.sin(b) * Math.cos(obliquity) + Math.cos(b) * Math.sin(obliquity) * Math.sin(l)
+                                )),
+                distance      : distance
+            };
+        }, // End _convertEclipticToEquatorial
+
+        /**
+         *  Converts equatorial coordinates to horizontal coordinates for specified date and geographical coordinates
+         *  @method ig.AtmosphereCore.convertEquatorialToHorizontal
+         *  @param  {Object}                  equatorial Right ascension and declination in degrees
+         *  @param  {Number}                  jDate      Specified date in Julian date
+         *  @param  {GeoCoordObject}          geoCoords  Geographical coordinates
+         *  @param  {PlanetProfileObject}     [planet]   Planet profile (defaults to {@link ig.AtmosphereCore.PLANETS}.earth)
+         *  @return {CelestialPositionObject}            Altitude and azimuth in degrees
+         */
+        convertEquatorialToHorizontal: function(equatorial, jDate, geoCoords, planet) {
+            planet = planet || this.PLANETS.earth;
+
+            var siderealTime = planet.siderealTime + 360 / planet.rotationPeriod * (jDate - planet.epoch) + geoCoords.longitude,
+                hourAngle    = toRad(siderealTime - equatorial.rightAscension),
+                latitude     = toRad(geoCoords.latitude),
+                declination  = toRad(equatorial.declination),
+                altitude     = Math.asin(
+                                   Math.sin(latitude) * Math.sin(declination) +
+                                   Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle)
+                               ),
+                azimuth      = Math.atan2(
+                                   Math.sin(hourAngle),
+                                   Math.cos(hourAngle) * Math.sin(latitude) - Math.tan(declination) * Math.cos(latitude)
+                               );
+
+            return {
+                altitude: toDeg(altitude),
+                azimuth : (toDeg(azimuth) + 180) % 360 // Measured from South, convert to measure from North
+            };
+        }, // End convertEquatorialToHorizontal
+
+        /**
+         *  Computes the color of the sky in specified direction for specified solar altitude
+         *  <br>A single-scattering approximation of Rayleigh (air) and Mie (haze) scattering: sunlight is reddened on its way
+         *  through the atmosphere, then scattered towards the viewer, mostly at blue wavelengths. The sun's path is shortened
+         *  high up in the sky, so that the zenith stays blue while the horizon glows red at sunset. Below the horizon, the
+         *  sky fades out through twilight.
+         *  @method ig.AtmosphereCore.computeSkyScattering
+         *  @param  {Number} viewAltitude Altitude of the viewing direction in degrees
+         *  @param  {Number} sunAltitude  Altitude of the sun in degrees
+         *  @param  {Number} [sunAngle]   Angle between the viewing direction and the sun in degrees (defaults to the average over all azimuths, without the glow around the sun)
+         *  @return {Object}              Color in the RGB color space (r, g, b in range 0 - 255)
+         *
+         *  @example
+         *  // Color of the zenith at noon
+         *  ig.AtmosphereCore.computeSkyScattering(90, 60); // {r: 95, g: 120, b: 160}
+         */
+        computeSkyScattering: function(viewAltitude, sunAltitude, sunAngle) {
+            var viewAirmass = this._computeAirmass(viewAltitude),
+                sunAirmass  = Math.min(this._computeAirmass(sunAltitude), 6 + 30 * Math.pow(1 - Math.sin(toRad(Math.max(viewAltitude, 0))), 4)),
+                fade        = sunAltitude < 0 ? Math.exp(sunAltitude / 3) : 1,
+                cosine      = typeof sunAngle === 'number' ? Math.cos(toRad(sunAngle)) : 0,
+                g           = SCATTERING.anisotropy,
+                rayleigh    = 0.75 * (1 + cosine * cosine),
+                mie         = typeof sunAngle === 'number' ? (1 - g * g) / Math.pow(1 + g * g - 2 * g * cosine, 1.5) / 4 : 1, // Henyey-Greenstein
+                color       = [];
+
+            for(var i = 0; i < 3; i++) {
+                var extinction    = SCATTERING.rayleigh[i] + SCATTERING.mie,
+                    transmittance = Math.exp(-(extinction + SCATTERING.ozone[i]) * sunAirmass),
+                    inscattered   = (1 - Math.exp(-extinction * viewAirmass)) * (SCATTERING.rayleigh[i] * rayleigh + SCATTERING.mie * mie) / extinction,
+                    radiance      = 1 - Math.exp(-SCATTERING.exposure * inscattered * transmittance * fade);
+
+                color.push(Math.round(255 * Math.pow(radiance, 1 / SCATTERING.gamma)));
+            }
+
+            return {r: color[0], g: color[1], b: color[2]};
+        }, // End computeSkyScattering
+
+        /**
+         *  Interpolates between two colors in specified color space
+         *  <br>Hues in the HSL color space take the shorter way around the color wheel. Alpha is interpolated linearly.
+         *  @method ig.AtmosphereCore.interpolateColor
+         *  @param  {Object} from  Color at t = 0 in the RGBA color space (r, g, b, a)
+         *  @param  {Object} to    Color at t = 1 in the RGBA color space (r, g, b, a)
+         *  @param  {Number} t     Progress from the first color to the second (range: 0 - 1)
+         *  @param  {String} space Color space to interpolate in ('rgb', 'hsl', or 'oklab')
+         *  @return {Object}       Interpolated color in the RGBA color space, with whole-numbered r, g, and b values
+         */
+        interpolateColor: function(from, to, t, space) {
+            var lerp = function(a, b) { return a + (b - a) * t; },
+                color,
+                a,
+                b;
+
+            if(space === 'hsl') {
+                a = this.convertRgbToHsl(from);
+                b = this.convertRgbToHsl(to);
+
+                // Shorter way around the color wheel; hues of grays do not matter
+                var hue = b.h - a.h;
+                hue = a.s === 0 ? 0 : b.s === 0 ? 0 : hue > 180 ? hue - 360 : hue < -180 ? hue + 360 : hue;
+
+                color = this.convertHslToRgb({
+                    h: ((a.s === 0 ? b.h : a.h) + hue * t + 360) % 360,
+                    s: lerp(a.s, b.s),
+                    l: lerp(a.l, b.l)
+                });
+            } else if(space === 'oklab') {
+                a = this.convertRgbToOklab(from);
+                b = this.convertRgbToOklab(to);
+
+                color = this.convertOklabToRgb({L: lerp(a.L, b.L), a: lerp(a.a, b.a), b: lerp(a.b, b.b)});
+            } else {
+                color = {r: lerp(from.r, to.r), g: lerp(from.g, to.g), b: lerp(from.b, to.b)};
+            }
+
+            return {
+                r: Math.min(Math.max(Math.round(color.r), 0), 255),
+                g: Math.min(Math.max(Math.round(color.g), 0), 255),
+                b: Math.min(Math.max(Math.round(color.b), 0), 255),
+                a: lerp(from.a, to.a)
+            };
+        }, // End interpolateColor
+
+        /**
+         *  Converts a color from the RGB color space to the HSL color space
+         *  @method ig.AtmosphereCore.convertRgbToHsl
+         *  @param  {Object} rgb Color in the RGB color space (r, g, b in range 0 - 255)
+         *  @return {Object}     Color in the HSL color space (h in degrees, s and l in range 0 - 1)
+         */
+        convertRgbToHsl: function(rgb) {
+            var r     = rgb.r / 255,
+                g     = rgb.g / 255,
+                b     = rgb.b / 255,
+                max   = Math.max(r, g, b),
+                min   = Math.min(r, g, b),
+                l     = (max + min) / 2,
+                delta = max - min,
+                h     = 0,
+                s     = 0;
+
+            if(delta > 0) {
+                s = delta / (1 - Math.abs(2 * l - 1));
+                h = max === r ? ((g - b) / delta + 6) % 6 :
+                    max === g ? (b - r) / delta + 2 :
+                    (r - g) / delta + 4;
+            }
+
+            return {h: h * 60, s: s, l: l};
+        }, // End convertRgbToHsl
+
+        /**
+         *  Converts a color from the HSL color space to the RGB color space
+         *  @method ig.AtmosphereCore.convertHslToRgb
+         *  @param  {Object} hsl Color in the HSL color space (h in degrees, s and l in range 0 - 1)
+         *  @return {Object}     Color in the RGB color space (r, g, b in range 0 - 255)
+         */
+        convertHslToRgb: function(hsl) {
+            var chroma = (1 - Math.abs(2 * hsl.l - 1)) * hsl.s,
+                h      = hsl.h / 60,
+                x      = chroma * (1 - Math.abs(h % 2 - 1)),
+                m      = hsl.l - chroma / 2,
+                rgb    = h < 1 ? [chroma, x, 0] :
+                         h < 2 ? [x, chroma, 0] :
+                         h < 3 ? [0, chroma, x] :
+                         h < 4 ? [0, x, chroma] :
+                         h < 5 ? [x, 0, chroma] :
+                         [chroma, 0, x];
+
+            return {r: (rgb[0] + m) * 255, g: (rgb[1] + m) * 255, b: (rgb[2] + m) * 255};
+        }, // End convertHslToRgb
+
+        /**
+         *  Converts a color from the sRGB color space to the OKLab color space
+         *  <br>Based on Björn Ottosson's OKLab color space.
+         *  @method ig.AtmosphereCore.convertRgbToOklab
+         *  @param  {Object} rgb Color in the sRGB color space (r, g, b in range 0 - 255)
+         *  @return {Object}     Color in the OKLab color space (L, a, b)
+         */
+        convertRgbToOklab: function(rgb) {
+            var linear = function(c) {
+                    c /= 255;
+                    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+                },
+                r = linear(rgb.r),
+                g = linear(rgb.g),
+                b = linear(rgb.b),
+                l = Math.pow(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b, 1 / 3),
+                m = Math.pow(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b, 1 / 3),
+                s = Math.pow(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b, 1 / 3);
+
+            return {
+                L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+                a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+                b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+            };
+        }, // End convertRgbToOklab
+
+        /**
+         *  Converts a color from the OKLab color space to the sRGB color space
+         *  @method ig.AtmosphereCore.convertOklabToRgb
+         *  @param  {Object} lab Color in the OKLab color space (L, a, b)
+         *  @return {Object}     Color in the sRGB color space (r, g, b in range 0 - 255, unclamped)
+         */
+        convertOklabToRgb: function(lab) {
+            var gamma = function(c) {
+                    c = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+                    return c * 255;
+                },
+                l = Math.pow(lab.L + 0.3963377774 * lab.a + 0.2158037573 * lab.b, 3),
+                m = Math.pow(lab.L - 0.1055613458 * lab.a - 0.0638541728 * lab.b, 3),
+                s = Math.pow(lab.L - 0.0894841775 * lab.a - 1.2914855480 * lab.b, 3);
+
+            return {
+                r: gamma( 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+                g: gamma(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+                b: gamma(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+            };
+        }, // End convertOklabToRgb
+
+        /**
+         *  Computes the relative optical air mass in specified direction
+         *  <br>Based on the formula by Kasten and Young (1989). Directions below the horizon are treated as the horizon.
+         *  @method ig.AtmosphereCore._computeAirmass
+         *  @param  {Number} altitude Altitude of the direction in degrees
+         *  @return {Number}          Length of the path through the atmosphere relative to the zenith
+         *  @private
+         */
+        _computeAirmass: function(altitude) {
+            altitude = Math.max(altitude, 0);
+
+            return 1 / (Math.sin(toRad(altitude)) + 0.50572 * Math.pow(altitude + 6.07995, -1.6364));
+        }, // End _computeAirmass
+
+        /**
+         *  Advances the state of a seeded pseudorandom sequence by one step
+         *  <br>Based on Tommy Ettinger's Mulberry32 generator. A seed is the state before the first step.
+         *  @method ig.AtmosphereCore.advanceRandomState
+         *  @param  {Number} state State of the sequence (32-bit unsigned integer)
+         *  @return {Number}       Next state of the sequence
+         *
+         *  @example
+         *  // Three pseudorandom numbers seeded with 1234
+         *  var state = 1234, numbers = [];
+         *  for(var i = 0; i < 3; i++) {
+         *      state = ig.AtmosphereCore.advanceRandomState(state);
+         *      numbers.push(ig.AtmosphereCore.computeRandom(state));
+         *  }
+         */
+        advanceRandomState: function(state) {
+            return (state + 0x6D2B79F5) >>> 0;
+        }, // End advanceRandomState
+
+        /**
+         *  Computes the pseudorandom number of a state of a seeded pseudorandom sequence
+         *  @method ig.AtmosphereCore.computeRandom
+         *  @param  {Number} state State of the sequence (see {@link ig.AtmosphereCore.advanceRandomState})
+         *  @return {Number}       Pseudorandom number in the range [0, 1)
+         */
+        computeRandom: function(state) {
+            var t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }, // End computeRandom
+
+        /**
+         *  Parses and validates a climate driving automatic weather
+         *  <br>Invalid parts fall back to sane defaults, with a warning: an unknown or invalid climate to 'auto', invalid
+         *  states or transitions to those of the weather model, invalid monthly normals to none, and an invalid hemisphere
+         *  to northern. 'auto' picks the climate of the latitude's climate class.
+         *  @method ig.AtmosphereCore.parseClimate
+         *  @param  {(String|Object)} [climate='auto'] 'auto', name of a climate in climates, a climate, or its JSON string
+         *  @param  {Number}          latitude         Latitude in degrees
+         *  @param  {Object}          climates         Known climates, keyed by climate name
+         *  @param  {Object}          model            Weather model providing default states, transitions, and diurnal multipliers
+         *  @return {Object}                           Validated copy of the climate (climate), and whether it was picked by latitude (auto)
+         *
+         *  @example
+         *  // Climate of Central Park
+         *  core.parseClimate('auto', 40.7789, climates, model); // {climate: {name: 'Temperate', ...}, auto: true}
+         */
+        parseClimate: function(climate, latitude, climates, model) {
+            var auto = false,
+                name,
+                state,
+                month,
+                i;
+
+            // Custom climates may be loaded from JSON
+            if(typeof climate === 'string' && climate.charAt(0) === '{') {
+                try {
+                    climate = JSON.parse(climate);
+                } catch(e) {
+                    console.warn('climate not valid JSON. Defaulting climate to auto.');
+                    climate = 'auto';
+                }
+            }
+
+            // Sanity check
+            if(typeof climate !== 'undefined' && climate !== null) {
+                if(typeof climate === 'string') {
+                    if(climate !== 'auto' && typeof climates[climate] === 'undefined') {
+                        console.warn('climate \'' + climate + '\' not a known climate. Defaulting climate to auto.');
+                        climate = 'auto';
+                    }
+                } else if(typeof climate !== 'object') {
+                    console.warn('climate \'' + climate + '\' not a climate. Defaulting climate to auto.');
+                    climate = 'auto';
+                }
+            } else {
+                //console.warn('climate not provided. Defaulting climate to auto.');
+                climate = 'auto';
+            }
+
+            if(climate === 'auto') {
+                auto = true;
+                climate = this.computeClimateClass(latitude);
+            }
+            climate = copy(typeof climate === 'string' ? climates[climate] : climate);
+
+            // States and transitions
+            if(typeof climate.states === 'undefined') {
+                climate.states      = copy(model.states);
+                climate.transitions = climate.transitions || copy(model.transitions);
+                climate.diurnal     = climate.diurnal     || copy(model.diurnal);
+            }
+            if(climate.states === null || typeof climate.states !== 'object' || Object.keys(climate.states).length === 0 || climate.transitions === null || typeof climate.transitions !== 'object') {
+                console.warn('climate \'' + climate.name + '\' states or transitions not provided. Defaulting states and transitions to the weather model\'s.');
+                climate.states      = copy(model.states);
+                climate.transitions = copy(model.transitions);
+            } else {
+                for(name in climate.states) {
+                    if(climate.states.hasOwnProperty(name)) {
+                        state = climate.states[name];
+                        if(state === null || typeof state !== 'object' || !(state.duration instanceof Array) || isNaN(state.duration[0]) || isNaN(state.duration[1]) || state.duration[0] <= 0 || state.duration[1] < state.duration[0]) {
+                            console.warn('climate \'' + climate.name + '\' state \'' + name + '\' duration not a positive minimum and maximum in hours. Defaulting states and transitions to the weather model\'s.');
+                            climate.states      = copy(model.states);
+                            climate.transitions = copy(model.transitions);
+                            break;
+                        }
+                        state.weather = state.weather || {};
+                    }
+                }
+            }
+
+            // Monthly normals
+            if(typeof climate.months !== 'undefined') {
+                if(!(climate.months instanceof Array) || climate.months.length !== 12) {
+                    console.warn('climate \'' + climate.name + '\' months not 12 monthly normals. Removing monthly normals.');
+                    delete climate.months;
+                } else {
+                    for(i = 0; i < 12; i++) {
+                        month = climate.months[i] || {};
+                        if(!(month.temperature instanceof Array) || isNaN(month.temperature[0]) || isNaN(month.temperature[1]) || month.temperature[1] < month.temperature[0] ||
+                            isNaN(month.precipitation) || isNaN(month.fog) || isNaN(month.storm) || month.precipitation < 0 || month.fog < 0 || month.storm < 0 || month.precipitation + month.fog + month.storm > 1) {
+                            console.warn('climate \'' + climate.name + '\' month \'' + (i + 1) + '\' not a low and high temperature and chances totalling at most 1. Removing monthly normals.');
+                            delete climate.months;
+                            break;
+                        }
+                    }
+                }
+            }
+            if(climate.hemisphere !== 'northern' && climate.hemisphere !== 'southern') {
+                if(typeof climate.hemisphere !== 'undefined') {
+                    console.warn('climate \'' + climate.name + '\' hemisphere \'' + climate.hemisphere + '\' not northern or southern. Defaulting hemisphere to northern.');
+                }
+                climate.hemisphere = 'northern';
+            }
+
+            return {climate: climate, auto: auto};
+        }, // End parseClimate
+
+        /**
+         *  Computes the climate class of a latitude
+         *  <br>Tropical below 15 degrees, arid below 35, temperate below 50, continental below 66.5, and polar beyond.
+         *  @method ig.AtmosphereCore.computeClimateClass
+         *  @param  {Number} latitude Latitude in degrees
+         *  @return {String}          Name of the climate class ('tropical', 'arid', 'temperate', 'continental', or 'polar')
+         */
+        computeClimateClass: function(latitude) {
+            latitude = Math.abs(latitude);
+
+            return latitude < 15   ? 'tropical'    :
+                   latitude < 35   ? 'arid'        :
+                   latitude < 50   ? 'temperate'   :
+                   latitude < 66.5 ? 'continental' :
+                   'polar';
+        }, // End computeClimateClass
+
+        /**
+         *  Computes the climate normals of specified date, interpolated between the normals of the two nearest mid-months
+         *  <br>Normals given for one hemisphere are shifted by six months in the other.
+         *  @method ig.AtmosphereCore.computeClimateNormals
+         *  @param  {Object[]} months     Monthly normals, January first (temperature, precipitation, fog, storm)
+         *  @param  {String}   hemisphere Hemisphere the monthly normals are given for ('northern' or 'southern')
+         *  @param  {Number}   latitude   Latitude in degrees
+         *  @param  {Object}   cDate      Local date and time fields in the Gregorian calendar
+         *  @return {?Object}             Climate normals, or null if no monthly normals are given
+         *
+         *  @example
+         *  // Normals of Sydney on January 15, 2014, from normals given for the northern hemisphere
+         *  core.computeClimateNormals(months, 'northern', -33.8688, {year: 2014, month: 1, day: 15, hour: 12, minute: 0, second: 0, millisecond: 0});
+         */
+        computeClimateNormals: function(months, hemisphere, latitude, cDate) {
+            if(!months) {
+                return null;
+            }
+
+            var start = this.convertCalendarToJulian({year: cDate.year, month: cDate.month, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0}),
+                end   = this.convertCalendarToJulian({year: cDate.month === 12 ? cDate.year + 1 : cDate.year, month: cDate.month % 12 + 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0}),
+                local = this.convertCalendarToJulian(cDate);
+
+            // Months centered on whole numbers, shifted by six months in the other hemisphere
+            var position = cDate.month - 1.5 + (local - start) / (end - start) + ((latitude < 0) !== (hemisphere === 'southern') ? 6 : 0),
+                i        = Math.floor(position),
+                t        = position - i,
+                from     = months[(i % 12 + 12) % 12],
+                to       = months[(i + 1) % 12];
+
+            return {
+                temperature  : [
+                    from.temperature[0] + (to.temperature[0] - from.temperature[0]) * t,
+                    from.temperature[1] + (to.temperature[1] - from.temperature[1]) * t
+                ],
+                precipitation: from.precipitation + (to.precipitation - from.precipitation) * t,
+                fog          : from.fog + (to.fog - from.fog) * t,
+                storm        : from.storm + (to.storm - from.storm) * t
+            };
+        }, // End computeClimateNormals
+
+        /**
+         *  Computes the weights of the next states of automatic weather
+         *  <br>Each state is weighted by its transition from the current state, its chance under the climate normals, and
+         *  its multipliers of the season and time of day. States of no weight are left out.
+         *  @method ig.AtmosphereCore.computeWeatherWeights
+         *  @param  {Object}  climate     Climate (see {@link ig.AtmosphereCore.parseClimate})
+         *  @param  {?String} from        Name of the current state, or null to weigh all states alike
+         *  @param  {Number}  seasonState Current season (0 = Spring, 1 = Summer, 2 = Autumn, 3 = Winter)
+         *  @param  {String}  period      Current time of day ('day', 'twilight', or 'night')
+         *  @param  {?Object} normals     Climate normals (see {@link ig.AtmosphereCore.computeClimateNormals}), or null to leave them out
+         *  @return {Object}              Positive weights keyed by state name, in the order of the climate's states
+         */
+        computeWeatherWeights: function(climate, from, seasonState, period, normals) {
+            var transitions = from !== null && climate.transitions[from] ? climate.transitions[from] : null,
+                weights     = {},
+                weight,
+                name;
+
+            for(name in climate.states) {
+                if(climate.states.hasOwnProperty(name)) {
+                    weight = transitions === null ? 1 : transitions[name] || 0;
+                    if(normals !== null) {
+                        weight *= this.computeClimateChance(climate.states[name].weather, normals);
+                    }
+                    if(climate.seasons && climate.seasons[name]) {
+                        weight *= climate.seasons[name][seasonState];
+                    }
+                    if(climate.diurnal && climate.diurnal[name] && typeof climate.diurnal[name][period] === 'number') {
+                        weight *= climate.diurnal[name][period];
+                    }
+
+                    if(weight > 0) {
+                        weights[name] = weight;
+                    }
+                }
+            }
+
+            return weights;
+        }, // End computeWeatherWeights
+
+        /**
+         *  Picks the next state of automatic weather at random, by the weights of the next states
+         *  @method ig.AtmosphereCore.pickWeatherState
+         *  @param  {Object}   climate     Climate (see {@link ig.AtmosphereCore.parseClimate})
+         *  @param  {?String}  from        Name of the current state, or null to pick among all states alike
+         *  @param  {Number}   seasonState Current season (0 = Spring, 1 = Summer, 2 = Autumn, 3 = Winter)
+         *  @param  {String}   period      Current time of day ('day', 'twilight', or 'night')
+         *  @param  {?Object}  normals     Climate normals (see {@link ig.AtmosphereCore.computeClimateNormals}), or null to leave them out
+         *  @param  {Function} random      Pseudorandom number generator returning numbers in range 0 - 1, called at most once
+         *  @return {String}               Name of the next state
+         */
+        pickWeatherState: function(climate, from, seasonState, period, normals, random) {
+            var weights = this.computeWeatherWeights(climate, from, seasonState, period, normals),
+                names   = Object.keys(weights),
+                total   = 0,
+                weight,
+                i;
+
+            for(i = 0; i < names.length; i++) {
+                total += weights[names[i]];
+            }
+
+            // Nowhere to go from here in this season and time of day; stay put
+            if(total === 0) {
+                return from !== null ? from : Object.keys(climate.states)[0];
+            }
+
+            weight = random() * total;
+            for(i = 0; i < names.length - 1; i++) {
+                weight -= weights[names[i]];
+                if(weight < 0) {
+                    break;
+                }
+            }
+
+            return names[i];
+        }, // End pickWeatherState
+
+        /**
+         *  Computes the monthly chance of a weather condition under climate normals
+         *  <br>Precipitation falls as snow below a daily mean of -1 degrees Celsius and as rain above 3 degrees, and as
+         *  either in between. Fair weather is overcast more often in wetter months.
+         *  @method ig.AtmosphereCore.computeClimateChance
+         *  @param  {Object} weather Weather condition of a climate state
+         *  @param  {Object} normals Climate normals (see {@link ig.AtmosphereCore.computeClimateNormals})
+         *  @return {Number}         Chance of the weather condition (range: 0 - 1)
+         */
+        computeClimateChance: function(weather, normals) {
+            var snow       = Math.min(Math.max((3 - (normals.temperature[0] + normals.temperature[1]) / 2) / 4, 0), 1),
+                fair       = Math.max(0, 1 - normals.precipitation - normals.fog - normals.storm),
+                cloudiness = Math.min(Math.max(2 * (normals.precipitation + normals.fog), 0), 0.6);
+
+            return weather.lightning ? normals.storm * (1 - snow) :
+                   weather.snow      ? normals.precipitation * snow :
+                   weather.rain || weather.sleet || weather.hail || weather.freezingRain || weather.precipitation ? normals.precipitation * (1 - snow) :
+                   weather.fog       ? normals.fog :
+                   weather.overcast  ? fair * cloudiness :
+                   fair * (1 - cloudiness);
+        }, // End computeClimateChance
+
+        /**
+         *  Eases weather intensities towards their targets, first following conditions turned on or off directly
+         *  <br>A condition turned on with its target at 0 eases to full intensity, and one turned off eases out. Ramps
+         *  ease by smoothstep over their duration; a ramp of no duration jumps to its target at once.
+         *  @method ig.AtmosphereCore.computeWeatherIntensity
+         *  @param  {Object} ramps      Ramps of each weather condition (from, to, elapsed, and duration in seconds), keyed by condition
+         *  @param  {Object} condition  Whether each weather condition is turned on, keyed by condition
+         *  @param  {Object} intensity  Current intensity of each weather condition (range: 0 - 1), keyed by condition
+         *  @param  {Number} elapsed    Real time in seconds since the last update (Infinity to finish all ramps)
+         *  @param  {Number} transition Real time in seconds to ease conditions turned on or off directly over
+         *  @return {Object}            Advanced ramps (ramps) and intensities (intensity), keyed by condition
+         *
+         *  @example
+         *  // Rain turned on directly, 5 seconds into a 10-second transition
+         *  core.computeWeatherIntensity({rain: {from: 0, to: 0, elapsed: 0, duration: 0}}, {rain: true}, {rain: 0}, 5, 10).intensity.rain; // 0.5
+         */
+        computeWeatherIntensity: function(ramps, condition, intensity, elapsed, transition) {
+            var next = {ramps: {}, intensity: {}},
+                ramp,
+                t,
+                key;
+
+            for(key in ramps) {
+                if(ramps.hasOwnProperty(key)) {
+                    ramp = ramps[key];
+                    if(Boolean(condition[key]) !== (ramp.to > 0)) {
+                        ramp = {from: intensity[key], to: condition[key] ? 1 : 0, elapsed: 0, duration: transition};
+                    }
+
+                    ramp = {from: ramp.from, to: ramp.to, elapsed: Math.min(ramp.elapsed + elapsed, ramp.duration), duration: ramp.duration};
+                    t    = ramp.duration > 0 ? ramp.elapsed / ramp.duration : 1;
+
+                    next.ramps[key]     = ramp;
+                    next.intensity[key] = t < 1 ? ramp.from + (ramp.to - ramp.from) * this.EASINGS.smoothstep(t) : ramp.to;
+                }
+            }
+
+            return next;
+        }, // End computeWeatherIntensity
+
+        /**
+         *  Picks the type of precipitation falling at an air temperature
+         *  <br>Snow falls at -2 degrees Celsius and below. Up to 0 degrees, rain falls through a warm layer aloft and
+         *  freezes on contact with the cold ground; up to 2 degrees, it refreezes into ice pellets (sleet) on the way down.
+         *  Above, rain falls, or one time in four hail in thunderstorms of 15 degrees and above.
+         *  @method ig.AtmosphereCore.pickPrecipitationType
+         *  @param  {Number}   temperature Air temperature in degrees Celsius
+         *  @param  {Boolean}  storm       Is it a thunderstorm?
+         *  @param  {Function} random      Pseudorandom number generator returning numbers in range 0 - 1, called in warm thunderstorms only
+         *  @return {String}               Precipitation weather condition (see {@link ig.AtmosphereCore.PRECIPITATION})
+         */
+        pickPrecipitationType: function(temperature, storm, random) {
+            if(temperature <= -2) {
+                return 'snow';
+            } else if(temperature <= 0) {
+                return 'freezingRain';
+            } else if(temperature <= 2) {
+                return 'sleet';
+            }
+
+            // Warm thunderstorms with strong updrafts drop hail one time in four
+            return storm && temperature >= 15 && random() < 0.25 ? 'hail' : 'rain';
+        }, // End pickPrecipitationType
+
+        /**
+         *  Computes the intensity of each type of precipitation, with only the type picked for the air temperature falling
+         *  (see {@link ig.AtmosphereCore.pickPrecipitationType})
+         *  @method ig.AtmosphereCore.computePrecipitationIntensity
+         *  @param  {Number}   intensity   Intensity of the precipitation (range: 0 - 1)
+         *  @param  {Number}   temperature Air temperature in degrees Celsius
+         *  @param  {Boolean}  storm       Is it a thunderstorm?
+         *  @param  {Function} random      Pseudorandom number generator returning numbers in range 0 - 1
+         *  @return {Object}               Intensity of each precipitation weather condition, keyed by condition
+         *
+         *  @example
+         *  core.computePrecipitationIntensity(0.6, -5, false, Math.random); // {rain: 0, snow: 0.6, sleet: 0, hail: 0, freezingRain: 0}
+         */
+        computePrecipitationIntensity: function(intensity, temperature, storm, random) {
+            var type    = this.pickPrecipitationType(temperature, storm, random),
+                targets = {};
+
+            for(var i = 0; i < this.PRECIPITATION.length; i++) {
+                targets[this.PRECIPITATION[i]] = this.PRECIPITATION[i] === type ? intensity : 0;
+            }
+
+            return targets;
+        }, // End computePrecipitationIntensity
+
+        /**
+         *  Computes the visibility under weather conditions, the distance at which a dark object stands out against the horizon
+         *  <br>Each weather condition adds its share of extinction at its intensity (Koschmieder's law), on top of the
+         *  extinction of clear air. Conditions without a visibility, such as lightning, do not add any.
+         *  @method ig.AtmosphereCore.computeVisibility
+         *  @param  {Object} intensity    Intensity of each weather condition (range: 0 - 1), keyed by condition
+         *  @param  {Object} [visibility] Visibility in clear air and under each condition at full intensity (defaults to {@link ig.AtmosphereCore.VISIBILITY})
+         *  @return {Number}              Visibility in kilometers
+         *
+         *  @example
+         *  // Visibility in light fog
+         *  ig.AtmosphereCore.computeVisibility({fog: 0.5}); // 0.395
+         */
+        computeVisibility: function(intensity, visibility) {
+            visibility = visibility || this.VISIBILITY;
+
+            // Extinction relative to that of clear air; Koschmieder's constant (3.912) cancels out
+            var extinction = 1,
+                key;
+
+            for(key in intensity) {
+                if(intensity.hasOwnProperty(key) && typeof visibility[key] === 'number') {
+                    extinction += intensity[key] * visibility.clear / visibility[key];
+                }
+            }
+
+            return visibility.clear / extinction;
+        }, // End computeVisibility
+
+        /**
+         *  Computes the effect of a weather condition on the meteorological quantities
+         *  <br>Clouds and precipitation flatten the daily temperature cycle and moisten the air, and storms lower the pressure.
+         *  @method ig.AtmosphereCore.computeWeatherEffect
+         *  @param  {Object} condition Weather condition (fog, lightning, rain, snow, sleet, hail, freezingRain, overcast)
+         *  @return {Object}           Factor of the daily temperature range (amplitude), offset of the mean temperature in degrees
+         *                             Celsius (offset), fraction of the way the dew point rises to the temperature (moisture), and
+         *                             offset of the pressure in hectopascals (pressure)
+         */
+        computeWeatherEffect: function(condition) {
+            var c = condition;
+
+            return c.lightning ? {amplitude: 0.4 , offset: -4, moisture: 0.9 , pressure: -14} :
+                   c.rain || c.sleet || c.hail || c.freezingRain ?
+                                 {amplitude: 0.4 , offset: -2, moisture: 0.9 , pressure: -8 } :
+                   c.snow      ? {amplitude: 0.4 , offset: -1, moisture: 0.85, pressure: -6 } :
+                   c.fog       ? {amplitude: 0.5 , offset:  0, moisture: 1   , pressure:  3 } :
+                   c.overcast  ? {amplitude: 0.6 , offset:  0, moisture: 0.5 , pressure:  0 } :
+                                 {amplitude: 1.15, offset:  0, moisture: 0   , pressure:  6 };
+        }, // End computeWeatherEffect
+
+        /**
+         *  Computes the meteorological quantities of specified date under climate normals and a weather effect
+         *  <br>Temperature follows the Parton and Logan model: a sine curve peaking after solar noon by day, and exponential
+         *  decay towards the low at sunrise by night. Under the midnight sun the day lasts all day; in the polar night, the
+         *  night does.
+         *  @method ig.AtmosphereCore.computeMeteorology
+         *  @param  {Object}      normals Climate normals (see {@link ig.AtmosphereCore.computeClimateNormals})
+         *  @param  {Object}      effect  Weather effect (see {@link ig.AtmosphereCore.computeWeatherEffect})
+         *  @param  {Number}      jDate   Specified date in Julian date
+         *  @param  {SolarObject} solar   Sunrise and sunset of the solar day of specified date (see {@link ig.AtmosphereCore.computeSunriset})
+         *  @return {Object}              Air temperature and dew point in degrees Celsius (temperature, dewPoint), relative humidity
+         *                                in percent (humidity), and air pressure at sea level in hectopascals (pressure)
+         *
+         *  @example
+         *  // Weather over Central Park on a clear June afternoon
+         *  var jDate = 2456830.3,
+         *      solar = core.computeSunriset(jDate, {latitude: 40.7789, longitude: -73.9675});
+         *  core.computeMeteorology({temperature: [17, 27], precipitation: 0.28, fog: 0.04, storm: 0.09}, core.computeWeatherEffect({}), jDate, solar);
+         */
+        computeMeteorology: function(normals, effect, jDate, solar) {
+            var mean   = (normals.temperature[0] + normals.temperature[1]) / 2 + effect.offset,
+                range  = (normals.temperature[1] - normals.temperature[0]) * effect.amplitude,
+                low    = mean - range / 2,
+                high   = mean + range / 2;
+
+            // Hours of daylight, and time since this cycle's sunrise, as fractions of the planet's day
+            var dayLength = solar.dayLength,
+                daylight  = solar.polarDay   ? dayLength :
+                            solar.polarNight ? 0 :
+                            ((solar.sunset.date - solar.sunrise.date) % dayLength + dayLength) % dayLength,
+                sinceRise = ((jDate - solar.noon + daylight / 2) % dayLength + dayLength) % dayLength,
+                lag       = dayLength / 16,
+                decay     = 2.2,
+                temperature;
+
+            // Parton and Logan model: sine curve peaking after solar noon by day, exponential decay towards sunrise by night
+            if(sinceRise <= daylight) {
+                temperature = low + (high - low) * Math.sin(Math.PI * sinceRise / (daylight + 2 * lag));
+            } else {
+                var sunset = low + (high - low) * Math.sin(Math.PI * daylight / (daylight + 2 * lag));
+                temperature = low + (sunset - low) * (Math.exp(-decay * (sinceRise - daylight) / (dayLength - daylight)) - Math.exp(-decay)) / (1 - Math.exp(-decay));
+            }
+
+            // Dry climates have dew points far below the night's low; moist weather brings the dew point up to the temperature
+            var dryDewPoint = low - 1 - 20 * Math.max(0, 1 - normals.precipitation / 0.3),
+                dewPoint    = Math.min(temperature, dryDewPoint + (temperature - dryDewPoint) * effect.moisture);
+
+            // Semidiurnal atmospheric tide, peaking at 10 and 22 hours local solar time
+            var solarTime = ((jDate - solar.noon) / dayLength + 0.5) % 1;
+
+            return {
+                temperature: temperature,
+                humidity   : 100 * this.computeSaturationRatio(dewPoint, temperature),
+                dewPoint   : dewPoint,
+                pressure   : 1013.25 + effect.pressure + Math.cos(4 * Math.PI * (solarTime - 10 / 24))
+            };
+        }, // End computeMeteorology
+
+        /**
+         *  Computes the ratio of the saturation vapor pressures at dew point and at air temperature (Magnus formula)
+         *  @method ig.AtmosphereCore.computeSaturationRatio
+         *  @param  {Number} dewPoint    Dew point in degrees Celsius
+         *  @param  {Number} temperature Air temperature in degrees Celsius
+         *  @return {Number}             Relative humidity as a fraction (range: 0 - 1)
+         */
+        computeSaturationRatio: function(dewPoint, temperature) {
+            return Math.exp(17.625 * dewPoint / (243.04 + dewPoint) - 17.625 * temperature / (243.04 + temperature));
+        } // End computeSaturationRatio
+
+    }; // End AtmosphereCore
+
+    return AtmosphereCore;
+});
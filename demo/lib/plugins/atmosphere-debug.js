@@ -29,7 +29,7 @@ ig.module(
                     x += 5,
                     y += 5,
                     ig.system.realWidth - 2 * x,
-                    255
+                    405
                 );
 
                 ig.system.context.font = '11px monospace';
@@ -38,29 +38,66 @@ ig.module(
 
                 ig.system.context.fillText('========== Impact Atmospheric System Plugin ==========', x += 5, y += 5);
 
-                ig.system.context.fillText('Timescale: ' + this.timescale + 'x real time', x, y += 15);
+                ig.system.context.fillText('Timescale: ' + this.timescale + 'x real time' + (this.paused ? ' (paused)' : this.timescale < 0 ? ' (reversed)' : ''), x, y += 15);
                 ig.system.context.fillText('Update rate: ' + this.updateRate + (this.updateRate <= 1 ? ' second' : ' seconds'), x, y += 10);
+                ig.system.context.fillText('Random seed: ' + this.seed, x, y += 10);
 
                 ig.system.context.fillText('Geographical coordinates: (Lat: ' + this.geoCoords.latitude + ', Lng: ' + this.geoCoords.longitude + ')', x, y += 15);
+                ig.system.context.fillText('Planet: ' + this.planet.name + ' (Day: ' + (this.solar.dayLength * 24).toFixed(2) + ' hours, Year: ' + (this.planet.orbitalPeriod / this.solar.dayLength).toFixed(2) + ' days, Axial tilt: ' + this.planet.axialTilt + ' deg)', x, y += 10);
+
+                var utcOffset = this.getUtcOffset(this.julianDate);
+                ig.system.context.fillText('Time zone: ' + this.timezone + ' (UTC' + (utcOffset < 0 ? '-' : '+') +
+                    ('0' + Math.abs(utcOffset).floor()).slice(-2) + ':' + ('0' + (Math.abs(utcOffset) % 1 * 60).round()).slice(-2) + ')', x, y += 10);
 
                 ig.system.context.fillStyle = '#ffff00';
                 ig.system.context.fillText('Current: ' + this.convertJulianToGregorian(this.julianDate).toString() + ' | ' + this.julianDate.toFixed(8) + ' JD', x, y += 15);
+                ig.system.context.fillText('Calendar: ' + (this.calendar === null ? 'Gregorian' : this.calendar.name) + ' | ' + this.formatDate(), x, y += 10);
                 ig.system.context.fillText('Sun state: The sun ' + (
                     this.sunState === 0 ? 'is rising' :
                     this.sunState === 1 ? 'has risen' :
                     this.sunState === 2 ? 'is setting' :
                     this.sunState === 3 ? 'has set' :
+                    this.sunState === 4 ? 'does not set (midnight sun)' :
+                    this.sunState === 5 ? 'does not rise (polar night)' :
                     '<invalid sun state>'
                 ), x, y += 15);
+                ig.system.context.fillText('Solar phase: ' + (
+                    this.solarPhase === 'day'                  ? 'Day' :
+                    this.solarPhase === 'civilTwilight'        ? 'Civil twilight' :
+                    this.solarPhase === 'nauticalTwilight'     ? 'Nautical twilight' :
+                    this.solarPhase === 'astronomicalTwilight' ? 'Astronomical twilight' :
+                    this.solarPhase === 'night'                ? 'Night' :
+                    '<invalid solar phase>'
+                ) + ' | Altitude: ' + this.sunPosition.altitude.toFixed(4) + ' deg, Azimuth: ' + this.sunPosition.azimuth.toFixed(4) + ' deg', x, y += 10);
 
-                ig.system.context.fillText('Ambient illumination color: (r: ' + this.sky.r.toFixed(4) + ', g: ' + this.sky.g.toFixed(4) + ', b: ' + this.sky.b.toFixed(4) + ', a: ' + this.sky.a.toFixed(4) + ')', x, y += 15);
+                ig.system.context.fillText('Ambient illumination color: (r: ' + this.sky.r.toFixed(4) + ', g: ' + this.sky.g.toFixed(4) + ', b: ' + this.sky.b.toFixed(4) + ', a: ' + this.sky.a.toFixed(4) + ') | Palette: ' + this._skyBlend.map(function(b) { return b.name + (b.weight < 1 ? ' (' + (b.weight * 100).toFixed(0) + '%)' : ''); }).join(' + '), x, y += 15);
 
                 ig.system.context.fillStyle = '#ffffff';
-                ig.system.context.fillText('Sunrise: ' + this.convertJulianToGregorian(this.solar.sunrise.date).toString() + ' | ' + this.solar.sunrise.date.toFixed(8) + ' JD', x, y += 15);
-                ig.system.context.fillText('Sunset : ' + this.convertJulianToGregorian(this.solar.sunset.date).toString() + ' | ' + this.solar.sunset.date.toFixed(8) + ' JD', x, y += 10);
+                ig.system.context.fillText('Sunrise: ' + (this.solar.sunrise.date === null ? 'None today' + (this.solar.polarDay ? ' (midnight sun)' : ' (polar night)') : this.convertJulianToGregorian(this.solar.sunrise.date).toString() + ' | ' + this.solar.sunrise.date.toFixed(8) + ' JD'), x, y += 15);
+                ig.system.context.fillText('Sunset : ' + (this.solar.sunset.date  === null ? 'None today' + (this.solar.polarDay ? ' (midnight sun)' : ' (polar night)') : this.convertJulianToGregorian(this.solar.sunset.date).toString()  + ' | ' + this.solar.sunset.date.toFixed(8)  + ' JD'), x, y += 10);
+                ig.system.context.fillText('Morning twilight: ' + this.solar.sunrise.duration.toFixed(2) + ' minutes | Evening twilight: ' + this.solar.sunset.duration.toFixed(2) + ' minutes', x, y += 10);
+
+                ig.system.context.fillText('Solar noon: ' + this.convertJulianToGregorian(this.solar.noon).toString() + ' | ' + this.solar.noon.toFixed(8) + ' JD', x, y += 10);
 
                 ig.system.context.fillText('Next sunriset update: ' + this.convertJulianToGregorian(this.solar.nextUpdate).toString(), x, y += 15);
 
+                ig.system.context.fillStyle = '#ffff00';
+                ig.system.context.fillText('Moon phase: ' + (
+                    this.lunar.phase < 0.0339 || this.lunar.phase >= 0.9661 ? 'New Moon' :
+                    this.lunar.phase < 0.2161 ? 'Waxing Crescent' :
+                    this.lunar.phase < 0.2839 ? 'First Quarter' :
+                    this.lunar.phase < 0.4661 ? 'Waxing Gibbous' :
+                    this.lunar.phase < 0.5339 ? 'Full Moon' :
+                    this.lunar.phase < 0.7161 ? 'Waning Gibbous' :
+                    this.lunar.phase < 0.7839 ? 'Last Quarter' :
+                    'Waning Crescent'
+                ) + ' (' + (this.lunar.illumination * 100).toFixed(2) + '% illuminated) | Altitude: ' + this.moonPosition.altitude.toFixed(4) + ' deg', x, y += 15);
+                ig.system.context.fillText('Night darkness: ' + this.nightDarkness.toFixed(4), x, y += 10);
+
+                ig.system.context.fillStyle = '#ffffff';
+                ig.system.context.fillText('Moonrise: ' + (this.lunar.moonrise.date === null ? 'None today' : this.convertJulianToGregorian(this.lunar.moonrise.date).toString() + ' | ' + this.lunar.moonrise.date.toFixed(8) + ' JD'), x, y += 15);
+                ig.system.context.fillText('Moonset : ' + (this.lunar.moonset.date  === null ? 'None today' : this.convertJulianToGregorian(this.lunar.moonset.date).toString()  + ' | ' + this.lunar.moonset.date.toFixed(8)  + ' JD'), x, y += 10);
+
                 ig.system.context.fillStyle = '#ffff00';
                 ig.system.context.fillText('Season state: ' + (
                     this.seasonState === 0 ? 'Spring/Vernal' :
@@ -68,25 +105,43 @@ ig.module(
                     this.seasonState === 2 ? 'Autumn/Autumnal' :
                     this.seasonState === 3 ? 'Winter/Hibernal' :
                     '<invalid season state>'
-                ), x, y += 15);
+                ) + ' | Model: ' + (this.seasonModel instanceof Array ? 'custom' : this.seasonModel) + ', ' + (this.geoCoords.latitude < 0 ? 'southern' : 'northern') + ' hemisphere', x, y += 15);
 
                 ig.system.context.fillStyle = '#ffffff';
-                ig.system.context.fillText('Spring : ' + this.convertJulianToGregorian(this.season.vernalEquinox).toString() + ' | ' + this.season.vernalEquinox.toFixed(8) + ' JD', x, y += 15);
-                ig.system.context.fillText('Summer : ' + this.convertJulianToGregorian(this.season.estivalSolstice).toString() + ' | ' + this.season.estivalSolstice.toFixed(8) + ' JD', x, y += 10);
-                ig.system.context.fillText('Autumn : ' + this.convertJulianToGregorian(this.season.autumnalEquinox).toString() + ' | ' + this.season.autumnalEquinox.toFixed(8) + ' JD', x, y += 10);
-                ig.system.context.fillText('Winter : ' + this.convertJulianToGregorian(this.season.hibernalSolstice).toString() + ' | ' + this.season.hibernalSolstice.toFixed(8) + ' JD', x, y += 10);
+                for(var i = 0; i < this.season.boundaries.length; i++) {
+                    ig.system.context.fillText((
+                        this.season.boundaries[i].season === 0 ? 'Spring : ' :
+                        this.season.boundaries[i].season === 1 ? 'Summer : ' :
+                        this.season.boundaries[i].season === 2 ? 'Autumn : ' :
+                        'Winter : '
+                    ) + this.convertJulianToGregorian(this.season.boundaries[i].date).toString() + ' | ' + this.season.boundaries[i].date.toFixed(8) + ' JD', x, y += i === 0 ? 15 : 10);
+                }
 
-                var wc = 'Clear';
-                if(this.weatherCondition.rain || this.weatherCondition.snow || this.weatherCondition.fog) {
+                // Weather conditions still fading out are listed along with active ones
+                var wi = this.weatherIntensity,
+                    wc = 'Clear';
+                if(wi.rain > 0 || wi.snow > 0 || wi.sleet > 0 || wi.hail > 0 || wi.freezingRain > 0 || wi.fog > 0 || wi.sandstorm > 0 || wi.dust > 0 || wi.ash > 0 || wi.overcast > 0) {
                     wc = '';
-                    if(this.weatherCondition.rain)      { wc += 'Rain ';      }
-                    if(this.weatherCondition.snow)      { wc += 'Snow ';      }
-                    if(this.weatherCondition.lightning) { wc += 'Lightning '; }
-                    if(this.weatherCondition.fog)       { wc += 'Fog ';       }
+                    if(wi.rain > 0)         { wc += 'Rain '          + (wi.rain         * 100).toFixed(0) + '% '; }
+                    if(wi.snow > 0)         { wc += 'Snow '          + (wi.snow         * 100).toFixed(0) + '% '; }
+                    if(wi.sleet > 0)        { wc += 'Sleet '         + (wi.sleet        * 100).toFixed(0) + '% '; }
+                    if(wi.hail > 0)         { wc += 'Hail '          + (wi.hail         * 100).toFixed(0) + '% '; }
+                    if(wi.freezingRain > 0) { wc += 'Freezing rain ' + (wi.freezingRain * 100).toFixed(0) + '% '; }
+                    if(wi.lightning > 0)    { wc += 'Lightning '     + (wi.lightning    * 100).toFixed(0) + '% '; }
+                    if(wi.fog > 0)          { wc += 'Fog '           + (wi.fog          * 100).toFixed(0) + '% '; }
+                    if(wi.sandstorm > 0)    { wc += 'Sandstorm '     + (wi.sandstorm    * 100).toFixed(0) + '% '; }
+                    if(wi.dust > 0)         { wc += 'Dust '          + (wi.dust         * 100).toFixed(0) + '% '; }
+                    if(wi.ash > 0)          { wc += 'Ash '           + (wi.ash          * 100).toFixed(0) + '% '; }
+                    if(wi.overcast > 0)     { wc += 'Overcast '      + (wi.overcast     * 100).toFixed(0) + '% '; }
                 }
 
                 ig.system.context.fillStyle = '#ffff00';
-                ig.system.context.fillText('Weather condition: ' + wc, x, y += 15);
+                ig.system.context.fillText('Weather condition: ' + wc.trim() + (this.autoWeather ? ' | Auto: ' + this.weatherState.name + ' (' + this.climate.name + ' climate' + (this._climateAuto ? ' by latitude' : '') + '), ' +
+                    (this.weatherState.until === Infinity ? 'held' : 'until ' + this.convertJulianToGregorian(this.timescale < 0 ? this.weatherState.since : this.weatherState.until).toString()) : ' | Manual'), x, y += 15);
+                ig.system.context.fillText('Temperature: ' + this.meteorology.temperature.toFixed(1) + ' C | Humidity: ' + this.meteorology.humidity.toFixed(0) + '% | Dew point: ' + this.meteorology.dewPoint.toFixed(1) + ' C | Pressure: ' + this.meteorology.pressure.toFixed(1) + ' hPa | Visibility: ' + this.getVisibility().toFixed(1) + ' km | Clouds: ' + (this.cloudCover * 100).toFixed(0) + '%', x, y += 10);
+
+                var wind = this.getWindAt(ig.game.screen.x + ig.system.width / 2, ig.game.screen.y + ig.system.height / 2);
+                ig.system.context.fillText('Wind: from ' + wind.direction.toFixed(0) + ' deg at ' + wind.speed.toFixed(1) + ' px/s (base: ' + this.wind.speed + ' px/s, gust: ' + (this._windGust * 100).toFixed(0) + '%)', x, y += 10);
 
                 ig.system.context.fillStyle = '#ffffff';
                 ig.system.context.fillText('Maximum Particle Count: ' + this.particlesMax, x, y += 15);
@@ -0,0 +1,847 @@
+/**
+ *  @fileOverview Tests of the engine-independent core against published almanac values.
+ *    Run with: node test/atmosphere-core.test.js
+ */
+
+/* jshint node: true */
+'use strict';
+
+var assert = require('assert'),
+    core   = require('../atmosphere-core.js');
+
+var CENTRAL_PARK = {latitude: 40.7789,  longitude: -73.9675},
+    LONDON       = {latitude: 51.5074,  longitude:  -0.1278},
+    SYDNEY       = {latitude: -33.8688, longitude: 151.2093},
+    LONGYEARBYEN = {latitude: 78.2232,  longitude:  15.6267};
+
+var failures = 0;
+
+/**
+ *  Runs a single test case and reports its outcome
+ *  @param {String}   name Description of the test case
+ *  @param {Function} fn   Test case, throwing on failure
+ */
+var test = function(name, fn) {
+    try {
+        fn();
+        console.log('ok     - ' + name);
+    } catch(e) {
+        failures++;
+        console.log('not ok - ' + name);
+        console.log('         ' + e.message);
+    }
+};
+
+/**
+ *  Julian date of specified UTC date and time
+ */
+var utc = function(year, month, day, hour, minute) {
+    return core.convertCalendarToJulian({year: year, month: month, day: day, hour: hour || 0, minute: minute || 0, second: 0, millisecond: 0});
+};
+
+/**
+ *  Asserts two Julian dates are within specified number of minutes of each other
+ */
+var assertMinutes = function(actual, expected, minutes, message) {
+    assert.ok(actual !== null, message + ': expected a date, got null');
+    assert.ok(Math.abs(actual - expected) * 1440 <= minutes,
+        message + ': off by ' + ((actual - expected) * 1440).toFixed(1) + ' minutes (tolerance ' + minutes + ')');
+};
+
+/**
+ *  Asserts two numbers are within specified tolerance of each other
+ */
+var assertNear = function(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        message + ': expected ' + expected + ' +/- ' + tolerance + ', got ' + actual);
+};
+
+/**
+ *  Seeded pseudorandom number generator stepping through the core's sequence, as the plugin's random() does
+ */
+var seeded = function(seed) {
+    var state = seed >>> 0;
+
+    return function() {
+        state = core.advanceRandomState(state);
+        return core.computeRandom(state);
+    };
+};
+
+
+//-----------------------------------------------------------------------------
+// Calendar conversions (U.S. Naval Observatory Julian date converter)
+test('J2000.0 epoch is JD 2451545.0', function() {
+    assert.strictEqual(utc(2000, 1, 1, 12), 2451545);
+});
+
+test('Unix epoch is JD 2440587.5', function() {
+    assert.strictEqual(utc(1970, 1, 1), 2440587.5);
+});
+
+test('Modified Julian Date epoch is JD 2400000.5', function() {
+    assert.strictEqual(utc(1858, 11, 17), 2400000.5);
+});
+
+test('Julian date round-trips to calendar fields', function() {
+    assert.deepStrictEqual(core.convertJulianToCalendar(core.convertCalendarToJulian({year: 2014, month: 4, day: 14, hour: 17, minute: 23, second: 37, millisecond: 250})),
+        {year: 2014, month: 4, day: 14, hour: 17, minute: 23, second: 37, millisecond: 250});
+});
+
+
+//-----------------------------------------------------------------------------
+// Time zones and daylight saving time
+test('New York observes EDT from March 9 to November 2, 2014', function() {
+    assert.strictEqual(core.getUtcOffset(utc(2014, 3, 9, 6, 59), 'America/New_York'), -5);
+    assert.strictEqual(core.getUtcOffset(utc(2014, 3, 9, 7, 0),  'America/New_York'), -4);
+    assert.strictEqual(core.getUtcOffset(utc(2014, 11, 2, 5, 59), 'America/New_York'), -4);
+    assert.strictEqual(core.getUtcOffset(utc(2014, 11, 2, 6, 0),  'America/New_York'), -5);
+});
+
+test('Paris observes CEST from March 30 to October 26, 2014 (01:00 UTC)', function() {
+    assert.strictEqual(core.getUtcOffset(utc(2014, 3, 30, 0, 59), 'Europe/Paris'), 1);
+    assert.strictEqual(core.getUtcOffset(utc(2014, 3, 30, 1, 0),  'Europe/Paris'), 2);
+    assert.strictEqual(core.getUtcOffset(utc(2014, 10, 26, 0, 59), 'Europe/Paris'), 2);
+    assert.strictEqual(core.getUtcOffset(utc(2014, 10, 26, 1, 0),  'Europe/Paris'), 1);
+});
+
+test('Sydney observes AEDT across the new year, ending April 6 and starting October 5, 2014', function() {
+    assert.strictEqual(core.getUtcOffset(utc(2014, 1, 15),         'Australia/Sydney'), 11);
+    assert.strictEqual(core.getUtcOffset(utc(2014, 4, 5, 16, 0),   'Australia/Sydney'), 10);
+    assert.strictEqual(core.getUtcOffset(utc(2014, 7, 1),          'Australia/Sydney'), 10);
+    assert.strictEqual(core.getUtcOffset(utc(2014, 10, 4, 16, 0),  'Australia/Sydney'), 11);
+});
+
+test('Fixed offsets and unknown time zones', function() {
+    assert.strictEqual(core.getUtcOffset(utc(2014, 7, 1), 5.5), 5.5);
+    assert.strictEqual(core.getUtcOffset(utc(2014, 7, 1), 'Nowhere/Nowhere'), 0);
+});
+
+test('Wall-clock time converts to and from Julian date', function() {
+    var jDate = core.convertGregorianToJulian({year: 2014, month: 7, day: 4, hour: 21, minute: 0, second: 0, millisecond: 0}, 'America/New_York');
+
+    assert.strictEqual(Math.round((jDate - utc(2014, 7, 5, 1, 0)) * 86400000), 0);
+    assert.deepStrictEqual(core.convertJulianToGregorian(jDate, 'America/New_York'),
+        {year: 2014, month: 7, day: 4, hour: 21, minute: 0, second: 0, millisecond: 0});
+});
+
+
+//-----------------------------------------------------------------------------
+// Sunrise and sunset (U.S. Naval Observatory, rise/set/transit tables)
+test('Central Park, June 21, 2014: sunrise 05:25 EDT, sunset 20:31 EDT', function() {
+    var solar = core.computeSunriset(utc(2014, 6, 21, 16), CENTRAL_PARK);
+
+    assertMinutes(solar.sunrise.date, utc(2014, 6, 21, 9, 25), 3, 'sunrise');
+    assertMinutes(solar.sunset.date,  utc(2014, 6, 22, 0, 31), 3, 'sunset');
+    assert.strictEqual(solar.polarDay, false);
+    assert.strictEqual(solar.polarNight, false);
+});
+
+test('London, December 21, 2014: sunrise 08:04 GMT, sunset 15:54 GMT', function() {
+    var solar = core.computeSunriset(utc(2014, 12, 21, 12), LONDON);
+
+    assertMinutes(solar.sunrise.date, utc(2014, 12, 21, 8, 4),  3, 'sunrise');
+    assertMinutes(solar.sunset.date,  utc(2014, 12, 21, 15, 54), 3, 'sunset');
+});
+
+test('Sydney, June 21, 2014: sunrise 07:00 AEST, sunset 16:54 AEST', function() {
+    var solar = core.computeSunriset(utc(2014, 6, 21, 2), SYDNEY);
+
+    assertMinutes(solar.sunrise.date, utc(2014, 6, 20, 21, 0),  3, 'sunrise');
+    assertMinutes(solar.sunset.date,  utc(2014, 6, 21, 6, 54), 3, 'sunset');
+});
+
+test('Longyearbyen: midnight sun at the June solstice, polar night at the December solstice', function() {
+    var summer = core.computeSunriset(utc(2014, 6, 21, 11), LONGYEARBYEN),
+        winter = core.computeSunriset(utc(2014, 12, 21, 11), LONGYEARBYEN);
+
+    assert.strictEqual(summer.polarDay, true);
+    assert.strictEqual(summer.sunrise.date, null);
+    assert.strictEqual(winter.polarNight, true);
+    assert.strictEqual(winter.sunset.date, null);
+});
+
+test('Sun reaches 72.7 degrees altitude due south at solar noon over Central Park on June 21, 2014', function() {
+    var solar    = core.computeSunriset(utc(2014, 6, 21, 16), CENTRAL_PARK),
+        position = core.computeSunPosition(solar.noon, CENTRAL_PARK);
+
+    assertNear(position.altitude, 72.66, 0.3, 'altitude');
+    assertNear(position.azimuth, 180, 1, 'azimuth');
+});
+
+
+//-----------------------------------------------------------------------------
+// Equinoxes and solstices (U.S. Naval Observatory, Earth's seasons)
+test('Seasons of 2014: March 20 16:57, June 21 10:51, September 23 02:29, December 21 23:03 UT', function() {
+    assertMinutes(core.computeSeasonInstant(2014, 0), utc(2014, 3, 20, 16, 57), 2, 'March equinox');
+    assertMinutes(core.computeSeasonInstant(2014, 1), utc(2014, 6, 21, 10, 51), 2, 'June solstice');
+    assertMinutes(core.computeSeasonInstant(2014, 2), utc(2014, 9, 23, 2, 29),  2, 'September equinox');
+    assertMinutes(core.computeSeasonInstant(2014, 3), utc(2014, 12, 21, 23, 3), 2, 'December solstice');
+});
+
+test('Seasons of 2024: March 20 03:06, June 20 20:51, September 22 12:44, December 21 09:21 UT', function() {
+    assertMinutes(core.computeSeasonInstant(2024, 0), utc(2024, 3, 20, 3, 6),   2, 'March equinox');
+    assertMinutes(core.computeSeasonInstant(2024, 1), utc(2024, 6, 20, 20, 51), 2, 'June solstice');
+    assertMinutes(core.computeSeasonInstant(2024, 2), utc(2024, 9, 22, 12, 44), 2, 'September equinox');
+    assertMinutes(core.computeSeasonInstant(2024, 3), utc(2024, 12, 21, 9, 21), 2, 'December solstice');
+});
+
+test('Delta T in 2014 is about 67.6 seconds', function() {
+    assertNear(core.computeDeltaT(2014), 67.6, 1.5, 'Delta T');
+});
+
+test('Seasons are reversed in the southern hemisphere', function() {
+    var north = core.computeSeasons(2014, CENTRAL_PARK, 'astronomical'),
+        south = core.computeSeasons(2014, SYDNEY, 'astronomical');
+
+    assert.strictEqual(core.computeSeasonState(utc(2014, 7, 15), north), 1);
+    assert.strictEqual(core.computeSeasonState(utc(2014, 7, 15), south), 3);
+    assert.strictEqual(core.computeSeasonState(utc(2014, 1, 15), north), 3);
+    assert.strictEqual(core.computeSeasonState(utc(2014, 1, 15), south), 1);
+});
+
+test('Meteorological seasons start at local midnight on the first of March, June, September, and December', function() {
+    var season = core.computeSeasons(2014, CENTRAL_PARK, 'meteorological', 'America/New_York');
+
+    assert.strictEqual(season.boundaries.length, 4);
+    assert.deepStrictEqual(core.convertJulianToGregorian(season.boundaries[1].date, 'America/New_York'),
+        {year: 2014, month: 6, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0});
+    assert.strictEqual(season.boundaries[1].season, 1);
+});
+
+
+//-----------------------------------------------------------------------------
+// Moon phases (U.S. Naval Observatory, phases of the moon)
+test('Full moon on April 15, 2014 07:42 UT', function() {
+    var lunar = core.computeLunar(utc(2014, 4, 15, 7, 42), CENTRAL_PARK);
+
+    assertNear(lunar.phase, 0.5, 0.02, 'phase');
+    assert.ok(lunar.illumination > 0.99, 'illumination ' + lunar.illumination);
+});
+
+test('New moon on April 29, 2014 06:14 UT', function() {
+    var lunar = core.computeLunar(utc(2014, 4, 29, 6, 14), CENTRAL_PARK),
+        phase = lunar.phase > 0.5 ? lunar.phase - 1 : lunar.phase;
+
+    assertNear(phase, 0, 0.02, 'phase');
+    assert.ok(lunar.illumination < 0.01, 'illumination ' + lunar.illumination);
+});
+
+test('First quarter on April 7, 2014 08:31 UT', function() {
+    var lunar = core.computeLunar(utc(2014, 4, 7, 8, 31), CENTRAL_PARK);
+
+    assertNear(lunar.phase, 0.25, 0.02, 'phase');
+    assertNear(lunar.illumination, 0.5, 0.05, 'illumination');
+});
+
+
+//-----------------------------------------------------------------------------
+// Planet profiles (Mars: NASA Goddard Institute for Space Studies, Mars24 sunclock)
+test('Earth is the default planet profile and has a 24-hour mean solar day', function() {
+    assertNear(core.computeDayLength() * 24, 24, 1e-6, 'day length');
+    assert.deepStrictEqual(core.computeSunriset(utc(2014, 6, 21, 16), CENTRAL_PARK, null, core.PLANETS.earth),
+        core.computeSunriset(utc(2014, 6, 21, 16), CENTRAL_PARK));
+});
+
+test('A Martian sol lasts 24 hours 39 minutes 35 seconds', function() {
+    assertNear(core.computeDayLength(core.PLANETS.mars) * 86400, 88775.244, 1, 'sol length');
+});
+
+test('Consecutive Martian sunrises are one sol apart', function() {
+    var first  = core.computeSunriset(utc(2014, 6, 21), {latitude: -4.5, longitude: 137.4}, null, core.PLANETS.mars),
+        second = core.computeSunriset(first.noon + first.dayLength, {latitude: -4.5, longitude: 137.4}, null, core.PLANETS.mars);
+
+    assertMinutes(second.sunrise.date - first.sunrise.date, core.computeDayLength(core.PLANETS.mars), 1, 'sunrise interval');
+});
+
+test('Mars year 32: northern summer solstice on February 15, 2014, autumnal equinox on August 17, 2014', function() {
+    assertMinutes(core.computeSeasonInstant(2014, 1, core.PLANETS.mars), utc(2014, 2, 15, 12), 1440, 'summer solstice (Ls 90)');
+    assertMinutes(core.computeSeasonInstant(2014, 2, core.PLANETS.mars), utc(2014, 8, 17, 12), 1440, 'autumnal equinox (Ls 180)');
+});
+
+test('A Martian year spans only some of the seasons of a calendar year', function() {
+    var season = core.computeSeasons(2014, {latitude: 22.5, longitude: 137.4}, 'astronomical', 0, core.PLANETS.mars);
+
+    assert.strictEqual(season.boundaries.length, 2);
+    assert.strictEqual(season.initial, 0);
+    assert.strictEqual(core.computeSeasonState(utc(2014, 1, 15), season), 0);
+    assert.strictEqual(core.computeSeasonState(utc(2014, 7, 1), season), 1);
+    assert.strictEqual(core.computeSeasonState(utc(2014, 12, 1), season), 2);
+});
+
+test('Worlds without a moon have no moonlight', function() {
+    var lunar = core.computeLunar(utc(2014, 4, 15, 7, 42), CENTRAL_PARK, 0, core.PLANETS.mars);
+
+    assert.strictEqual(lunar.illumination, 0);
+    assert.strictEqual(lunar.moonrise.date, null);
+    assert.ok(core.computeMoonPosition(utc(2014, 4, 15, 7, 42), CENTRAL_PARK, core.PLANETS.mars).altitude < 0);
+});
+
+
+//-----------------------------------------------------------------------------
+// Calendars
+test('April 14, 2014 is a Monday, the 104th day of the year', function() {
+    var cDate = core.convertJulianToCalendarDate(utc(2014, 4, 14, 21, 23), null, 'America/New_York');
+
+    assert.strictEqual(cDate.weekdayName, 'Monday');
+    assert.strictEqual(cDate.dayOfYear, 104);
+    assert.strictEqual(cDate.hour, 17);
+    assert.strictEqual(core.formatCalendarDate(utc(2014, 4, 14, 21, 23), null, null, 'America/New_York'), 'Monday, April 14, 2014 17:23:00');
+});
+
+test('Gregorian dates survive a format and parse round trip', function() {
+    var jDate = core.parseCalendarDate('Monday, April 14, 2014 17:23:00', null, null, 'America/New_York');
+
+    assertMinutes(jDate, utc(2014, 4, 14, 21, 23), 0.01, 'parsed date');
+    assert.strictEqual(core.parseCalendarDate('Monday, February 30, 2014 17:23:00', null, null, 'America/New_York'), null);
+    assert.strictEqual(core.parseCalendarDate('not a date', null, null, 'America/New_York'), null);
+});
+
+test('The 13-month calendar starts on its epoch and runs 364 days plus a leap day every fourth year', function() {
+    var calendar = core.CALENDARS.thirteenMonth,
+        first = core.convertJulianToCalendarDate(calendar.epoch, calendar);
+
+    assert.strictEqual(first.year, 1);
+    assert.strictEqual(first.monthName, 'Deepfrost');
+    assert.strictEqual(first.day, 1);
+    assert.strictEqual(first.era, 'Age of Dawn');
+    assert.strictEqual(core.convertJulianToCalendarDate(calendar.epoch + 364, calendar).monthName, 'Midwinter');
+    assert.strictEqual(core.convertJulianToCalendarDate(calendar.epoch + 365, calendar).year, 2);
+    assert.strictEqual(core.convertJulianToCalendarDate(calendar.epoch + 1095 + 365, calendar).day, 2);
+    assert.strictEqual(core.convertJulianToCalendarDate(calendar.epoch + 1095 + 366, calendar).year, 5);
+    assert.strictEqual(core.convertJulianToCalendarDate(calendar.epoch + 7, calendar).weekdayName, calendar.weekdays[0]);
+});
+
+test('Eras and leap days of fictional calendars are parsed and validated', function() {
+    var calendar = core.CALENDARS.thirteenMonth,
+        format = '{day} {month} {eraYear}, {era}',
+        jDate = core.parseCalendarDate('3 harvest 15, age of dawn', calendar, format);
+
+    assert.strictEqual(core.formatCalendarDate(jDate, calendar, format), '3 Harvest 15, Age of Dawn');
+    assert.notStrictEqual(core.parseCalendarDate('2 Midwinter 4, Age of Dawn', calendar, format), null);
+    assert.strictEqual(core.parseCalendarDate('2 Midwinter 3, Age of Dawn', calendar, format), null);
+    assert.strictEqual(core.parseCalendarDate('29 Harvest 15, Age of Dawn', calendar, format), null);
+});
+
+test('Calendar days of a longer day length follow the planet', function() {
+    var calendar = {name: 'Darian', epoch: 2451544.5, dayLength: core.computeDayLength(core.PLANETS.mars), months: [{name: 'Sagittarius', days: 28}], weekdays: ['Sol Solis']},
+        cDate = core.convertJulianToCalendarDate(calendar.epoch + calendar.dayLength * 1.5, calendar);
+
+    assert.strictEqual(cDate.day, 2);
+    assert.strictEqual(cDate.hour, 12);
+    assert.strictEqual(cDate.minute, 0);
+});
+
+
+//-----------------------------------------------------------------------------
+// Sky scattering
+test('The sky at noon is blue at the zenith and paler towards the horizon', function() {
+    var zenith = core.computeSkyScattering(90, 60),
+        horizon = core.computeSkyScattering(2, 60);
+
+    assert.ok(zenith.b > zenith.g && zenith.g > zenith.r);
+    assert.ok(horizon.r + horizon.g + horizon.b > zenith.r + zenith.g + zenith.b);
+});
+
+test('The horizon glows red at sunset, brightest towards the sun', function() {
+    var horizon = core.computeSkyScattering(2, 0),
+        sunward = core.computeSkyScattering(2, 0, 0),
+        away = core.computeSkyScattering(2, 0, 180);
+
+    assert.ok(horizon.r > horizon.g && horizon.g > horizon.b);
+    assert.ok(sunward.r > away.r);
+});
+
+test('The sky fades out by the end of astronomical twilight', function() {
+    var zenith = core.computeSkyScattering(90, -18);
+
+    assert.ok(zenith.r + zenith.g + zenith.b < 20);
+    assert.deepStrictEqual(core.computeSkyScattering(-10, 30), core.computeSkyScattering(0, 30));
+});
+
+//-----------------------------------------------------------------------------
+// Pseudorandom numbers (Mulberry32)
+test('Pseudorandom sequences follow Mulberry32', function() {
+    var random = seeded(1234);
+
+    assert.strictEqual(random(), 0.07329497812315822);
+    assert.strictEqual(random(), 0.7034119898453355);
+    assert.strictEqual(random(), 0.9028560190927237);
+    assert.strictEqual(core.advanceRandomState(4294967295), 0x6D2B79F4);
+});
+
+test('Pseudorandom sequences of the same seed are the same', function() {
+    var a = seeded(42),
+        b = seeded(42),
+        c = seeded(43),
+        differ = 0;
+
+    for(var i = 0; i < 1000; i++) {
+        var number = a();
+
+        assert.strictEqual(number, b());
+        differ += number !== c() ? 1 : 0;
+    }
+    assert.ok(differ > 990);
+});
+
+test('Pseudorandom numbers spread evenly over [0, 1)', function() {
+    var random  = seeded(7),
+        buckets = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+        number;
+
+    for(var i = 0; i < 100000; i++) {
+        number = random();
+        assert.ok(number >= 0 && number < 1, 'Number ' + number);
+        buckets[Math.floor(number * 10)]++;
+    }
+    buckets.forEach(function(count, bucket) {
+        assertNear(count / 100000, 0.1, 0.005, 'Bucket ' + bucket);
+    });
+});
+
+
+//-----------------------------------------------------------------------------
+// Color interpolation
+test('Colors survive a round trip through the HSL color space', function() {
+    [{r: 0, g: 0, b: 0}, {r: 255, g: 255, b: 255}, {r: 255, g: 0, b: 0}, {r: 12, g: 200, b: 99}, {r: 250, g: 128, b: 114}, {r: 70, g: 20, b: 160}].forEach(function(rgb) {
+        var back = core.convertHslToRgb(core.convertRgbToHsl(rgb));
+
+        assertNear(back.r, rgb.r, 1, 'Red of ' + JSON.stringify(rgb));
+        assertNear(back.g, rgb.g, 1, 'Green of ' + JSON.stringify(rgb));
+        assertNear(back.b, rgb.b, 1, 'Blue of ' + JSON.stringify(rgb));
+    });
+});
+
+test('Colors survive a round trip through the OKLab color space', function() {
+    [{r: 0, g: 0, b: 0}, {r: 255, g: 255, b: 255}, {r: 0, g: 0, b: 255}, {r: 12, g: 200, b: 99}, {r: 250, g: 128, b: 114}, {r: 70, g: 20, b: 160}].forEach(function(rgb) {
+        var back = core.convertOklabToRgb(core.convertRgbToOklab(rgb));
+
+        assertNear(back.r, rgb.r, 1, 'Red of ' + JSON.stringify(rgb));
+        assertNear(back.g, rgb.g, 1, 'Green of ' + JSON.stringify(rgb));
+        assertNear(back.b, rgb.b, 1, 'Blue of ' + JSON.stringify(rgb));
+    });
+});
+
+test('Hues take the shorter way around the color wheel', function() {
+    var from  = {r: 255, g: 0, b: 64, a: 1},  // Hue of 345 degrees
+        to    = {r: 255, g: 64, b: 0, a: 0},  // Hue of 15 degrees
+        color = core.interpolateColor(from, to, 0.5, 'hsl');
+
+    assertNear(core.convertRgbToHsl(color).h, 0, 1, 'Hue halfway');
+    assert.strictEqual(color.g, color.b);
+    assert.strictEqual(color.a, 0.5);
+    assert.deepStrictEqual(core.interpolateColor(to, from, 0.5, 'hsl'), {r: 255, g: 0, b: 0, a: 0.5});
+});
+
+test('Grays take the hue of the other color', function() {
+    var gray  = {r: 128, g: 128, b: 128, a: 1},
+        blue  = {r: 0, g: 0, b: 255, a: 1},
+        color = core.interpolateColor(gray, blue, 0.5, 'hsl');
+
+    assertNear(core.convertRgbToHsl(color).h, 240, 1, 'Hue from gray');
+    assertNear(core.convertRgbToHsl(core.interpolateColor(blue, gray, 0.5, 'hsl')).h, 240, 1, 'Hue to gray');
+    assert.deepStrictEqual(core.interpolateColor(gray, {r: 255, g: 255, b: 255, a: 1}, 0.5, 'hsl'), {r: 192, g: 192, b: 192, a: 1});
+});
+
+test('Interpolated colors are whole-numbered and clamped', function() {
+    var from = {r: 0, g: 0, b: 0, a: 0},
+        to   = {r: 255, g: 255, b: 255, a: 1};
+
+    assert.deepStrictEqual(core.interpolateColor(from, to, 0.5, 'rgb'), {r: 128, g: 128, b: 128, a: 0.5});
+    assert.deepStrictEqual(core.interpolateColor(from, to, 1, 'oklab'), {r: 255, g: 255, b: 255, a: 1});
+    assert.deepStrictEqual(core.interpolateColor(from, to, 0, 'oklab'), {r: 0, g: 0, b: 0, a: 0});
+});
+
+//-----------------------------------------------------------------------------
+// Climate
+var MONTHS = [],
+    MODEL  = {
+        states     : {clear: {weather: {}, duration: [2, 8]}, rain: {weather: {precipitation: true}, duration: [1, 4]}},
+        transitions: {clear: {rain: 1}, rain: {clear: 1}},
+        diurnal    : {}
+    };
+for(var m = 0; m < 12; m++) {
+    MONTHS.push({temperature: [m * 2, m * 2 + 10], precipitation: m / 100, fog: 0.02, storm: m / 200});
+}
+
+/**
+ *  Local Gregorian date and time fields
+ */
+var local = function(year, month, day, hour, minute) {
+    return {year: year, month: month, day: day, hour: hour || 0, minute: minute || 0, second: 0, millisecond: 0};
+};
+
+/**
+ *  Runs specified function with warnings collected rather than printed
+ *  @return {String[]} Warnings given
+ */
+var collectWarnings = function(fn) {
+    var warn     = console.warn,
+        warnings = [];
+
+    console.warn = function(message) { warnings.push(message); };
+    try {
+        fn();
+    } finally {
+        console.warn = warn;
+    }
+
+    return warnings;
+};
+
+test('Latitudes map to the climate class of their band in either hemisphere', function() {
+    assert.strictEqual(core.computeClimateClass(0), 'tropical');
+    assert.strictEqual(core.computeClimateClass(-14.9), 'tropical');
+    assert.strictEqual(core.computeClimateClass(15), 'arid');
+    assert.strictEqual(core.computeClimateClass(-34.9), 'arid');
+    assert.strictEqual(core.computeClimateClass(CENTRAL_PARK.latitude), 'temperate');
+    assert.strictEqual(core.computeClimateClass(LONDON.latitude), 'continental');
+    assert.strictEqual(core.computeClimateClass(-66.5), 'polar');
+    assert.strictEqual(core.computeClimateClass(LONGYEARBYEN.latitude), 'polar');
+});
+
+test('Normals of mid-January are those of January', function() {
+    assert.deepStrictEqual(core.computeClimateNormals(MONTHS, 'northern', CENTRAL_PARK.latitude, local(2014, 1, 16, 12)), MONTHS[0]);
+    assert.strictEqual(core.computeClimateNormals(undefined, 'northern', CENTRAL_PARK.latitude, local(2014, 1, 16, 12)), null);
+});
+
+test('Normals of early January lie between those of December and January', function() {
+    var normals = core.computeClimateNormals(MONTHS, 'northern', CENTRAL_PARK.latitude, local(2014, 1, 1));
+
+    assertNear(normals.temperature[0], (MONTHS[11].temperature[0] + MONTHS[0].temperature[0]) / 2, 1e-9, 'Low temperature');
+    assertNear(normals.temperature[1], (MONTHS[11].temperature[1] + MONTHS[0].temperature[1]) / 2, 1e-9, 'High temperature');
+    assertNear(normals.precipitation, (MONTHS[11].precipitation + MONTHS[0].precipitation) / 2, 1e-9, 'Precipitation');
+    assertNear(normals.storm, (MONTHS[11].storm + MONTHS[0].storm) / 2, 1e-9, 'Storm');
+});
+
+test('Southern latitudes get the normals of July in January', function() {
+    var normals = core.computeClimateNormals(MONTHS, 'northern', SYDNEY.latitude, local(2014, 1, 16, 12));
+
+    assertNear(normals.temperature[0], MONTHS[6].temperature[0], 1e-9, 'Low temperature');
+    assertNear(normals.precipitation, MONTHS[6].precipitation, 1e-9, 'Precipitation');
+    assert.deepStrictEqual(core.computeClimateNormals(MONTHS, 'southern', SYDNEY.latitude, local(2014, 1, 16, 12)), MONTHS[0]);
+});
+
+test('Climates parse from names, JSON, and objects, as copies', function() {
+    var climates = {temperate: {name: 'Temperate', months: MONTHS}},
+        parsed   = core.parseClimate('temperate', 0, climates, MODEL);
+
+    assert.strictEqual(parsed.auto, false);
+    assert.deepStrictEqual(parsed.climate.months, MONTHS);
+    assert.notStrictEqual(parsed.climate.months, MONTHS);
+    assert.deepStrictEqual(parsed.climate.states, MODEL.states);
+    assert.notStrictEqual(parsed.climate.states, MODEL.states);
+    assert.strictEqual(parsed.climate.hemisphere, 'northern');
+
+    parsed = core.parseClimate('auto', CENTRAL_PARK.latitude, climates, MODEL);
+    assert.strictEqual(parsed.auto, true);
+    assert.strictEqual(parsed.climate.name, 'Temperate');
+
+    parsed = core.parseClimate(JSON.stringify({name: 'Island', states: {fog: {weather: {fog: true}, duration: [1, 2]}}, transitions: {fog: {fog: 1}}, hemisphere: 'southern'}), 0, climates, MODEL);
+    assert.strictEqual(parsed.auto, false);
+    assert.deepStrictEqual(parsed.climate.states, {fog: {weather: {fog: true}, duration: [1, 2]}});
+    assert.strictEqual(parsed.climate.hemisphere, 'southern');
+});
+
+test('Invalid climates fall back to auto, with a warning', function() {
+    var climates = {temperate: {name: 'Temperate', months: MONTHS}, tropical: {name: 'Tropical'}},
+        parsed;
+
+    [undefined, null, 'auto', '{not json', 'monsoon', 42].forEach(function(climate) {
+        var warnings = collectWarnings(function() { parsed = core.parseClimate(climate, CENTRAL_PARK.latitude, climates, MODEL); });
+
+        assert.strictEqual(parsed.auto, true, 'Climate ' + climate);
+        assert.strictEqual(parsed.climate.name, 'Temperate', 'Climate ' + climate);
+        assert.strictEqual(warnings.length, climate === undefined || climate === null || climate === 'auto' ? 0 : 1, 'Warnings of climate ' + climate);
+    });
+});
+
+test('Invalid parts of climates fall back to defaults, with a warning', function() {
+    var parsed,
+        warnings;
+
+    warnings = collectWarnings(function() { parsed = core.parseClimate({name: 'Broken', states: {rain: {duration: [4, 2]}}, transitions: {}}, 0, {}, MODEL); });
+    assert.deepStrictEqual(parsed.climate.states, MODEL.states);
+    assert.deepStrictEqual(parsed.climate.transitions, MODEL.transitions);
+    assert.strictEqual(warnings.length, 1);
+
+    warnings = collectWarnings(function() { parsed = core.parseClimate({name: 'Broken', states: {}, transitions: {}}, 0, {}, MODEL); });
+    assert.deepStrictEqual(parsed.climate.states, MODEL.states);
+    assert.strictEqual(warnings.length, 1);
+
+    warnings = collectWarnings(function() { parsed = core.parseClimate({name: 'Broken', months: MONTHS.slice(1)}, 0, {}, MODEL); });
+    assert.strictEqual(parsed.climate.months, undefined);
+    assert.strictEqual(warnings.length, 1);
+
+    warnings = collectWarnings(function() { parsed = core.parseClimate({name: 'Broken', months: MONTHS.concat().fill({temperature: [10, 0], precipitation: 0, fog: 0, storm: 0}, 3, 4)}, 0, {}, MODEL); });
+    assert.strictEqual(parsed.climate.months, undefined);
+    assert.strictEqual(warnings.length, 1);
+
+    warnings = collectWarnings(function() { parsed = core.parseClimate({name: 'Broken', months: MONTHS.concat().fill({temperature: [0, 10], precipitation: 0.6, fog: 0.3, storm: 0.2}, 3, 4)}, 0, {}, MODEL); });
+    assert.strictEqual(parsed.climate.months, undefined);
+    assert.strictEqual(warnings.length, 1);
+
+    warnings = collectWarnings(function() { parsed = core.parseClimate({name: 'Broken', hemisphere: 'eastern'}, 0, {}, MODEL); });
+    assert.strictEqual(parsed.climate.hemisphere, 'northern');
+    assert.strictEqual(warnings.length, 1);
+});
+
+//-----------------------------------------------------------------------------
+// Meteorology
+var JUNE = {temperature: [17, 27], precipitation: 0.28, fog: 0.04, storm: 0.09};
+
+/**
+ *  Samples the meteorology of a solar day every ten minutes, from solar midnight to solar midnight
+ */
+var sampleDay = function(jDate, geoCoords, condition) {
+    var solar   = core.computeSunriset(jDate, geoCoords),
+        effect  = core.computeWeatherEffect(condition || {}),
+        samples = [];
+
+    for(var i = 0; i <= 144; i++) {
+        var date = solar.noon - solar.dayLength / 2 + i / 144 * solar.dayLength;
+        samples.push({date: date, meteorology: core.computeMeteorology(JUNE, effect, date, solar)});
+    }
+
+    return {solar: solar, samples: samples};
+};
+
+test('Temperature peaks in the afternoon and bottoms out at sunrise', function() {
+    var day     = sampleDay(utc(2014, 6, 21, 16), CENTRAL_PARK),
+        highest = day.samples[0],
+        lowest  = day.samples[0];
+
+    day.samples.forEach(function(sample) {
+        highest = sample.meteorology.temperature > highest.meteorology.temperature ? sample : highest;
+        lowest  = sample.meteorology.temperature < lowest.meteorology.temperature ? sample : lowest;
+    });
+
+    assert.ok(highest.date > day.solar.noon + 1 / 24 && highest.date < day.solar.sunset.date, 'Peak after solar noon');
+    assertMinutes(lowest.date, day.solar.sunrise.date, 10, 'Low');
+    assertNear(lowest.meteorology.temperature, 17 + 10 * (1 - 1.15) / 2, 0.05, 'Low temperature');
+});
+
+test('Polar days and nights have meteorology', function() {
+    [utc(2014, 6, 21, 12), utc(2014, 12, 21, 12)].forEach(function(jDate) {
+        var day = sampleDay(jDate, LONGYEARBYEN);
+
+        assert.ok(day.solar.polarDay || day.solar.polarNight);
+        day.samples.forEach(function(sample) {
+            ['temperature', 'humidity', 'dewPoint', 'pressure'].forEach(function(quantity) {
+                assert.ok(isFinite(sample.meteorology[quantity]), quantity + ' at ' + sample.date + ': ' + sample.meteorology[quantity]);
+            });
+        });
+    });
+});
+
+test('Air is saturated when the dew point reaches the temperature', function() {
+    assert.strictEqual(core.computeSaturationRatio(12, 12), 1);
+    assertNear(core.computeSaturationRatio(10, 20), 0.527, 0.005, 'Saturation ratio');
+
+    sampleDay(utc(2014, 6, 21, 16), CENTRAL_PARK, {fog: true}).samples.forEach(function(sample) {
+        assertNear(sample.meteorology.humidity, 100, 1e-9, 'Humidity in fog');
+        assert.strictEqual(sample.meteorology.dewPoint, sample.meteorology.temperature);
+    });
+});
+
+test('Clear nights are colder and drier than rainy ones', function() {
+    var clear = sampleDay(utc(2014, 6, 21, 16), CENTRAL_PARK).samples,
+        rainy = sampleDay(utc(2014, 6, 21, 16), CENTRAL_PARK, {rain: true}).samples;
+
+    [0, 6, 12, 18, 24, 144].forEach(function(i) {
+        assert.ok(clear[i].meteorology.temperature < rainy[i].meteorology.temperature, 'Temperature of sample ' + i);
+        assert.ok(clear[i].meteorology.humidity < rainy[i].meteorology.humidity, 'Humidity of sample ' + i);
+        assert.ok(clear[i].meteorology.pressure > rainy[i].meteorology.pressure, 'Pressure of sample ' + i);
+    });
+});
+
+//-----------------------------------------------------------------------------
+// Weather states
+var WEATHER = {
+    states     : {clear: {weather: {}, duration: [2, 8]}, fog: {weather: {fog: true}, duration: [1, 4]}, rain: {weather: {rain: true}, duration: [1, 4]}},
+    transitions: {clear: {clear: 1, fog: 1, rain: 2}, fog: {rain: 1}, rain: {clear: 1, rain: 1}},
+    seasons    : {rain: [1, 0.5, 2, 0]},
+    diurnal    : {fog: {day: 0, twilight: 2, night: 3}}
+};
+
+test('Weather states are weighted by transition, season, and time of day', function() {
+    assert.deepStrictEqual(core.computeWeatherWeights(WEATHER, 'clear', 0, 'day', null), {clear: 1, rain: 2});
+    assert.deepStrictEqual(core.computeWeatherWeights(WEATHER, 'clear', 1, 'twilight', null), {clear: 1, fog: 2, rain: 1});
+    assert.deepStrictEqual(core.computeWeatherWeights(WEATHER, 'clear', 2, 'night', null), {clear: 1, fog: 3, rain: 4});
+    assert.deepStrictEqual(core.computeWeatherWeights(WEATHER, 'clear', 3, 'night', null), {clear: 1, fog: 3});
+    assert.deepStrictEqual(core.computeWeatherWeights(WEATHER, null, 0, 'night', null), {clear: 1, fog: 3, rain: 1});
+});
+
+test('Weather states are weighted by their chance under climate normals', function() {
+    var normals = {temperature: [10, 20], precipitation: 0.3, fog: 0.1, storm: 0.05},
+        weights = core.computeWeatherWeights(WEATHER, 'clear', 0, 'night', normals);
+
+    assertNear(weights.clear, 0.55 * 0.4, 1e-9, 'Clear');
+    assertNear(weights.fog, 3 * 0.1, 1e-9, 'Fog');
+    assertNear(weights.rain, 2 * 0.3, 1e-9, 'Rain');
+    assertNear(core.computeClimateChance({rain: true}, {temperature: [-10, -4], precipitation: 0.3, fog: 0, storm: 0}), 0, 1e-9, 'Rain when freezing');
+    assertNear(core.computeClimateChance({snow: true}, {temperature: [-10, -4], precipitation: 0.3, fog: 0, storm: 0}), 0.3, 1e-9, 'Snow when freezing');
+});
+
+test('Weather states are picked in proportion to their weights', function() {
+    var random = seeded(1234),
+        counts = {clear: 0, fog: 0, rain: 0},
+        picks  = 20000;
+
+    for(var i = 0; i < picks; i++) {
+        counts[core.pickWeatherState(WEATHER, 'clear', 2, 'night', null, random)]++;
+    }
+
+    assertNear(counts.clear / picks, 1 / 8, 0.01, 'Clear');
+    assertNear(counts.fog / picks, 3 / 8, 0.01, 'Fog');
+    assertNear(counts.rain / picks, 4 / 8, 0.01, 'Rain');
+});
+
+test('Weather stays put when there is nowhere to go', function() {
+    var calls  = 0,
+        random = function() { calls++; return 0.5; },
+        stuck  = {states: {fog: WEATHER.states.fog, rain: WEATHER.states.rain}, transitions: {fog: {rain: 1}}, seasons: {rain: [1, 1, 1, 0]}};
+
+    assert.strictEqual(core.pickWeatherState(stuck, 'fog', 3, 'day', null, random), 'fog');
+    assert.strictEqual(core.pickWeatherState({states: stuck.states, transitions: {}, seasons: {fog: [0, 0, 0, 0], rain: [0, 0, 0, 0]}}, null, 0, 'day', null, random), 'fog');
+    assert.strictEqual(calls, 0);
+    assert.strictEqual(core.pickWeatherState(stuck, 'fog', 0, 'day', null, random), 'rain');
+    assert.strictEqual(calls, 1);
+});
+
+test('Weather states picked with the same seed are the same', function() {
+    var pick = function(seed) {
+        var random = seeded(seed),
+            state  = null,
+            states = [];
+
+        for(var i = 0; i < 50; i++) {
+            state = core.pickWeatherState(WEATHER, state, i % 4, ['day', 'twilight', 'night'][i % 3], null, random);
+            states.push(state);
+        }
+
+        return states;
+    };
+
+    assert.deepStrictEqual(pick(42), pick(42));
+    assert.notDeepStrictEqual(pick(42), pick(43));
+});
+
+//-----------------------------------------------------------------------------
+// Weather intensity
+test('Weather intensities ease by smoothstep and end exactly on their targets', function() {
+    var ramps     = {rain: {from: 0, to: 1, elapsed: 0, duration: 10}, fog: {from: 0.8, to: 0.2, elapsed: 0, duration: 3}},
+        condition = {rain: true, fog: true},
+        next      = core.computeWeatherIntensity(ramps, condition, {rain: 0, fog: 0.8}, 2.5, 10);
+
+    assertNear(next.intensity.rain, core.EASINGS.smoothstep(0.25), 1e-9, 'Rain after 2.5 seconds');
+    assert.strictEqual(next.ramps.rain.elapsed, 2.5);
+    assert.strictEqual(ramps.rain.elapsed, 0);
+
+    next = core.computeWeatherIntensity(next.ramps, condition, next.intensity, 2.5, 10);
+    assertNear(next.intensity.rain, 0.5, 1e-9, 'Rain after 5 seconds');
+
+    for(var i = 0; i < 3; i++) {
+        next = core.computeWeatherIntensity(next.ramps, condition, next.intensity, 1, 10);
+    }
+    assert.strictEqual(next.intensity.fog, 0.2);
+    assert.strictEqual(next.ramps.fog.elapsed, 3);
+});
+
+test('Weather intensities of no duration jump to their targets', function() {
+    var next = core.computeWeatherIntensity({snow: {from: 0.1, to: 0.6, elapsed: 0, duration: 0}}, {snow: true}, {snow: 0.1}, 0, 10);
+
+    assert.strictEqual(next.intensity.snow, 0.6);
+    assert.deepStrictEqual(next.ramps.snow, {from: 0.1, to: 0.6, elapsed: 0, duration: 0});
+});
+
+test('Weather intensities finish at once when updated with infinite time', function() {
+    var ramps = {rain: {from: 0, to: 0.7, elapsed: 0, duration: 10}, fog: {from: 0, to: 0, elapsed: 0, duration: 0}, snow: {from: 0, to: 0, elapsed: 0, duration: 0}},
+        next  = core.computeWeatherIntensity(ramps, {rain: true, fog: true, snow: false}, {rain: 0, fog: 0, snow: 0}, Infinity, 10);
+
+    assert.deepStrictEqual(next.intensity, {rain: 0.7, fog: 1, snow: 0});
+    assert.strictEqual(next.ramps.rain.elapsed, 10);
+    assert.strictEqual(next.ramps.fog.elapsed, 10);
+});
+
+test('Weather conditions turned on or off directly ease in or out', function() {
+    var ramps = {rain: {from: 0, to: 0, elapsed: 0, duration: 0}, fog: {from: 0, to: 0.8, elapsed: 4, duration: 4}},
+        next  = core.computeWeatherIntensity(ramps, {rain: true, fog: false}, {rain: 0, fog: 0.8}, 5, 10);
+
+    assert.deepStrictEqual(next.ramps.rain, {from: 0, to: 1, elapsed: 5, duration: 10});
+    assert.deepStrictEqual(next.ramps.fog, {from: 0.8, to: 0, elapsed: 5, duration: 10});
+    assertNear(next.intensity.rain, 0.5, 1e-9, 'Rain turned on');
+    assertNear(next.intensity.fog, 0.4, 1e-9, 'Fog turned off');
+
+    // Conditions matching their targets keep their ramps
+    next = core.computeWeatherIntensity(next.ramps, {rain: true, fog: false}, next.intensity, 5, 60);
+    assert.strictEqual(next.intensity.rain, 1);
+    assert.strictEqual(next.intensity.fog, 0);
+    assert.strictEqual(next.ramps.rain.duration, 10);
+
+    // Conditions turned on directly while there is no transition jump to full intensity
+    next = core.computeWeatherIntensity(next.ramps, {rain: true, fog: true}, next.intensity, 0, 0);
+    assert.strictEqual(next.intensity.fog, 1);
+});
+
+//-----------------------------------------------------------------------------
+// Precipitation
+test('Precipitation falls as snow, freezing rain, sleet, or rain by air temperature', function() {
+    var never = function() { throw new Error('random called'); };
+
+    assert.strictEqual(core.pickPrecipitationType(-10, false, never), 'snow');
+    assert.strictEqual(core.pickPrecipitationType(-2, false, never), 'snow');
+    assert.strictEqual(core.pickPrecipitationType(-1.9, false, never), 'freezingRain');
+    assert.strictEqual(core.pickPrecipitationType(0, true, never), 'freezingRain');
+    assert.strictEqual(core.pickPrecipitationType(0.1, false, never), 'sleet');
+    assert.strictEqual(core.pickPrecipitationType(2, true, never), 'sleet');
+    assert.strictEqual(core.pickPrecipitationType(2.1, false, never), 'rain');
+    assert.strictEqual(core.pickPrecipitationType(14.9, true, never), 'rain');
+    assert.strictEqual(core.pickPrecipitationType(30, false, never), 'rain');
+});
+
+test('Warm thunderstorms drop hail one time in four', function() {
+    var random = seeded(99),
+        hail   = 0;
+
+    assert.strictEqual(core.pickPrecipitationType(15, true, function() { return 0.2; }), 'hail');
+    assert.strictEqual(core.pickPrecipitationType(15, true, function() { return 0.25; }), 'rain');
+
+    for(var i = 0; i < 10000; i++) {
+        hail += core.pickPrecipitationType(25, true, random) === 'hail' ? 1 : 0;
+    }
+    assertNear(hail / 10000, 0.25, 0.02, 'Hail');
+});
+
+test('Precipitation changes type with the air temperature, the other types stopping', function() {
+    var never = function() { return 1; };
+
+    assert.deepStrictEqual(core.computePrecipitationIntensity(0.8, -5, false, never), {rain: 0, snow: 0.8, sleet: 0, hail: 0, freezingRain: 0});
+    assert.deepStrictEqual(core.computePrecipitationIntensity(0.8, 10, false, never), {rain: 0.8, snow: 0, sleet: 0, hail: 0, freezingRain: 0});
+    assert.deepStrictEqual(core.computePrecipitationIntensity(0.8, 1, true, never), {rain: 0, snow: 0, sleet: 0.8, hail: 0, freezingRain: 0});
+    assert.deepStrictEqual(core.computePrecipitationIntensity(0.5, 20, true, function() { return 0; }), {rain: 0, snow: 0, sleet: 0, hail: 0.5, freezingRain: 0});
+    assert.deepStrictEqual(core.computePrecipitationIntensity(0, -1, false, never), {rain: 0, snow: 0, sleet: 0, hail: 0, freezingRain: 0});
+});
+
+//-----------------------------------------------------------------------------
+// Visibility
+test('Clear air has the visibility of clear air', function() {
+    assert.strictEqual(core.computeVisibility({}), core.VISIBILITY.clear);
+    assert.strictEqual(core.computeVisibility({fog: 0, rain: 0, lightning: 1, overcast: 1}), core.VISIBILITY.clear);
+});
+
+test('Weather conditions add their extinction to that of clear air', function() {
+    var table = {clear: 30, fog: 0.2, rain: 4};
+
+    assertNear(core.computeVisibility({fog: 1}, table), 1 / (1 / 30 + 1 / 0.2), 1e-9, 'Fog');
+    assertNear(core.computeVisibility({fog: 0.5}, table), 1 / (1 / 30 + 0.5 / 0.2), 1e-9, 'Half fog');
+    assertNear(core.computeVisibility({fog: 1, rain: 1}, table), 1 / (1 / 30 + 1 / 0.2 + 1 / 4), 1e-9, 'Fog and rain');
+    assert.ok(core.computeVisibility({fog: 1}, table) < 0.2);
+    assert.strictEqual(core.computeVisibility({snow: 1}, table), 30);
+});
+//-----------------------------------------------------------------------------
+
+
+console.log(failures === 0 ? '\nAll tests passed.' : '\n' + failures + ' test(s) failed.');
+process.exit(failures === 0 ? 0 : 1);